@@ -0,0 +1,287 @@
+const EventEmitter = require("events");
+const { AGENT_STATUSES, getAgent, getAllAgents, isAgentFree, servesQueue } = require("./agents");
+
+/**
+ * Automatic call distribution.
+ *
+ * Incoming calls wait in a FIFO queue and are offered to one available agent at a time, picked
+ * by round-robin or longest-idle. A call may name a queue (`session.queue`, chosen by the IVR);
+ * it is then only offered to agents serving that queue. An offer that is declined or not answered
+ * within ACD_OFFER_TIMEOUT_MS moves on to the next agent. When every available agent has declined,
+ * `exhausted` is emitted so the server can give up on the call. A call queued with `maxWaitMs`
+ * leaves the queue with `wait-timeout` if nobody takes it in time.
+ *
+ * Events on `acdEvents`:
+ *   queue-update (stats)    - queue length or offers changed
+ *   exhausted (session)     - every available agent declined the call
+ *   wait-timeout (session)  - the call waited longer than its `maxWaitMs`
+ */
+const ACD_STRATEGY = process.env.ACD_STRATEGY === "round-robin" ? "round-robin" : "longest-idle";
+const OFFER_TIMEOUT_MS = Number(process.env.ACD_OFFER_TIMEOUT_MS) || 20000;
+
+const queue = [];
+const acdEvents = new EventEmitter();
+let lastRoundRobinAgentId = null;
+
+console.log(`ACD configured with strategy '${ACD_STRATEGY}' and offer timeout ${OFFER_TIMEOUT_MS}ms`);
+
+function findEntry(callId) {
+    return queue.find((entry) => entry.session.callId === callId) || null;
+}
+
+function getQueueStats() {
+    const now = Date.now();
+    const calls = queue.map((entry) => ({
+        callId: entry.session.callId,
+        callerName: entry.session.callerName,
+        callerNumber: entry.session.callerNumber,
+        queue: entry.session.queue || null,
+        enqueuedAt: entry.enqueuedAt.toISOString(),
+        waitSeconds: Math.floor((now - entry.enqueuedAt.getTime()) / 1000),
+        offeredTo: entry.offeredTo,
+    }));
+
+    return {
+        length: calls.length,
+        longestWaitSeconds: calls.length ? Math.max(...calls.map((call) => call.waitSeconds)) : 0,
+        calls,
+    };
+}
+
+function emitQueueUpdate() {
+    acdEvents.emit("queue-update", getQueueStats());
+}
+
+function pickRoundRobin(candidates) {
+    const ordered = getAllAgents();
+    const lastIndex = ordered.findIndex((agent) => agent.id === lastRoundRobinAgentId);
+
+    // Walk the agent list starting right after the last agent that took a call
+    for (let i = 1; i <= ordered.length; i++) {
+        const agent = ordered[(lastIndex + i) % ordered.length];
+        if (candidates.includes(agent)) {
+            return agent;
+        }
+    }
+    return null;
+}
+
+function pickLongestIdle(candidates) {
+    return candidates.reduce((best, agent) => (!best || agent.idleSince < best.idleSince ? agent : best), null);
+}
+
+function pickAgent(entry) {
+    const candidates = getAllAgents().filter((agent) =>
+        isAgentFree(agent)
+        && servesQueue(agent, entry.session.queue)
+        && !entry.declinedBy.has(agent.id)
+        && !entry.unansweredBy.has(agent.id)
+    );
+
+    if (!candidates.length) {
+        return null;
+    }
+    return ACD_STRATEGY === "round-robin" ? pickRoundRobin(candidates) : pickLongestIdle(candidates);
+}
+
+function clearOffer(entry) {
+    clearTimeout(entry.offerTimer);
+    entry.offerTimer = null;
+
+    const agent = getAgent(entry.offeredTo);
+    if (agent && agent.offeredCallId === entry.session.callId) {
+        agent.offeredCallId = null;
+    }
+    entry.offeredTo = null;
+}
+
+/**
+ * Take an entry out of the queue, withdrawing its offer and wait timer.
+ */
+function dropEntry(entry) {
+    clearOffer(entry);
+    clearTimeout(entry.waitTimer);
+    queue.splice(queue.indexOf(entry), 1);
+}
+
+function offerCall(entry, agent) {
+    const { session } = entry;
+
+    entry.offeredTo = agent.id;
+    agent.offeredCallId = session.callId;
+    console.log(`ACD offering call ${session.callId} to agent ${agent.id}`);
+
+    agent.socket.emit("call-is-coming", {
+        callId: session.callId,
+        callerName: session.callerName,
+        callerNumber: session.callerNumber,
+        queue: session.queue || null,
+        waitSeconds: Math.floor((Date.now() - entry.enqueuedAt.getTime()) / 1000),
+    });
+
+    entry.offerTimer = setTimeout(() => {
+        console.log(`Agent ${agent.id} did not answer call ${session.callId} within ${OFFER_TIMEOUT_MS}ms`);
+        agent.socket.emit("call-offer-revoked", { callId: session.callId, reason: "no_answer" });
+        entry.unansweredBy.add(agent.id);
+        clearOffer(entry);
+        dispatchQueue();
+    }, OFFER_TIMEOUT_MS);
+}
+
+/**
+ * True if there are agents who could take calls and every one of them has declined this call.
+ */
+function isExhausted(entry) {
+    const onDuty = getAllAgents().filter((agent) =>
+        agent.role === "agent"
+        && agent.status === AGENT_STATUSES.AVAILABLE
+        && !agent.currentCallId
+        && servesQueue(agent, entry.session.queue)
+    );
+    return onDuty.length > 0 && onDuty.every((agent) => entry.declinedBy.has(agent.id));
+}
+
+/**
+ * Offer every waiting call that has no outstanding offer to the next free agent.
+ */
+function dispatchQueue() {
+    for (const entry of [...queue]) {
+        if (entry.offeredTo) {
+            continue;
+        }
+
+        if (isExhausted(entry)) {
+            console.log(`Every available agent declined call ${entry.session.callId}`);
+            dropEntry(entry);
+            acdEvents.emit("exhausted", entry.session);
+            continue;
+        }
+
+        let agent = pickAgent(entry);
+        if (!agent && entry.unansweredBy.size) {
+            // Everyone free has let it ring out once; start another round with them
+            entry.unansweredBy.clear();
+            agent = pickAgent(entry);
+        }
+
+        if (agent) {
+            offerCall(entry, agent);
+        }
+    }
+    emitQueueUpdate();
+}
+
+/**
+ * Put an incoming call in the queue and try to offer it right away. With `maxWaitMs` the call
+ * leaves the queue with `wait-timeout` if no agent has accepted it by then.
+ */
+function enqueueCall(session, { maxWaitMs = null } = {}) {
+    if (findEntry(session.callId)) {
+        return;
+    }
+
+    const entry = {
+        session,
+        enqueuedAt: new Date(),
+        offeredTo: null,
+        offerTimer: null,
+        waitTimer: null,
+        declinedBy: new Set(),
+        unansweredBy: new Set(),
+    };
+    if (maxWaitMs) {
+        entry.waitTimer = setTimeout(() => {
+            console.log(`Call ${session.callId} was not answered within ${maxWaitMs}ms`);
+            getAgent(entry.offeredTo)?.socket.emit("call-offer-revoked", { callId: session.callId, reason: "wait_timeout" });
+            dropEntry(entry);
+            emitQueueUpdate();
+            acdEvents.emit("wait-timeout", session);
+        }, maxWaitMs);
+    }
+
+    queue.push(entry);
+    console.log(`Call ${session.callId} queued. Queue length: ${queue.length}`);
+    dispatchQueue();
+}
+
+/**
+ * An agent accepted the call they were offered. Returns the session, or null if the
+ * offer is no longer theirs (it timed out or went to someone else).
+ */
+function acceptOffer(callId, agentId) {
+    const entry = findEntry(callId);
+    if (!entry || entry.offeredTo !== agentId) {
+        return null;
+    }
+
+    dropEntry(entry);
+    lastRoundRobinAgentId = agentId;
+    console.log(`Call ${callId} accepted by agent ${agentId} after ${Math.floor((Date.now() - entry.enqueuedAt.getTime()) / 1000)}s in queue`);
+
+    dispatchQueue();
+    return entry.session;
+}
+
+/**
+ * An agent declined the call they were offered; offer it to the next agent.
+ */
+function declineOffer(callId, agentId) {
+    const entry = findEntry(callId);
+    if (!entry || entry.offeredTo !== agentId) {
+        return false;
+    }
+
+    clearOffer(entry);
+    entry.declinedBy.add(agentId);
+    console.log(`Call ${callId} declined by agent ${agentId}`);
+    dispatchQueue();
+    return true;
+}
+
+/**
+ * Drop a call from the queue (it was answered elsewhere, hung up or failed).
+ */
+function removeCall(callId, reason = "call_ended") {
+    const entry = findEntry(callId);
+    if (!entry) {
+        return;
+    }
+
+    const agent = getAgent(entry.offeredTo);
+    if (agent) {
+        agent.socket.emit("call-offer-revoked", { callId, reason });
+    }
+    dropEntry(entry);
+    console.log(`Call ${callId} removed from queue (${reason}). Queue length: ${queue.length}`);
+    dispatchQueue();
+}
+
+/**
+ * An agent went away or became unavailable; move any offer they held to someone else.
+ */
+function releaseAgentOffers(agentId) {
+    for (const entry of queue) {
+        if (entry.offeredTo === agentId) {
+            getAgent(agentId)?.socket.emit("call-offer-revoked", {
+                callId: entry.session.callId,
+                reason: "agent_unavailable",
+            });
+            clearOffer(entry);
+            entry.unansweredBy.add(agentId);
+        }
+    }
+    dispatchQueue();
+}
+
+module.exports = {
+    ACD_STRATEGY,
+    OFFER_TIMEOUT_MS,
+    acdEvents,
+    enqueueCall,
+    acceptOffer,
+    declineOffer,
+    removeCall,
+    releaseAgentOffers,
+    dispatchQueue,
+    getQueueStats,
+};
@@ -0,0 +1,232 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+
+/**
+ * Registry of connected agent browsers keyed by socket id.
+ *
+ * Agents identify themselves with an id, name and role ("agent" or "supervisor") and have a
+ * presence status. The server moves agents to `on-call` when they take a call and to `wrap-up`
+ * when it ends, then back to `available` after WRAP_UP_SECONDS. The ACD only offers calls to
+ * agents whose status is `available`, and only calls from queues the agent serves (an agent who
+ * lists no queues serves all of them).
+ *
+ * Every registration gets a new random `sessionToken`, sent only to that browser. The agent id
+ * is chosen by the browser and visible to other agents; the token is what proves a browser is
+ * the one that registered, e.g. when it comes back for a call after a reload.
+ *
+ * Events on `agentEvents`:
+ *   status-change ({ agent, previousStatus, status, reason })
+ *   roster-update (roster)
+ */
+const AGENT_STATUSES = {
+    AVAILABLE: "available",
+    ON_CALL: "on-call",
+    WRAP_UP: "wrap-up",
+    AWAY: "away",
+};
+
+const AGENT_ROLES = ["agent", "supervisor"];
+const WRAP_UP_SECONDS = Number(process.env.WRAP_UP_SECONDS ?? 15);
+
+const agents = new Map();
+const agentEvents = new EventEmitter();
+
+function emitRosterUpdate() {
+    agentEvents.emit("roster-update", getRoster());
+}
+
+function registerAgent(socket) {
+    const agent = {
+        id: socket.id,
+        socket,
+        agentId: null,
+        name: null,
+        role: "agent",
+        queues: [],
+        status: AGENT_STATUSES.AWAY,
+        statusChangedAt: new Date(),
+        sessionToken: null,
+        currentCallId: null,
+        offeredCallId: null,
+        wrapUpTimer: null,
+        idleSince: new Date(),
+        connectedAt: new Date(),
+    };
+
+    agents.set(socket.id, agent);
+    console.log(`Agent connected: ${socket.id}. Total agents: ${agents.size}`);
+    emitRosterUpdate();
+    return agent;
+}
+
+/**
+ * Attach an identity to a connected socket and issue it a new session token. `role` must be
+ * one the server has granted, since it is not checked here.
+ */
+function identifyAgent(socketId, { agentId, name, role, queues } = {}) {
+    const agent = agents.get(socketId);
+    if (!agent) {
+        return null;
+    }
+
+    agent.agentId = agentId || socketId;
+    agent.name = name || agent.agentId;
+    agent.role = AGENT_ROLES.includes(role) ? role : "agent";
+    agent.queues = Array.isArray(queues) ? queues.filter((queue) => typeof queue === "string" && queue) : [];
+    agent.sessionToken = crypto.randomBytes(24).toString("hex");
+    console.log(`Agent ${socketId} identified as ${agent.name} (${agent.agentId}, ${agent.role}, queues: ${agent.queues.join(", ") || "all"})`);
+    emitRosterUpdate();
+    return agent;
+}
+
+function getAgent(socketId) {
+    return agents.get(socketId) || null;
+}
+
+function removeAgent(socketId) {
+    const agent = agents.get(socketId);
+    if (!agent) {
+        return null;
+    }
+
+    clearTimeout(agent.wrapUpTimer);
+    agents.delete(socketId);
+    console.log(`Agent disconnected: ${agent.name || socketId}. Total agents: ${agents.size}`);
+    emitRosterUpdate();
+    return agent;
+}
+
+/**
+ * Change an agent's presence status. Returns the agent, or null if the agent or status is unknown.
+ */
+function setAgentStatus(socketId, status, reason = "manual") {
+    const agent = agents.get(socketId);
+    if (!agent || !Object.values(AGENT_STATUSES).includes(status)) {
+        return null;
+    }
+
+    const previousStatus = agent.status;
+    if (previousStatus === status) {
+        return agent;
+    }
+
+    clearTimeout(agent.wrapUpTimer);
+    agent.wrapUpTimer = null;
+
+    agent.status = status;
+    agent.statusChangedAt = new Date();
+    if (status === AGENT_STATUSES.AVAILABLE) {
+        agent.idleSince = agent.statusChangedAt;
+    }
+    console.log(`Agent ${agent.name || socketId} status: ${previousStatus} → ${status} (${reason})`);
+
+    agentEvents.emit("status-change", { agent, previousStatus, status, reason });
+    emitRosterUpdate();
+    return agent;
+}
+
+/**
+ * Put an agent on a call so the ACD skips them.
+ */
+function setAgentCall(socketId, callId) {
+    const agent = agents.get(socketId);
+    if (!agent) {
+        return null;
+    }
+
+    agent.currentCallId = callId;
+    setAgentStatus(socketId, AGENT_STATUSES.ON_CALL, "call_started");
+    return agent;
+}
+
+/**
+ * Take an agent off their call and start their wrap-up time. Returns the agent, or null if they
+ * were not on a call.
+ */
+function releaseAgent(socketId) {
+    const agent = agents.get(socketId);
+    if (!agent?.currentCallId) {
+        return null;
+    }
+
+    console.log(`Agent ${agent.name || agent.id} released from call ${agent.currentCallId}`);
+    agent.currentCallId = null;
+
+    if (WRAP_UP_SECONDS > 0) {
+        setAgentStatus(agent.id, AGENT_STATUSES.WRAP_UP, "call_ended");
+        agent.wrapUpTimer = setTimeout(() => {
+            if (agent.status === AGENT_STATUSES.WRAP_UP) {
+                setAgentStatus(agent.id, AGENT_STATUSES.AVAILABLE, "wrap_up_finished");
+            }
+        }, WRAP_UP_SECONDS * 1000);
+    } else {
+        setAgentStatus(agent.id, AGENT_STATUSES.AVAILABLE, "call_ended");
+    }
+    return agent;
+}
+
+/**
+ * Free every agent handling `callId` (more than one during a transfer). Returns those agents.
+ */
+function releaseAgentFromCall(callId) {
+    return getAllAgents()
+        .filter((agent) => agent.currentCallId === callId)
+        .map((agent) => releaseAgent(agent.id));
+}
+
+/**
+ * An agent can be offered a call if they are available and not already ringing or on a call.
+ */
+function isAgentFree(agent) {
+    return agent.role === "agent"
+        && agent.status === AGENT_STATUSES.AVAILABLE
+        && !agent.currentCallId
+        && !agent.offeredCallId;
+}
+
+/**
+ * True if the agent takes calls from `queue`. Calls without a queue go to every agent.
+ */
+function servesQueue(agent, queue) {
+    return !queue || !agent.queues.length || agent.queues.includes(queue);
+}
+
+function getAllAgents() {
+    return [...agents.values()];
+}
+
+/**
+ * Serializable snapshot of every connected agent for supervisors.
+ */
+function getRoster() {
+    return getAllAgents().map((agent) => ({
+        socketId: agent.id,
+        agentId: agent.agentId,
+        name: agent.name,
+        role: agent.role,
+        queues: agent.queues,
+        status: agent.status,
+        statusChangedAt: agent.statusChangedAt.toISOString(),
+        currentCallId: agent.currentCallId,
+        offeredCallId: agent.offeredCallId,
+        connectedAt: agent.connectedAt.toISOString(),
+    }));
+}
+
+module.exports = {
+    AGENT_STATUSES,
+    WRAP_UP_SECONDS,
+    agentEvents,
+    registerAgent,
+    identifyAgent,
+    getAgent,
+    removeAgent,
+    setAgentStatus,
+    setAgentCall,
+    releaseAgent,
+    releaseAgentFromCall,
+    isAgentFree,
+    servesQueue,
+    getAllAgents,
+    getRoster,
+};
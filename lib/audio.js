@@ -0,0 +1,246 @@
+const fs = require("fs");
+const {
+    nonstandard: { RTCAudioSink, RTCAudioSource },
+} = require("wrtc");
+
+/**
+ * PCM helpers shared by the features that need raw audio from the bridge.
+ * All server-side processing uses 16-bit mono at SAMPLE_RATE.
+ */
+const SAMPLE_RATE = 48000;
+const FRAME_MS = 10;
+const FRAME_SAMPLES = SAMPLE_RATE * FRAME_MS / 1000;
+
+/**
+ * Convert an RTCAudioSink frame to mono Int16 samples at SAMPLE_RATE.
+ */
+function toMono(data) {
+    const { samples, channelCount, sampleRate } = data;
+    const frames = data.numberOfFrames || samples.length / channelCount;
+
+    let mono = samples;
+    if (channelCount > 1) {
+        mono = new Int16Array(frames);
+        for (let i = 0; i < frames; i++) {
+            let sum = 0;
+            for (let c = 0; c < channelCount; c++) {
+                sum += samples[i * channelCount + c];
+            }
+            mono[i] = sum / channelCount;
+        }
+    }
+
+    return sampleRate === SAMPLE_RATE ? mono : resample(mono, sampleRate, SAMPLE_RATE);
+}
+
+/**
+ * Linear resampling, good enough for speech.
+ */
+function resample(samples, fromRate, toRate) {
+    const length = Math.round(samples.length * toRate / fromRate);
+    const output = new Int16Array(length);
+    const step = fromRate / toRate;
+
+    for (let i = 0; i < length; i++) {
+        const position = i * step;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        const fraction = position - index;
+        output[i] = samples[index] + (samples[next] - samples[index]) * fraction;
+    }
+    return output;
+}
+
+/**
+ * Receive mono PCM from a track. Returns a function that stops the tap.
+ */
+function tapTrack(track, onSamples) {
+    const sink = new RTCAudioSink(track);
+    sink.ondata = (data) => onSamples(toMono(data));
+    return () => sink.stop();
+}
+
+/**
+ * Decode an audio file (WAV, MP3, Ogg...) into mono Int16 samples at SAMPLE_RATE.
+ */
+async function loadAudioFile(file) {
+    const { OfflineAudioContext } = require("node-web-audio-api");
+    const data = await fs.promises.readFile(file);
+    const context = new OfflineAudioContext(1, 1, SAMPLE_RATE);
+    const audioBuffer = await context.decodeAudioData(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+
+    const samples = new Int16Array(audioBuffer.length);
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+    for (let i = 0; i < samples.length; i++) {
+        let sum = 0;
+        for (const channel of channels) {
+            sum += channel[i];
+        }
+        samples[i] = Math.max(-1, Math.min(1, sum / channels.length)) * 0x7fff;
+    }
+
+    console.log(`Loaded audio file ${file}: ${(samples.length / SAMPLE_RATE).toFixed(1)}s`);
+    return samples;
+}
+
+/**
+ * A tone followed by silence, e.g. a gentle beep to loop while a caller waits.
+ */
+function createTone({ frequency = 440, toneMs = 500, silenceMs = 2500, volume = 0.1 } = {}) {
+    const toneSamples = SAMPLE_RATE * toneMs / 1000;
+    const samples = new Int16Array(toneSamples + SAMPLE_RATE * silenceMs / 1000);
+    for (let i = 0; i < toneSamples; i++) {
+        samples[i] = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * volume * 0x7fff;
+    }
+    return samples;
+}
+
+/**
+ * Feed a new outgoing track with 10 ms frames from `nextFrame()` in real time.
+ * Returns { track, stop }. When `nextFrame` returns null the track stops and `onEnded` is called.
+ */
+function createPacedTrack(nextFrame, onEnded = null) {
+    const source = new RTCAudioSource();
+    const track = source.createTrack();
+    const startedAt = Date.now();
+    let framesSent = 0;
+    let stopped = false;
+
+    // Timers drift, so send however many frames are due since the track started
+    const interval = setInterval(() => {
+        const framesDue = Math.floor((Date.now() - startedAt) / FRAME_MS);
+        while (framesSent < framesDue && !stopped) {
+            const samples = nextFrame();
+            if (!samples) {
+                stop();
+                onEnded?.();
+                return;
+            }
+
+            source.onData({
+                samples,
+                sampleRate: SAMPLE_RATE,
+                bitsPerSample: 16,
+                channelCount: 1,
+                numberOfFrames: FRAME_SAMPLES,
+            });
+            framesSent++;
+        }
+    }, FRAME_MS);
+
+    function stop() {
+        if (stopped) {
+            return;
+        }
+        stopped = true;
+        clearInterval(interval);
+        track.stop();
+    }
+
+    return { track, stop };
+}
+
+/**
+ * Play mono PCM into a new outgoing track in real time.
+ * Returns { track, stop } and calls `onEnded` when a non-looping clip finishes.
+ */
+function createPlayer(samples, { loop = false, onEnded = null } = {}) {
+    let position = 0;
+
+    return createPacedTrack(() => {
+        if (position >= samples.length && !loop) {
+            return null;
+        }
+
+        const frame = new Int16Array(FRAME_SAMPLES);
+        for (let i = 0; i < FRAME_SAMPLES; i++) {
+            if (position >= samples.length) {
+                if (!loop) {
+                    break;
+                }
+                position = 0;
+            }
+            frame[i] = samples[position++];
+        }
+        return frame;
+    }, onEnded);
+}
+
+/**
+ * Build a 44-byte PCM WAV header.
+ */
+function createWavHeader(dataLength, { sampleRate = SAMPLE_RATE, channels = 1, bitsPerSample = 16 } = {}) {
+    const blockAlign = channels * bitsPerSample / 8;
+    const header = Buffer.alloc(44);
+
+    header.write("RIFF", 0);
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write("WAVE", 8);
+    header.write("fmt ", 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write("data", 36);
+    header.writeUInt32LE(dataLength, 40);
+    return header;
+}
+
+/**
+ * FIFO of PCM chunks that can be read back in arbitrary sizes.
+ */
+function createSampleQueue() {
+    return { chunks: [], length: 0 };
+}
+
+function pushSamples(queue, samples) {
+    queue.chunks.push(samples);
+    queue.length += samples.length;
+}
+
+/**
+ * Take `count` samples from the queue, padding with silence if it holds fewer.
+ */
+function takeSamples(queue, count) {
+    const output = new Int16Array(count);
+    let offset = 0;
+
+    while (offset < count && queue.chunks.length) {
+        const chunk = queue.chunks[0];
+        const needed = count - offset;
+        if (chunk.length <= needed) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+            queue.chunks.shift();
+        } else {
+            output.set(chunk.subarray(0, needed), offset);
+            queue.chunks[0] = chunk.subarray(needed);
+            offset += needed;
+        }
+    }
+
+    queue.length = Math.max(0, queue.length - offset);
+    return output;
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    FRAME_SAMPLES,
+    toMono,
+    resample,
+    tapTrack,
+    loadAudioFile,
+    createTone,
+    createPacedTrack,
+    createPlayer,
+    createWavHeader,
+    createSampleQueue,
+    pushSamples,
+    takeSamples,
+};
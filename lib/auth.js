@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const { getAllAgents } = require("./agents");
+
+/**
+ * Credentials the server checks before granting access.
+ *
+ * The admin HTTP endpoints (webhook log and replay, dead letters) need
+ * `Authorization: Bearer <ADMIN_TOKEN>`. Without ADMIN_TOKEN they are turned off and answer 503:
+ * requests arriving through a tunnel or reverse proxy on this machine come from localhost too,
+ * so where a request comes from proves nothing.
+ *
+ * Browsers register as agents with AGENT_TOKEN, or as supervisors with SUPERVISOR_TOKEN.
+ * Without them nobody can register in that role. Only registered browsers are issued a
+ * `sessionToken` (lib/agents.js), and endpoints the agent UI uses (voicemails) take it as
+ * `Authorization: Bearer <sessionToken>` besides the admin token.
+ */
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const AGENT_TOKEN = process.env.AGENT_TOKEN || null;
+const SUPERVISOR_TOKEN = process.env.SUPERVISOR_TOKEN || null;
+
+if (!ADMIN_TOKEN) {
+    console.warn("ADMIN_TOKEN is not set: admin endpoints are disabled");
+}
+if (!AGENT_TOKEN) {
+    console.warn("AGENT_TOKEN is not set: nobody can register as an agent");
+}
+if (!SUPERVISOR_TOKEN) {
+    console.warn("SUPERVISOR_TOKEN is not set: nobody can register as a supervisor");
+}
+
+/**
+ * Constant-time comparison of a secret with what a client sent.
+ */
+function isSameSecret(expected, received) {
+    if (typeof expected !== "string" || typeof received !== "string") {
+        return false;
+    }
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function bearerToken(req) {
+    const match = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+    return match ? match[1] : null;
+}
+
+function isAdminRequest(req) {
+    return isSameSecret(ADMIN_TOKEN, bearerToken(req));
+}
+
+function isAgentRequest(req) {
+    const token = bearerToken(req);
+    return getAllAgents().some((agent) => isSameSecret(agent.sessionToken, token));
+}
+
+function isAgentToken(token) {
+    return isSameSecret(AGENT_TOKEN, token);
+}
+
+function isSupervisorToken(token) {
+    return isSameSecret(SUPERVISOR_TOKEN, token);
+}
+
+/**
+ * Express middleware for the admin endpoints.
+ */
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(503).json({ error: "Admin endpoints are disabled: ADMIN_TOKEN is not set" });
+    }
+    if (isAdminRequest(req)) {
+        return next();
+    }
+    res.sendStatus(401);
+}
+
+/**
+ * Express middleware for endpoints open to connected agents as well as admins.
+ */
+function requireAgent(req, res, next) {
+    if (isAdminRequest(req) || isAgentRequest(req)) {
+        return next();
+    }
+    res.sendStatus(401);
+}
+
+module.exports = {
+    isSameSecret,
+    bearerToken,
+    isAdminRequest,
+    isAgentRequest,
+    isAgentToken,
+    isSupervisorToken,
+    requireAdmin,
+    requireAgent,
+};
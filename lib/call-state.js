@@ -0,0 +1,103 @@
+const EventEmitter = require("events");
+
+/**
+ * Call lifecycle state machine.
+ *
+ *   ringing → pre_accepted → accepted → active → ended
+ *
+ * Any non-final state can also move to `ended` (hangup/reject) or `failed` (error/timeout).
+ * Every transition is emitted on `callStateEvents` so the server can notify the UI.
+ */
+const CALL_STATES = {
+    RINGING: "ringing",
+    PRE_ACCEPTED: "pre_accepted",
+    ACCEPTED: "accepted",
+    ACTIVE: "active",
+    ENDED: "ended",
+    FAILED: "failed",
+};
+
+const TRANSITIONS = {
+    ringing: ["pre_accepted", "accepted", "ended", "failed"],
+    pre_accepted: ["accepted", "ended", "failed"],
+    accepted: ["active", "ended", "failed"],
+    active: ["ended", "failed"],
+    ended: [],
+    failed: [],
+};
+
+// Maximum time (ms) a call may stay in a state before it is failed with reason "timeout"
+const STATE_TIMEOUTS = {
+    ringing: Number(process.env.RINGING_TIMEOUT_MS) || 60000,
+    pre_accepted: Number(process.env.PRE_ACCEPT_TIMEOUT_MS) || 15000,
+    accepted: Number(process.env.ACCEPT_TIMEOUT_MS) || 30000,
+};
+
+const callStateEvents = new EventEmitter();
+
+function isFinalState(state) {
+    return state === CALL_STATES.ENDED || state === CALL_STATES.FAILED;
+}
+
+function startStateTimer(session) {
+    clearTimeout(session.stateTimer);
+    session.stateTimer = null;
+
+    const timeoutMs = STATE_TIMEOUTS[session.state];
+    if (!timeoutMs) {
+        return;
+    }
+
+    const timedOutState = session.state;
+    session.stateTimer = setTimeout(() => {
+        console.warn(`Call ${session.callId} timed out in state '${timedOutState}' after ${timeoutMs}ms`);
+        transitionCall(session, CALL_STATES.FAILED, "timeout");
+    }, timeoutMs);
+}
+
+/**
+ * Put a new session into the initial `ringing` state and start its timeout.
+ */
+function initCallState(session) {
+    session.state = CALL_STATES.RINGING;
+    session.stateChangedAt = new Date();
+    session.stateHistory = [{ state: session.state, at: session.stateChangedAt, reason: "created" }];
+    startStateTimer(session);
+}
+
+/**
+ * Move a call to `nextState`.
+ * Returns false (and changes nothing) if the transition is not allowed from the current state.
+ */
+function transitionCall(session, nextState, reason = null) {
+    const previousState = session.state;
+
+    if (!TRANSITIONS[previousState]?.includes(nextState)) {
+        console.warn(`Illegal call state transition for ${session.callId}: ${previousState} → ${nextState} (${reason || "no reason"})`);
+        return false;
+    }
+
+    session.state = nextState;
+    session.stateChangedAt = new Date();
+    session.stateHistory.push({ state: nextState, at: session.stateChangedAt, reason });
+    console.log(`Call ${session.callId} state: ${previousState} → ${nextState}${reason ? ` (${reason})` : ""}`);
+
+    startStateTimer(session);
+
+    callStateEvents.emit("transition", {
+        session,
+        previousState,
+        state: nextState,
+        reason,
+    });
+    return true;
+}
+
+module.exports = {
+    CALL_STATES,
+    STATE_TIMEOUTS,
+    callStateEvents,
+    initCallState,
+    transitionCall,
+    isFinalState,
+};
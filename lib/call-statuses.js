@@ -0,0 +1,39 @@
+const { CALL_STATES } = require("./call-state");
+
+/**
+ * Status updates WhatsApp sends for business-initiated calls (statuses[] with type "call"), and
+ * what each one means for the call.
+ *
+ * Every status names the Socket.IO `event` the agent gets with the status details. Statuses
+ * that end the call also give the `state` it ends in and the `reason` recorded for it.
+ *
+ * A status not listed here, e.g. one added to the API later, is logged as a warning and
+ * forwarded as a generic `call-whatsapp-status` event without changing the call.
+ */
+const CALL_STATUS_OUTCOMES = {
+    ringing: { event: "call-ringing" },
+    // The answer SDP arrives on the `connect` event; this only tells the agent early
+    accepted: { event: "call-answered" },
+    rejected: { event: "call-rejected", state: CALL_STATES.ENDED, reason: "rejected" },
+    failed: { event: "call-terminated", state: CALL_STATES.FAILED, reason: "whatsapp_failed" },
+    completed: { event: "call-terminated", state: CALL_STATES.ENDED, reason: "whatsapp_terminate" },
+};
+
+const UNHANDLED_STATUS_OUTCOME = { event: "call-whatsapp-status", unhandled: true };
+
+/**
+ * What a lowercased call `status` means for the call.
+ */
+function getCallStatusOutcome(status, callId = null) {
+    const outcome = Object.hasOwn(CALL_STATUS_OUTCOMES, status) ? CALL_STATUS_OUTCOMES[status] : null;
+    if (outcome) {
+        return outcome;
+    }
+    console.warn(`Unhandled WhatsApp call status '${status}'${callId ? ` for call ${callId}` : ""}: forwarded as ${UNHANDLED_STATUS_OUTCOME.event}`);
+    return UNHANDLED_STATUS_OUTCOME;
+}
+
+module.exports = {
+    CALL_STATUS_OUTCOMES,
+    getCallStatusOutcome,
+};
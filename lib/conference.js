@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { MediaStream } = require("wrtc");
+const { createMixer } = require("./mixer");
+
+/**
+ * Multi-party conference rooms.
+ *
+ * A room mixes any number of participants server-side. A participant is either a WhatsApp call
+ * (kind "whatsapp", keyed by call_id) or an agent browser (kind "agent", keyed by socket id).
+ * Every participant has an input track (what they say) and a mixer of everyone else's unmuted
+ * input that is sent back to them. Muting a participant takes them out of the other mixers.
+ *
+ * The room is torn down as soon as its last participant leaves. Closing peer connections and
+ * hanging up calls is left to the server; this module only wires audio.
+ *
+ * Events on `conferenceEvents`:
+ *   participant-joined ({ room, participant })
+ *   participant-left ({ room, participant, reason })
+ *   participant-updated ({ room, participant })    - muted or unmuted
+ *   room-ended ({ room })
+ */
+const rooms = new Map();
+const conferenceEvents = new EventEmitter();
+
+function createRoom({ name, createdBy = null } = {}) {
+    const id = `room-${crypto.randomBytes(4).toString("hex")}`;
+    const room = {
+        id,
+        name: name || id,
+        createdBy,
+        createdAt: new Date(),
+        participants: new Map(),
+        // Agents allowed to connect a browser leg (they asked to join but have not sent an offer yet)
+        pendingAgents: new Set(),
+    };
+
+    rooms.set(id, room);
+    console.log(`Conference ${id} created (${room.name}). Active rooms: ${rooms.size}`);
+    return room;
+}
+
+function getRoom(roomId) {
+    if (!roomId) {
+        return null;
+    }
+    return rooms.get(roomId) || null;
+}
+
+function getAllRooms() {
+    return [...rooms.values()];
+}
+
+function describeParticipant(participant) {
+    return {
+        id: participant.id,
+        kind: participant.kind,
+        name: participant.name,
+        muted: participant.muted,
+        joinedAt: participant.joinedAt.toISOString(),
+    };
+}
+
+/**
+ * Serializable snapshot of a room for the UI.
+ */
+function describeRoom(room) {
+    return {
+        id: room.id,
+        name: room.name,
+        createdBy: room.createdBy,
+        createdAt: room.createdAt.toISOString(),
+        participants: [...room.participants.values()].map(describeParticipant),
+    };
+}
+
+/**
+ * Give every participant the mix of everyone else who is not muted.
+ */
+function remix(room) {
+    const participants = [...room.participants.values()];
+    for (const participant of participants) {
+        participant.mixer.setInputs(participants
+            .filter((other) => other !== participant && !other.muted)
+            .map((other) => other.inputTrack));
+    }
+}
+
+/**
+ * Add a participant to a room. `inputTrack` is what they say. Their mix is sent either through an
+ * existing `sender` (the track is replaced) or a new sender added to `pc`.
+ */
+async function addParticipant(room, { id, kind, name, inputTrack, sender = null, pc = null, callId = null, socket = null }) {
+    if (room.participants.has(id)) {
+        return room.participants.get(id);
+    }
+
+    const participant = {
+        id,
+        kind,
+        name: name || id,
+        callId,
+        socket,
+        pc,
+        inputTrack,
+        sender,
+        muted: false,
+        mixer: createMixer(),
+        joinedAt: new Date(),
+    };
+
+    if (sender) {
+        await sender.replaceTrack(participant.mixer.track);
+    } else if (pc) {
+        const mixStream = new MediaStream();
+        mixStream.addTrack(participant.mixer.track);
+        participant.sender = pc.addTrack(participant.mixer.track, mixStream);
+    }
+
+    room.participants.set(id, participant);
+    remix(room);
+    console.log(`${kind} participant ${participant.name} joined conference ${room.id} (${room.participants.size} participants)`);
+    conferenceEvents.emit("participant-joined", { room, participant });
+    return participant;
+}
+
+/**
+ * Remove a participant and end the room if nobody is left. Returns the participant, if any.
+ */
+function removeParticipant(room, participantId, reason = "left") {
+    const participant = room.participants.get(participantId);
+    if (!participant) {
+        return null;
+    }
+
+    room.participants.delete(participantId);
+    participant.mixer.stop();
+    remix(room);
+    console.log(`Participant ${participant.name} left conference ${room.id} (${reason})`);
+    conferenceEvents.emit("participant-left", { room, participant, reason });
+
+    if (!room.participants.size) {
+        rooms.delete(room.id);
+        console.log(`Conference ${room.id} ended. Active rooms: ${rooms.size}`);
+        conferenceEvents.emit("room-ended", { room });
+    }
+    return participant;
+}
+
+function setParticipantMuted(room, participantId, muted) {
+    const participant = room.participants.get(participantId);
+    if (!participant) {
+        return null;
+    }
+
+    participant.muted = !!muted;
+    remix(room);
+    console.log(`Participant ${participant.name} in conference ${room.id} ${participant.muted ? "muted" : "unmuted"}`);
+    conferenceEvents.emit("participant-updated", { room, participant });
+    return participant;
+}
+
+/**
+ * Find the room and participant a WhatsApp call or agent socket belongs to.
+ */
+function findParticipant(participantId) {
+    for (const room of rooms.values()) {
+        const participant = room.participants.get(participantId);
+        if (participant) {
+            return { room, participant };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    conferenceEvents,
+    createRoom,
+    getRoom,
+    getAllRooms,
+    describeRoom,
+    describeParticipant,
+    addParticipant,
+    removeParticipant,
+    setParticipantMuted,
+    findParticipant,
+};
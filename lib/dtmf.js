@@ -0,0 +1,215 @@
+const { SAMPLE_RATE, resample } = require("./audio");
+const { parseSdp, getCodecs } = require("./sdp");
+
+/**
+ * DTMF (keypad digit) helpers.
+ *
+ * Digits reach us as RFC 4733 telephone-events when the caller's offer has the telephone-event
+ * codec, which our answer then keeps, and as in-band tones in the caller's audio otherwise.
+ * wrtc does not hand received telephone-events to JavaScript, but its audio receiver (WebRTC's
+ * NetEq) plays each event out as the tone pair of its digit, so the Goertzel detector below hears
+ * both kinds in the decoded audio. A client that sends in-band tones despite negotiating
+ * telephone-event is still heard.
+ */
+const DETECTION_RATE = 8000;
+// 205 samples at 8 kHz (~25 ms) separates the DTMF frequencies well
+const BLOCK_SAMPLES = 205;
+const ROW_FREQUENCIES = [697, 770, 852, 941];
+const COLUMN_FREQUENCIES = [1209, 1336, 1477, 1633];
+const KEYS = [
+    ["1", "2", "3", "A"],
+    ["4", "5", "6", "B"],
+    ["7", "8", "9", "C"],
+    ["*", "0", "#", "D"],
+];
+
+// Blocks quieter than this RMS (about -45 dBFS) are not a key press, however clean the tones
+const MIN_RMS = 200;
+// Tone power must stand out this much from the block energy, and row/column power from each other
+const MIN_TONE_RATIO = 0.1;
+const MAX_TWIST = 8;
+// A digit must be seen in this many consecutive blocks (~50 ms) before it is reported
+const MIN_BLOCKS = 2;
+
+// Low-pass applied before decimating to DETECTION_RATE: above the highest DTMF tone (1633 Hz) and
+// steep enough that sound above 4 kHz cannot fold back onto the DTMF frequencies. Q values of a
+// 4th-order Butterworth filter, as two biquad sections.
+const LOW_PASS_CUTOFF = 2000;
+const LOW_PASS_Q = [0.5412, 1.3066];
+
+/**
+ * A biquad low-pass section (RBJ audio EQ cookbook) that keeps its state between calls, so a
+ * stream can be filtered chunk by chunk.
+ */
+function createLowPass(cutoff, q, sampleRate) {
+    const w0 = 2 * Math.PI * cutoff / sampleRate;
+    const alpha = Math.sin(w0) / (2 * q);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    const b0 = (1 - cos) / 2 / a0;
+    const b1 = (1 - cos) / a0;
+    const b2 = b0;
+    const a1 = -2 * cos / a0;
+    const a2 = (1 - alpha) / a0;
+    let x1 = 0;
+    let x2 = 0;
+    let y1 = 0;
+    let y2 = 0;
+
+    return (samples) => {
+        const output = new Float64Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+            x2 = x1;
+            x1 = x;
+            y2 = y1;
+            y1 = y;
+            output[i] = y;
+        }
+        return output;
+    };
+}
+
+/**
+ * Converts a stream of mono PCM at `sampleRate` to DETECTION_RATE, low-pass filtering it first.
+ * Whole ratios (48 kHz) keep every n-th sample across chunks; others are resampled per chunk.
+ */
+function createDecimator(sampleRate) {
+    const filters = LOW_PASS_Q.map((q) => createLowPass(LOW_PASS_CUTOFF, q, sampleRate));
+    const factor = sampleRate / DETECTION_RATE;
+    let phase = 0;
+
+    return (samples) => {
+        const filtered = Int16Array.from(filters.reduce((input, filter) => filter(input), samples),
+            (sample) => Math.max(-0x8000, Math.min(0x7fff, Math.round(sample))));
+        if (!Number.isInteger(factor)) {
+            return resample(filtered, sampleRate, DETECTION_RATE);
+        }
+        const output = new Int16Array(Math.ceil((filtered.length - phase) / factor));
+        for (let i = 0; i < output.length; i++) {
+            output[i] = filtered[phase + i * factor];
+        }
+        phase = (phase + output.length * factor) - filtered.length;
+        return output;
+    };
+}
+
+function goertzel(samples, frequency, sampleRate) {
+    const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+    let previous = 0;
+    let beforePrevious = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const current = samples[i] + coefficient * previous - beforePrevious;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+}
+
+function strongest(powers) {
+    let index = 0;
+    for (let i = 1; i < powers.length; i++) {
+        if (powers[i] > powers[index]) {
+            index = i;
+        }
+    }
+    return index;
+}
+
+/**
+ * The digit in one block of 8 kHz samples, or null if there is none.
+ */
+function detectDigit(block) {
+    let energy = 0;
+    for (let i = 0; i < block.length; i++) {
+        energy += block[i] * block[i];
+    }
+    if (energy / block.length < MIN_RMS * MIN_RMS) {
+        return null;
+    }
+
+    const rowPowers = ROW_FREQUENCIES.map((frequency) => goertzel(block, frequency, DETECTION_RATE));
+    const columnPowers = COLUMN_FREQUENCIES.map((frequency) => goertzel(block, frequency, DETECTION_RATE));
+    const row = strongest(rowPowers);
+    const column = strongest(columnPowers);
+    const rowPower = rowPowers[row];
+    const columnPower = columnPowers[column];
+
+    // Goertzel power is scaled by N/2 relative to the block energy for a pure tone
+    const scale = block.length / 2;
+    if (rowPower / scale < energy * MIN_TONE_RATIO || columnPower / scale < energy * MIN_TONE_RATIO) {
+        return null;
+    }
+    if (rowPower > columnPower * MAX_TWIST || columnPower > rowPower * MAX_TWIST) {
+        return null;
+    }
+
+    // Each tone must clearly beat the other candidates in its group
+    const rowRunnerUp = Math.max(...rowPowers.filter((_, i) => i !== row));
+    const columnRunnerUp = Math.max(...columnPowers.filter((_, i) => i !== column));
+    if (rowRunnerUp * 4 > rowPower || columnRunnerUp * 4 > columnPower) {
+        return null;
+    }
+    return KEYS[row][column];
+}
+
+/**
+ * In-band DTMF detector. Feed it mono PCM at `sampleRate` with `push(samples)`; `onDigit(digit)`
+ * is called once per key press.
+ */
+function createDtmfDetector(onDigit, { sampleRate = SAMPLE_RATE } = {}) {
+    let pending = new Int16Array(0);
+    let candidate = null;
+    let candidateBlocks = 0;
+    let reported = null;
+    const decimate = sampleRate === DETECTION_RATE ? null : createDecimator(sampleRate);
+
+    function push(samples) {
+        const input = decimate ? decimate(samples) : samples;
+        const buffer = new Int16Array(pending.length + input.length);
+        buffer.set(pending);
+        buffer.set(input, pending.length);
+
+        let offset = 0;
+        for (; offset + BLOCK_SAMPLES <= buffer.length; offset += BLOCK_SAMPLES) {
+            const digit = detectDigit(buffer.subarray(offset, offset + BLOCK_SAMPLES));
+
+            candidateBlocks = digit === candidate ? candidateBlocks + 1 : 1;
+            candidate = digit;
+
+            // Report a digit once, and only again after a gap or a different digit
+            if (candidate && candidateBlocks >= MIN_BLOCKS && candidate !== reported) {
+                reported = candidate;
+                onDigit(candidate);
+            } else if (!candidate && candidateBlocks >= MIN_BLOCKS) {
+                reported = null;
+            }
+        }
+        pending = buffer.slice(offset);
+    }
+
+    return { push };
+}
+
+/**
+ * True if an SDP offers RFC 4733 telephone-events.
+ */
+function hasTelephoneEvent(sdp) {
+    return parseSdp(sdp).media.some((media) => getCodecs(media).some((codec) => codec.name?.toLowerCase() === "telephone-event"));
+}
+
+/**
+ * How keypad digits reach us on a call answered with `answerSdp`: "rfc4733" if telephone-event
+ * was negotiated, "inband" otherwise.
+ */
+function getDtmfMode(answerSdp) {
+    return hasTelephoneEvent(answerSdp) ? "rfc4733" : "inband";
+}
+
+module.exports = {
+    createDtmfDetector,
+    detectDigit,
+    getDtmfMode,
+    hasTelephoneEvent,
+};
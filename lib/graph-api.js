@@ -0,0 +1,267 @@
+const axios = require("axios");
+
+/**
+ * Client for the WhatsApp Cloud API on the Meta Graph API, shared by everything that calls it.
+ *
+ * Requests go to GRAPH_API_BASE_URL/GRAPH_API_VERSION/<path> with the ACCESS_TOKEN and time out
+ * after GRAPH_API_TIMEOUT_MS. Failures are thrown as GraphApiError or one of its subclasses,
+ * chosen from the HTTP status and the Graph error code, so callers branch on the class rather
+ * than on codes:
+ *
+ *   PermissionRequiredError  138006: the user has not allowed the business to call them
+ *   RateLimitedError         HTTP 429, throttling codes, 138009 (permission requests) and
+ *                            138010 (calls); `retryAfterMs` when known
+ *   RecipientBusyError       the user is already on a call
+ *   AuthError                HTTP 401/403, invalid or expired token (190) and permission codes
+ *   InvalidSdpError          Graph rejected the SDP we sent
+ *
+ * Timeouts, network errors, 5xx responses and short rate limits are retried up to
+ * GRAPH_API_MAX_RETRIES times with exponential backoff, or after `Retry-After` when the
+ * response has one. Requests that must not run twice (starting a call) are only retried when
+ * Graph certainly did not act on them: rate limits and connections that never got through.
+ *
+ * isRetryable() tells whether an error that got through all of that is still worth trying
+ * again later, e.g. from the webhook queue: timeouts, network errors, 5xx and rate limits.
+ */
+const GRAPH_API_BASE_URL = (process.env.GRAPH_API_BASE_URL || "https://graph.facebook.com").replace(/\/+$/, "");
+const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || "v19.0";
+const GRAPH_API_TIMEOUT_MS = Number(process.env.GRAPH_API_TIMEOUT_MS) || 10000;
+const GRAPH_API_MAX_RETRIES = Number(process.env.GRAPH_API_MAX_RETRIES ?? 3);
+const GRAPH_API_RETRY_BASE_MS = Number(process.env.GRAPH_API_RETRY_BASE_MS) || 500;
+// Rate limits lifting later than this are reported to the caller instead of waited out
+const GRAPH_API_MAX_RETRY_AFTER_MS = Number(process.env.GRAPH_API_MAX_RETRY_AFTER_MS) || 30000;
+
+const PERMISSION_REQUIRED_CODES = [138006];
+const RATE_LIMIT_CODES = [4, 17, 32, 613, 80007, 130429, 131048, 131056, 138009, 138010];
+const AUTH_CODES = [10, 102, 190, 200, 3];
+// Connection failures where the request never reached Graph
+const NOT_SENT_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+class GraphApiError extends Error {
+    constructor(message, { status = null, code = null, subcode = null, graphType = null, fbtraceId = null, data = null, retryAfterMs = null, cause = null } = {}) {
+        super(message);
+        this.name = "GraphApiError";
+        this.category = "api_error";
+        this.status = status;
+        this.code = code;
+        this.subcode = subcode;
+        this.graphType = graphType;
+        this.fbtraceId = fbtraceId;
+        this.data = data;
+        this.retryAfterMs = retryAfterMs;
+        this.cause = cause;
+    }
+}
+
+class PermissionRequiredError extends GraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "PermissionRequiredError";
+        this.category = "permission_required";
+    }
+}
+
+class RateLimitedError extends GraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "RateLimitedError";
+        this.category = "rate_limited";
+    }
+}
+
+class RecipientBusyError extends GraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "RecipientBusyError";
+        this.category = "recipient_busy";
+    }
+}
+
+class AuthError extends GraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "AuthError";
+        this.category = "auth_failed";
+    }
+}
+
+class InvalidSdpError extends GraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "InvalidSdpError";
+        this.category = "invalid_sdp";
+    }
+}
+
+/**
+ * Retry-After as milliseconds: either seconds or an HTTP date. Null if absent or unreadable.
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * The GraphApiError (subclass) for a failed axios request.
+ */
+function classifyError(error) {
+    const response = error.response;
+    if (!response) {
+        const timedOut = error.code === "ECONNABORTED" || error.code === "ETIMEDOUT";
+        return new GraphApiError(timedOut ? `Graph API request timed out after ${GRAPH_API_TIMEOUT_MS}ms` : `Graph API request failed: ${error.message}`, {
+            code: error.code || null,
+            cause: error,
+        });
+    }
+
+    const graphError = response.data?.error || {};
+    const message = graphError.error_user_msg || graphError.message || `Graph API responded with HTTP ${response.status}`;
+    const details = {
+        status: response.status,
+        code: graphError.code ?? null,
+        subcode: graphError.error_subcode ?? null,
+        graphType: graphError.type || null,
+        fbtraceId: graphError.fbtrace_id || null,
+        data: response.data,
+        retryAfterMs: parseRetryAfter(response.headers?.["retry-after"]),
+        cause: error,
+    };
+    const text = `${graphError.message || ""} ${graphError.error_data?.details || ""}`.toLowerCase();
+
+    if (PERMISSION_REQUIRED_CODES.includes(details.code)) {
+        return new PermissionRequiredError(message, details);
+    }
+    if (response.status === 429 || RATE_LIMIT_CODES.includes(details.code)) {
+        return new RateLimitedError(message, details);
+    }
+    if (/already (ongoing|in progress)|busy|on another call/.test(text)) {
+        return new RecipientBusyError(message, details);
+    }
+    if (response.status === 401 || response.status === 403 || AUTH_CODES.includes(details.code) || details.graphType === "OAuthException") {
+        return new AuthError(message, details);
+    }
+    if (/\bsdp\b/.test(text)) {
+        return new InvalidSdpError(message, details);
+    }
+    return new GraphApiError(message, details);
+}
+
+/**
+ * How long to wait before retrying after `error`, or null if it must not be retried.
+ */
+function retryDelay(error, attempt, idempotent) {
+    if (error instanceof RateLimitedError) {
+        // 138009 is a 24 hour limit on permission requests: nothing to wait for here
+        if (error.code === 138009) {
+            return null;
+        }
+        const delay = error.retryAfterMs ?? GRAPH_API_RETRY_BASE_MS * 2 ** attempt;
+        return delay <= GRAPH_API_MAX_RETRY_AFTER_MS ? delay : null;
+    }
+    if (error.constructor !== GraphApiError) {
+        return null;
+    }
+
+    const notSent = error.status === null && NOT_SENT_ERRORS.includes(error.code);
+    const transient = error.status === null || error.status >= 500;
+    if (!notSent && !(idempotent && transient)) {
+        return null;
+    }
+    // Full jitter keeps a burst of failed requests from retrying in lockstep
+    return Math.round(Math.random() * GRAPH_API_RETRY_BASE_MS * 2 ** attempt);
+}
+
+/**
+ * True if the request that failed with `error` may succeed when tried again later; false for
+ * errors that will not go away by themselves (bad requests, permissions, auth, invalid SDP).
+ */
+function isRetryable(error) {
+    if (error instanceof RateLimitedError) {
+        return error.code !== 138009;
+    }
+    return error?.constructor === GraphApiError && (error.status === null || error.status >= 500);
+}
+
+/**
+ * Call the Graph API. `path` is relative to the version, e.g. "<phone number id>/calls".
+ * Resolves with the response body; rejects with a GraphApiError once retries are used up.
+ * Pass `idempotent: false` for requests that must not be repeated if Graph may have acted.
+ */
+async function graphRequest(method, path, { data = undefined, params = undefined, idempotent = true, timeoutMs = GRAPH_API_TIMEOUT_MS } = {}) {
+    const url = `${GRAPH_API_BASE_URL}/${GRAPH_API_VERSION}/${path.replace(/^\/+/, "")}`;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await axios.request({
+                method,
+                url,
+                data,
+                params,
+                timeout: timeoutMs,
+                headers: {
+                    Authorization: `Bearer ${process.env.ACCESS_TOKEN}`,
+                    "Content-Type": "application/json",
+                },
+            });
+            return response.data;
+        } catch (err) {
+            const error = classifyError(err);
+            const delay = attempt < GRAPH_API_MAX_RETRIES ? retryDelay(error, attempt, idempotent) : null;
+            if (delay === null) {
+                console.error(`Graph API ${method.toUpperCase()} ${path} failed: ${error.name} ${error.code ?? ""} ${error.message}`);
+                throw error;
+            }
+            console.warn(`Graph API ${method.toUpperCase()} ${path} failed (${error.message}), retry ${attempt + 1}/${GRAPH_API_MAX_RETRIES} in ${delay}ms`);
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * POST to the business phone number's /calls endpoint (connect, pre_accept, accept, reject,
+ * terminate).
+ */
+function sendCallAction(body, options = {}) {
+    return graphRequest("post", `${process.env.PHONE_NUMBER_ID}/calls`, {
+        data: { messaging_product: "whatsapp", ...body },
+        // Retrying a connect that Graph may have received would ring the user twice
+        idempotent: body.action !== "connect",
+        ...options,
+    });
+}
+
+/**
+ * POST to the business phone number's /messages endpoint.
+ */
+function sendMessage(body, options = {}) {
+    return graphRequest("post", `${process.env.PHONE_NUMBER_ID}/messages`, {
+        data: { messaging_product: "whatsapp", ...body },
+        // A message is delivered again if the request is repeated
+        idempotent: false,
+        ...options,
+    });
+}
+
+function describeGraphApi() {
+    return `${GRAPH_API_BASE_URL}/${GRAPH_API_VERSION}/${process.env.PHONE_NUMBER_ID}`;
+}
+
+module.exports = {
+    GraphApiError,
+    PermissionRequiredError,
+    RateLimitedError,
+    RecipientBusyError,
+    AuthError,
+    InvalidSdpError,
+    isRetryable,
+    graphRequest,
+    sendCallAction,
+    sendMessage,
+    describeGraphApi,
+};
@@ -0,0 +1,123 @@
+const { loadAudioFile, createTone, createPlayer } = require("./audio");
+
+/**
+ * Hold and resume for bridged calls.
+ *
+ * While a call is held the WhatsApp leg hears looping hold music instead of the agent's mic,
+ * and the caller's audio is no longer forwarded to the agent. The tracks the senders carried
+ * before the hold are restored on resume. Hold time is accumulated on the session.
+ */
+const HOLD_MUSIC_FILE = process.env.HOLD_MUSIC_FILE || null;
+
+let holdMusicPromise = null;
+
+/**
+ * Decoded hold music, loaded once. Falls back to a soft repeating tone if no file is configured
+ * or it cannot be decoded.
+ */
+function getHoldMusic() {
+    if (!holdMusicPromise) {
+        holdMusicPromise = (async () => {
+            if (HOLD_MUSIC_FILE) {
+                try {
+                    return await loadAudioFile(HOLD_MUSIC_FILE);
+                } catch (err) {
+                    console.error(`Failed to load hold music ${HOLD_MUSIC_FILE}, using default tone:`, err.message);
+                }
+            }
+            return createTone();
+        })();
+    }
+    return holdMusicPromise;
+}
+
+function isOnHold(session) {
+    return !!session.hold;
+}
+
+/**
+ * Total time the call has spent on hold, including the current hold.
+ */
+function getHoldSeconds(session) {
+    const currentMs = session.hold ? Date.now() - session.hold.startedAt.getTime() : 0;
+    return Math.round((session.totalHoldMs + currentMs) / 1000);
+}
+
+/**
+ * Put a call on hold. Returns false if it already is or has no WhatsApp sender to play into.
+ */
+async function holdCall(session) {
+    if (session.hold || !session.whatsappSender) {
+        return false;
+    }
+
+    // Claim the hold before awaiting so a double click cannot start two players
+    session.hold = {
+        startedAt: new Date(),
+        player: null,
+        whatsappTrack: session.whatsappSender.track,
+        browserTrack: session.browserSender?.track || null,
+    };
+
+    const player = createPlayer(await getHoldMusic(), { loop: true });
+    if (!session.hold) {
+        // Resumed while the music was loading
+        player.stop();
+        return false;
+    }
+    session.hold.player = player;
+
+    await session.whatsappSender.replaceTrack(player.track);
+    if (session.browserSender) {
+        await session.browserSender.replaceTrack(null);
+    }
+
+    session.holdCount += 1;
+    console.log(`Call ${session.callId} placed on hold (hold #${session.holdCount})`);
+    return true;
+}
+
+/**
+ * Take a call off hold and restore both audio directions.
+ */
+async function resumeCall(session) {
+    const { hold } = session;
+    if (!hold) {
+        return false;
+    }
+
+    session.hold = null;
+    session.totalHoldMs += Date.now() - hold.startedAt.getTime();
+
+    if (hold.player) {
+        await session.whatsappSender.replaceTrack(hold.whatsappTrack);
+        if (session.browserSender) {
+            await session.browserSender.replaceTrack(hold.browserTrack);
+        }
+        hold.player.stop();
+    }
+
+    console.log(`Call ${session.callId} resumed after ${getHoldSeconds(session)}s total on hold`);
+    return true;
+}
+
+/**
+ * Stop hold music without touching the peer connections, for calls that are ending.
+ */
+function releaseHold(session) {
+    if (!session.hold) {
+        return;
+    }
+    session.totalHoldMs += Date.now() - session.hold.startedAt.getTime();
+    session.hold.player?.stop();
+    session.hold = null;
+}
+
+module.exports = {
+    getHoldMusic,
+    isOnHold,
+    getHoldSeconds,
+    holdCall,
+    resumeCall,
+    releaseHold,
+};
@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+
+/**
+ * STUN / TURN configuration for every peer connection, ours and the agents' browsers.
+ *
+ * ICE_SERVERS takes a JSON array of RTCIceServer objects and replaces everything else. Otherwise
+ * the list is built from STUN_URLS and TURN_URLS (comma separated; use `?transport=tcp` and
+ * `turns:` URLs for TCP and TLS). TURN servers use either the static TURN_USERNAME /
+ * TURN_CREDENTIAL or, with TURN_SECRET, time-limited credentials following the TURN REST API
+ * convention (coturn `use-auth-secret`): the username is `<expiry timestamp>:<user>` and the
+ * password the base64 HMAC-SHA1 of the username keyed with the shared secret.
+ */
+const DEFAULT_STUN_URLS = "stun:stun.relay.metered.ca:80";
+const STUN_URLS = splitUrls(process.env.STUN_URLS ?? DEFAULT_STUN_URLS);
+const TURN_URLS = splitUrls(process.env.TURN_URLS || "");
+const TURN_USERNAME = process.env.TURN_USERNAME || null;
+const TURN_CREDENTIAL = process.env.TURN_CREDENTIAL || null;
+const TURN_SECRET = process.env.TURN_SECRET || null;
+const TURN_CREDENTIAL_TTL_SECONDS = Number(process.env.TURN_CREDENTIAL_TTL_SECONDS) || 3600;
+
+const ICE_SERVERS_OVERRIDE = parseIceServers(process.env.ICE_SERVERS);
+
+if (TURN_URLS.length && !TURN_SECRET && !(TURN_USERNAME && TURN_CREDENTIAL)) {
+    console.warn("TURN_URLS is set without TURN_SECRET or TURN_USERNAME/TURN_CREDENTIAL; TURN servers are skipped");
+}
+
+function splitUrls(value) {
+    return value.split(",").map((url) => url.trim()).filter(Boolean);
+}
+
+function parseIceServers(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        const servers = JSON.parse(value);
+        if (!Array.isArray(servers) || !servers.every((server) => server && server.urls)) {
+            throw new Error("expected an array of { urls, username?, credential? }");
+        }
+        return servers;
+    } catch (err) {
+        console.error("Ignoring invalid ICE_SERVERS:", err.message);
+        return null;
+    }
+}
+
+/**
+ * TURN REST API credentials for `user`, valid for TURN_CREDENTIAL_TTL_SECONDS.
+ */
+function createTurnCredentials(user) {
+    const expiresAt = Math.floor(Date.now() / 1000) + TURN_CREDENTIAL_TTL_SECONDS;
+    const username = `${expiresAt}:${String(user).replace(/:/g, "_")}`;
+    const credential = crypto.createHmac("sha1", TURN_SECRET).update(username).digest("base64");
+    return { username, credential, expiresAt: new Date(expiresAt * 1000) };
+}
+
+/**
+ * ICE servers for a new peer connection. TURN credentials are minted per call for `user`
+ * (an agent id, or "server" for our own connections) when TURN_SECRET is set.
+ * Returns { iceServers, expiresAt }; expiresAt is null for static credentials.
+ */
+function getIceServers(user = "server") {
+    if (ICE_SERVERS_OVERRIDE) {
+        return { iceServers: ICE_SERVERS_OVERRIDE, expiresAt: null };
+    }
+
+    const iceServers = [];
+    let expiresAt = null;
+    if (STUN_URLS.length) {
+        iceServers.push({ urls: STUN_URLS });
+    }
+    if (TURN_URLS.length) {
+        if (TURN_SECRET) {
+            const credentials = createTurnCredentials(user);
+            expiresAt = credentials.expiresAt;
+            iceServers.push({ urls: TURN_URLS, username: credentials.username, credential: credentials.credential });
+        } else if (TURN_USERNAME && TURN_CREDENTIAL) {
+            iceServers.push({ urls: TURN_URLS, username: TURN_USERNAME, credential: TURN_CREDENTIAL });
+        }
+    }
+    return { iceServers, expiresAt };
+}
+
+/**
+ * The ICE configuration with credentials masked, for logging.
+ */
+function describeIceServers() {
+    return getIceServers().iceServers.map(({ urls, username }) => ({ urls, ...(username ? { username: "***" } : {}) }));
+}
+
+module.exports = {
+    getIceServers,
+    describeIceServers,
+};
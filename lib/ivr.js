@@ -0,0 +1,433 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const YAML = require("yaml");
+const {
+    FRAME_SAMPLES,
+    tapTrack,
+    loadAudioFile,
+    createTone,
+    createPacedTrack,
+    createSampleQueue,
+    pushSamples,
+    takeSamples,
+} = require("./audio");
+const { createDtmfDetector } = require("./dtmf");
+const { getHoldMusic } = require("./hold");
+
+/**
+ * IVR menus for inbound calls.
+ *
+ * When IVR_CONFIG points at a JSON or YAML menu file, inbound calls are answered server-side
+ * before any agent is involved. The caller hears the prompts of the current menu and picks an
+ * option with the keypad; digits are detected in the caller's audio (see lib/dtmf.js). An option can open
+ * another menu, play information, send the caller to an ACD queue or hang up.
+ *
+ *   start: main
+ *   timeoutSeconds: 5          # wait this long for a digit after a prompt
+ *   maxRetries: 2              # invalid or missing digits before a menu's `default` applies
+ *   invalidPrompt: invalid.wav
+ *   menus:
+ *     main:
+ *       prompt: main.wav
+ *       options:
+ *         "1": { action: queue, queue: sales, prompt: connecting.wav }
+ *         "2": { action: play, prompt: hours.wav, next: main }
+ *         "3": { action: menu, menu: billing }
+ *         "0": { action: hangup, prompt: goodbye.wav }
+ *       default: { action: queue }
+ *
+ * Prompt paths are relative to the menu file. A menu without `default` hangs up once its retries
+ * are used up. A queued caller hears hold music until an agent bridges the call.
+ *
+ * Events on `ivrEvents`:
+ *   menu ({ session, menu })                 - the caller entered a menu
+ *   digit ({ session, menu, digit })         - the caller pressed a key
+ *   finished ({ session, action, queue })    - action is "queue" or "hangup"
+ */
+const IVR_CONFIG = process.env.IVR_CONFIG || null;
+const IVR_ACTIONS = ["menu", "play", "queue", "hangup"];
+
+const ivrEvents = new EventEmitter();
+
+let menuPromise = null;
+
+function isIvrEnabled() {
+    return !!IVR_CONFIG;
+}
+
+function parseMenuFile(file, text) {
+    return /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+}
+
+/**
+ * Check one option (or a menu default) and resolve its prompt path.
+ */
+function normalizeAction(action, where, menuNames, baseDir) {
+    if (!action || !IVR_ACTIONS.includes(action.action)) {
+        throw new Error(`${where}: action must be one of ${IVR_ACTIONS.join(", ")}`);
+    }
+    if (action.action === "menu" && !menuNames.includes(action.menu)) {
+        throw new Error(`${where}: unknown menu '${action.menu}'`);
+    }
+    if (action.action === "play" && !action.prompt) {
+        throw new Error(`${where}: play needs a prompt`);
+    }
+    if (action.action === "play" && action.next && !menuNames.includes(action.next)) {
+        throw new Error(`${where}: unknown next menu '${action.next}'`);
+    }
+
+    return {
+        ...action,
+        queue: action.queue || null,
+        prompt: action.prompt ? path.resolve(baseDir, action.prompt) : null,
+    };
+}
+
+/**
+ * Validate a parsed menu file. Throws an Error naming the first problem found.
+ */
+function normalizeMenu(config, file) {
+    const baseDir = path.dirname(file);
+    const menuNames = Object.keys(config?.menus || {});
+    if (!menuNames.length) {
+        throw new Error("menus: at least one menu is required");
+    }
+
+    const start = config.start || menuNames[0];
+    if (!menuNames.includes(start)) {
+        throw new Error(`start: unknown menu '${start}'`);
+    }
+
+    const menus = {};
+    for (const name of menuNames) {
+        const menu = config.menus[name] || {};
+        const options = {};
+        for (const [digit, option] of Object.entries(menu.options || {})) {
+            if (!/^[0-9*#A-D]$/.test(digit)) {
+                throw new Error(`menus.${name}.options: '${digit}' is not a keypad digit`);
+            }
+            options[digit] = normalizeAction(option, `menus.${name}.options.${digit}`, menuNames, baseDir);
+        }
+
+        menus[name] = {
+            name,
+            prompt: menu.prompt ? path.resolve(baseDir, menu.prompt) : null,
+            options,
+            default: menu.default
+                ? normalizeAction(menu.default, `menus.${name}.default`, menuNames, baseDir)
+                : { action: "hangup", prompt: null },
+        };
+    }
+
+    return {
+        start,
+        timeoutMs: (Number(config.timeoutSeconds) || 5) * 1000,
+        maxRetries: Number.isInteger(config.maxRetries) ? config.maxRetries : 2,
+        invalidPrompt: config.invalidPrompt ? path.resolve(baseDir, config.invalidPrompt) : null,
+        menus,
+    };
+}
+
+/**
+ * Decode every prompt the menu refers to. A prompt that cannot be decoded is replaced by a short
+ * beep so the menu stays usable.
+ */
+async function loadPrompts(menu) {
+    const files = new Set([menu.invalidPrompt]);
+    for (const { prompt, options, default: fallback } of Object.values(menu.menus)) {
+        files.add(prompt);
+        files.add(fallback.prompt);
+        Object.values(options).forEach((option) => files.add(option.prompt));
+    }
+    files.delete(null);
+
+    const prompts = new Map();
+    for (const file of files) {
+        try {
+            prompts.set(file, await loadAudioFile(file));
+        } catch (err) {
+            console.error(`Failed to load IVR prompt ${file}, using a beep instead:`, err.message);
+            prompts.set(file, createTone({ frequency: 660, toneMs: 200, silenceMs: 300 }));
+        }
+    }
+    return prompts;
+}
+
+/**
+ * The IVR menu from IVR_CONFIG with its prompts decoded, loaded once. Resolves to null if the IVR
+ * is disabled or the menu file is invalid, in which case calls go straight to the queue.
+ */
+function getIvrMenu() {
+    if (!menuPromise) {
+        menuPromise = (async () => {
+            if (!IVR_CONFIG) {
+                return null;
+            }
+            try {
+                const file = path.resolve(IVR_CONFIG);
+                const menu = normalizeMenu(parseMenuFile(file, await fs.promises.readFile(file, "utf8")), file);
+                menu.prompts = await loadPrompts(menu);
+                console.log(`IVR menu loaded from ${file}: ${Object.keys(menu.menus).length} menu(s), starting at '${menu.start}'`);
+                return menu;
+            } catch (err) {
+                console.error(`Invalid IVR menu ${IVR_CONFIG}, inbound calls go straight to the queue:`, err.message);
+                return null;
+            }
+        })();
+    }
+    return menuPromise;
+}
+
+/**
+ * Outgoing audio of the IVR: the current prompt, then hold music or silence. Playing a new clip
+ * cuts off the one before it, so callers can press a key without waiting for the prompt to end.
+ */
+function createOutput() {
+    const output = { queue: createSampleQueue(), onDrained: null, music: null, musicPosition: 0 };
+
+    const paced = createPacedTrack(() => {
+        if (output.queue.length) {
+            const frame = takeSamples(output.queue, FRAME_SAMPLES);
+            if (!output.queue.length && output.onDrained) {
+                const onDrained = output.onDrained;
+                output.onDrained = null;
+                setImmediate(onDrained);
+            }
+            return frame;
+        }
+
+        const frame = new Int16Array(FRAME_SAMPLES);
+        if (output.music?.length) {
+            for (let i = 0; i < FRAME_SAMPLES; i++) {
+                frame[i] = output.music[output.musicPosition];
+                output.musicPosition = (output.musicPosition + 1) % output.music.length;
+            }
+        }
+        return frame;
+    });
+
+    output.track = paced.track;
+    output.stop = paced.stop;
+    return output;
+}
+
+function play(output, samples, onDrained = null) {
+    output.queue = createSampleQueue();
+    output.onDrained = null;
+    if (samples?.length) {
+        pushSamples(output.queue, samples);
+        output.onDrained = onDrained;
+    } else if (onDrained) {
+        setImmediate(onDrained);
+    }
+}
+
+/**
+ * Set up the IVR for a call that is about to be answered. Returns the track to send to the
+ * WhatsApp leg, or null if the IVR is disabled.
+ */
+async function createIvr(session) {
+    const menu = await getIvrMenu();
+    if (!menu) {
+        return null;
+    }
+
+    session.ivr = {
+        menu,
+        current: null,
+        status: "starting",
+        retries: 0,
+        timer: null,
+        digits: [],
+        output: createOutput(),
+        stopListening: null,
+        startedAt: new Date(),
+    };
+    return session.ivr.output.track;
+}
+
+/**
+ * Listen for keypad tones in the caller's audio, where RFC 4733 digits are played out too.
+ */
+function listenForDigits(session, track) {
+    const { ivr } = session;
+    if (!ivr || !track || ivr.stopListening) {
+        return;
+    }
+
+    const detector = createDtmfDetector((digit) => handleDigit(session, digit));
+    ivr.stopListening = tapTrack(track, (samples) => detector.push(samples));
+}
+
+function getPrompt(ivr, file) {
+    return file ? ivr.menu.prompts.get(file) : null;
+}
+
+function startTimer(session) {
+    const { ivr } = session;
+    clearTimeout(ivr.timer);
+    ivr.timer = setTimeout(() => {
+        console.log(`IVR for call ${session.callId}: no input in menu '${ivr.current.name}'`);
+        retryMenu(session);
+    }, ivr.menu.timeoutMs);
+}
+
+function promptMenu(session) {
+    const { ivr } = session;
+    ivr.status = "menu";
+    play(ivr.output, getPrompt(ivr, ivr.current.prompt), () => {
+        if (session.ivr === ivr && ivr.status === "menu") {
+            startTimer(session);
+        }
+    });
+}
+
+function enterMenu(session, name) {
+    const { ivr } = session;
+    ivr.current = ivr.menu.menus[name];
+    ivr.retries = 0;
+    console.log(`IVR for call ${session.callId}: menu '${name}'`);
+    ivrEvents.emit("menu", { session, menu: name });
+    promptMenu(session);
+}
+
+/**
+ * Play the menu again after an invalid or missing digit, or apply its default once the caller
+ * has had `maxRetries` more tries.
+ */
+function retryMenu(session) {
+    const { ivr } = session;
+    clearTimeout(ivr.timer);
+    ivr.retries += 1;
+    if (ivr.retries > ivr.menu.maxRetries) {
+        performAction(session, ivr.current.default);
+        return;
+    }
+
+    ivr.status = "retrying";
+    play(ivr.output, getPrompt(ivr, ivr.menu.invalidPrompt), () => {
+        if (session.ivr === ivr && ivr.status === "retrying") {
+            promptMenu(session);
+        }
+    });
+}
+
+function finish(session, action, queue = null) {
+    session.ivr.status = "finished";
+    console.log(`IVR for call ${session.callId} finished: ${action}${queue ? ` (queue ${queue})` : ""}`);
+    ivrEvents.emit("finished", { session, action, queue });
+}
+
+function performAction(session, action) {
+    const { ivr } = session;
+    clearTimeout(ivr.timer);
+
+    switch (action.action) {
+        case "menu":
+            enterMenu(session, action.menu);
+            break;
+        case "play":
+            ivr.status = "playing";
+            play(ivr.output, getPrompt(ivr, action.prompt), () => {
+                if (session.ivr === ivr && ivr.status === "playing") {
+                    enterMenu(session, action.next || ivr.current.name);
+                }
+            });
+            break;
+        case "queue":
+            // The caller waits in the queue while the prompt plays, then hears hold music
+            ivr.status = "queued";
+            play(ivr.output, getPrompt(ivr, action.prompt));
+            getHoldMusic().then((music) => {
+                ivr.output.music = music;
+            });
+            finish(session, "queue", action.queue);
+            break;
+        case "hangup":
+            ivr.status = "hanging_up";
+            play(ivr.output, getPrompt(ivr, action.prompt), () => {
+                if (session.ivr === ivr) {
+                    finish(session, "hangup");
+                }
+            });
+            break;
+    }
+}
+
+/**
+ * A keypad digit from the caller. Digits only count while a menu is waiting for one; pressing a
+ * key during the prompt cuts it short.
+ */
+function handleDigit(session, digit) {
+    const { ivr } = session;
+    if (!ivr || ivr.status !== "menu") {
+        return false;
+    }
+
+    clearTimeout(ivr.timer);
+    ivr.digits.push(digit);
+    console.log(`IVR for call ${session.callId}: digit '${digit}' in menu '${ivr.current.name}'`);
+    ivrEvents.emit("digit", { session, menu: ivr.current.name, digit });
+
+    const option = ivr.current.options[digit];
+    if (option) {
+        performAction(session, option);
+    } else {
+        retryMenu(session);
+    }
+    return true;
+}
+
+/**
+ * Start the menu once the call has been answered.
+ */
+function runIvr(session) {
+    if (session.ivr?.status === "starting") {
+        enterMenu(session, session.ivr.menu.start);
+    }
+}
+
+/**
+ * Serializable IVR progress of a call, for the UI.
+ */
+function describeIvr(session) {
+    const { ivr } = session;
+    if (!ivr) {
+        return null;
+    }
+    return {
+        status: ivr.status,
+        menu: ivr.current?.name || null,
+        digits: ivr.digits.join(""),
+        startedAt: ivr.startedAt.toISOString(),
+    };
+}
+
+/**
+ * Stop prompts, music and digit detection. The caller of this function must already have pointed
+ * the WhatsApp sender at another track (or be ending the call).
+ */
+function stopIvr(session) {
+    const { ivr } = session;
+    if (!ivr) {
+        return;
+    }
+    session.ivr = null;
+    clearTimeout(ivr.timer);
+    ivr.stopListening?.();
+    ivr.output.stop();
+}
+
+module.exports = {
+    IVR_CONFIG,
+    ivrEvents,
+    isIvrEnabled,
+    getIvrMenu,
+    createIvr,
+    listenForDigits,
+    handleDigit,
+    runIvr,
+    describeIvr,
+    stopIvr,
+};
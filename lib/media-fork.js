@@ -0,0 +1,261 @@
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const {
+    SAMPLE_RATE,
+    FRAME_SAMPLES,
+    resample,
+    tapTrack,
+    createPacedTrack,
+    createSampleQueue,
+    pushSamples,
+    takeSamples,
+} = require("./audio");
+
+/**
+ * Media fork: live call audio over a WebSocket to an external service (voice bot, analytics).
+ *
+ * Every message is JSON. Once the socket is open the server sends
+ *
+ *   { event: "start", callId, callerName, callerNumber, direction, tracks, encoding, sampleRate, frameMs }
+ *
+ * followed by one `media` message per frame and track, and `stop` when the fork ends:
+ *
+ *   { event: "media", track: "customer" | "agent", seq, timestamp, payload }  - base64 PCM
+ *   { event: "stop", reason }
+ *
+ * PCM is 16-bit little-endian mono at MEDIA_FORK_SAMPLE_RATE. The service may send back
+ *
+ *   { event: "media", payload }   - audio to play to the WhatsApp caller
+ *   { event: "clear" }            - drop audio that has not been played yet
+ *   { event: "queue", queue }     - hand the caller to agents (optionally an ACD queue)
+ *   { event: "hangup" }           - end the call
+ *
+ * so an echo server plays the caller's own voice back to them. Audio sent back is only played
+ * while the fork owns the WhatsApp sender (`inject`), i.e. while a bot handles the call on its own.
+ *
+ * MEDIA_FORK_MODE picks which calls are forked automatically: "off" (only on request), "all"
+ * (every active call, for analytics) or "bot" (inbound calls are answered and handled by the
+ * service until it hands them to agents).
+ *
+ * Events on `forkEvents`:
+ *   queue ({ session, queue })      - the service handed the caller to agents
+ *   hangup ({ session })            - the service ended the call
+ *   closed ({ session, reason })    - the fork ended
+ */
+const MEDIA_FORK_URL = process.env.MEDIA_FORK_URL || null;
+const MEDIA_FORK_MODE = ["all", "bot"].includes(process.env.MEDIA_FORK_MODE) && MEDIA_FORK_URL
+    ? process.env.MEDIA_FORK_MODE
+    : "off";
+const MEDIA_FORK_INCLUDE_AGENT = process.env.MEDIA_FORK_INCLUDE_AGENT === "true";
+const MEDIA_FORK_SAMPLE_RATE = Number(process.env.MEDIA_FORK_SAMPLE_RATE) || 16000;
+const MEDIA_FORK_FRAME_MS = 20;
+const TRACKS = ["customer", "agent"];
+
+// Drop the oldest injected audio once this much is waiting, so a chatty service cannot add delay
+const MAX_INJECTED_SAMPLES = SAMPLE_RATE * 5;
+
+const forkEvents = new EventEmitter();
+
+/**
+ * Serializable description of a call's fork, for the UI.
+ */
+function describeFork(fork) {
+    return {
+        url: fork.url,
+        tracks: fork.tracks,
+        inject: fork.inject,
+        status: fork.status,
+        startedAt: fork.startedAt.toISOString(),
+    };
+}
+
+function send(fork, message) {
+    if (fork.ws.readyState === WebSocket.OPEN) {
+        fork.ws.send(JSON.stringify(message));
+    }
+}
+
+function sendFrames(fork, track) {
+    const frameSamples = MEDIA_FORK_SAMPLE_RATE * MEDIA_FORK_FRAME_MS / 1000;
+    const queue = fork.outgoing[track];
+
+    while (queue.length >= frameSamples) {
+        const samples = takeSamples(queue, frameSamples);
+        send(fork, {
+            event: "media",
+            track,
+            seq: fork.seq[track]++,
+            timestamp: Date.now() - fork.startedAt.getTime(),
+            payload: Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength).toString("base64"),
+        });
+    }
+}
+
+/**
+ * Point one forked track ("customer" or "agent") at a different track, e.g. once the agent's
+ * browser is connected or after a transfer.
+ */
+function setForkTrack(session, track, mediaTrack) {
+    const fork = session.mediaFork;
+    if (!fork || !fork.tracks.includes(track)) {
+        return false;
+    }
+
+    fork.taps[track]?.();
+    fork.taps[track] = null;
+    if (mediaTrack) {
+        fork.taps[track] = tapTrack(mediaTrack, (samples) => {
+            if (fork.status !== "streaming") {
+                return;
+            }
+            pushSamples(fork.outgoing[track], resample(samples, SAMPLE_RATE, MEDIA_FORK_SAMPLE_RATE));
+            sendFrames(fork, track);
+        });
+    }
+    return true;
+}
+
+function handleMessage(session, fork, data) {
+    let message;
+    try {
+        message = JSON.parse(data.toString());
+    } catch (err) {
+        console.warn(`Media fork for call ${session.callId} sent a message that is not JSON`);
+        return;
+    }
+
+    switch (message.event) {
+        case "media": {
+            if (!fork.inject || typeof message.payload !== "string") {
+                return;
+            }
+            const buffer = Buffer.from(message.payload, "base64");
+            const samples = new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(buffer.length / 2));
+            pushSamples(fork.incoming, resample(samples, MEDIA_FORK_SAMPLE_RATE, SAMPLE_RATE));
+            if (fork.incoming.length > MAX_INJECTED_SAMPLES) {
+                takeSamples(fork.incoming, fork.incoming.length - MAX_INJECTED_SAMPLES);
+            }
+            break;
+        }
+        case "clear":
+            fork.incoming = createSampleQueue();
+            break;
+        case "queue":
+            console.log(`Media fork for call ${session.callId} handed the caller to agents`);
+            forkEvents.emit("queue", { session, queue: message.queue || null });
+            break;
+        case "hangup":
+            console.log(`Media fork for call ${session.callId} ended the call`);
+            forkEvents.emit("hangup", { session });
+            break;
+        default:
+            console.warn(`Unknown media fork event '${message.event}' for call ${session.callId}`);
+    }
+}
+
+/**
+ * Start streaming a call to `url`. `tracks` are the call's { customerTrack, agentTrack };
+ * the agent's audio is only sent with `includeAgent`. With `inject` the returned fork has a
+ * `track` carrying the audio the service sends back, for the caller to hear.
+ * Returns null if the call is already forked or no URL is configured.
+ */
+function startFork(session, {
+    url = MEDIA_FORK_URL,
+    includeAgent = MEDIA_FORK_INCLUDE_AGENT,
+    inject = false,
+    customerTrack = null,
+    agentTrack = null,
+} = {}) {
+    if (session.mediaFork || !url) {
+        return null;
+    }
+
+    const fork = {
+        url,
+        tracks: includeAgent ? TRACKS : ["customer"],
+        inject,
+        status: "connecting",
+        ws: new WebSocket(url),
+        taps: { customer: null, agent: null },
+        outgoing: { customer: createSampleQueue(), agent: createSampleQueue() },
+        seq: { customer: 0, agent: 0 },
+        incoming: createSampleQueue(),
+        output: null,
+        track: null,
+        startedAt: new Date(),
+    };
+    session.mediaFork = fork;
+
+    if (inject) {
+        fork.output = createPacedTrack(() => takeSamples(fork.incoming, FRAME_SAMPLES));
+        fork.track = fork.output.track;
+    }
+
+    fork.ws.on("open", () => {
+        fork.status = "streaming";
+        fork.startedAt = new Date();
+        console.log(`Media fork for call ${session.callId} connected to ${url}`);
+        send(fork, {
+            event: "start",
+            callId: session.callId,
+            callerName: session.callerName,
+            callerNumber: session.callerNumber,
+            direction: session.direction,
+            tracks: fork.tracks,
+            encoding: "pcm_s16le",
+            sampleRate: MEDIA_FORK_SAMPLE_RATE,
+            frameMs: MEDIA_FORK_FRAME_MS,
+        });
+    });
+    fork.ws.on("message", (data) => handleMessage(session, fork, data));
+    fork.ws.on("error", (err) => {
+        console.error(`Media fork for call ${session.callId} failed:`, err.message);
+    });
+    fork.ws.on("close", () => {
+        if (session.mediaFork === fork) {
+            closeFork(session, fork, "remote_closed");
+        }
+    });
+
+    setForkTrack(session, "customer", customerTrack);
+    setForkTrack(session, "agent", agentTrack);
+    console.log(`Media fork for call ${session.callId} started (${fork.tracks.join(" + ")}${inject ? ", injecting" : ""})`);
+    return fork;
+}
+
+function closeFork(session, fork, reason) {
+    session.mediaFork = null;
+    fork.status = "closed";
+    for (const track of TRACKS) {
+        fork.taps[track]?.();
+    }
+    fork.output?.stop();
+
+    console.log(`Media fork for call ${session.callId} closed (${reason})`);
+    forkEvents.emit("closed", { session, fork, reason });
+}
+
+/**
+ * Stop streaming a call and tell the service why. Returns false if the call is not forked.
+ */
+function stopFork(session, reason = "stopped") {
+    const fork = session.mediaFork;
+    if (!fork) {
+        return false;
+    }
+
+    send(fork, { event: "stop", reason });
+    fork.ws.close();
+    closeFork(session, fork, reason);
+    return true;
+}
+
+module.exports = {
+    MEDIA_FORK_URL,
+    MEDIA_FORK_MODE,
+    forkEvents,
+    describeFork,
+    startFork,
+    setForkTrack,
+    stopFork,
+};
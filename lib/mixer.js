@@ -0,0 +1,84 @@
+const {
+    FRAME_SAMPLES,
+    tapTrack,
+    createPacedTrack,
+    createSampleQueue,
+    pushSamples,
+    takeSamples,
+} = require("./audio");
+
+/**
+ * Server-side audio mixing.
+ *
+ * A mixer taps any number of input tracks and plays their sum into one new outgoing track, so a
+ * peer can hear several others at once. Inputs can be swapped while the mixer runs; an input
+ * that stops delivering audio simply contributes silence.
+ */
+
+// Drop the oldest audio of an input that gets this far ahead, so latency cannot build up
+const MAX_BUFFERED_SAMPLES = FRAME_SAMPLES * 10;
+
+function createMixer(tracks = []) {
+    const inputs = new Map();
+
+    function addInput(track) {
+        const queue = createSampleQueue();
+        const stop = tapTrack(track, (samples) => {
+            pushSamples(queue, samples);
+            if (queue.length > MAX_BUFFERED_SAMPLES) {
+                takeSamples(queue, queue.length - MAX_BUFFERED_SAMPLES);
+            }
+        });
+        inputs.set(track.id, { track, queue, stop });
+    }
+
+    /**
+     * Replace the mixed inputs with `nextTracks` (null entries are ignored).
+     */
+    function setInputs(nextTracks) {
+        const wanted = new Map(nextTracks.filter(Boolean).map((track) => [track.id, track]));
+
+        for (const [id, input] of inputs) {
+            if (!wanted.has(id)) {
+                input.stop();
+                inputs.delete(id);
+            }
+        }
+        for (const [id, track] of wanted) {
+            if (!inputs.has(id)) {
+                addInput(track);
+            }
+        }
+    }
+
+    const output = createPacedTrack(() => {
+        const mixed = new Int32Array(FRAME_SAMPLES);
+        for (const { queue } of inputs.values()) {
+            const samples = takeSamples(queue, FRAME_SAMPLES);
+            for (let i = 0; i < FRAME_SAMPLES; i++) {
+                mixed[i] += samples[i];
+            }
+        }
+
+        const frame = new Int16Array(FRAME_SAMPLES);
+        for (let i = 0; i < FRAME_SAMPLES; i++) {
+            frame[i] = Math.max(-0x8000, Math.min(0x7fff, mixed[i]));
+        }
+        return frame;
+    });
+
+    function stop() {
+        for (const input of inputs.values()) {
+            input.stop();
+        }
+        inputs.clear();
+        output.stop();
+    }
+
+    setInputs(tracks);
+    return { track: output.track, setInputs, stop };
+}
+
+module.exports = {
+    createMixer,
+};
@@ -0,0 +1,333 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+
+/**
+ * Call quality monitoring from WebRTC statistics.
+ *
+ * While a call is active, getStats() is polled on both legs every QUALITY_POLL_MS: "whatsapp"
+ * (whatsappPc) and "browser" (browserPc). Per leg we compute jitter, packet loss and bitrate
+ * from the received RTP stream, RTT from the selected ICE candidate pair, and a MOS estimate
+ * from those with a simplified ITU-T G.107 E-model. A leg whose MOS stays below
+ * QUALITY_ALERT_MOS for QUALITY_ALERT_SAMPLES polls in a row raises an alert. When the call
+ * ends a summary per leg is written to QUALITY_DIR/<call_id>.json.
+ *
+ * Events on `qualityEvents`:
+ *   sample ({ session, legs })                - latest metrics of every connected leg
+ *   alert ({ session, leg, metrics, causes })  - a leg's quality degraded
+ *   recovered ({ session, leg, metrics })     - an alerted leg is back above the threshold
+ *   summary (summary)                         - a call's summary was stored
+ */
+const QUALITY_POLL_MS = Number(process.env.QUALITY_POLL_MS) || 2000;
+const QUALITY_ALERT_MOS = Number(process.env.QUALITY_ALERT_MOS) || 3.5;
+const QUALITY_ALERT_SAMPLES = Number(process.env.QUALITY_ALERT_SAMPLES) || 3;
+const QUALITY_DIR = process.env.QUALITY_DIR || path.join(__dirname, "..", "quality");
+const LEGS = { whatsapp: "whatsappPc", browser: "browserPc" };
+
+// Thresholds used to name what degraded a leg in an alert
+const HIGH_LOSS_PERCENT = 3;
+const HIGH_JITTER_MS = 40;
+const HIGH_RTT_MS = 300;
+
+const qualityEvents = new EventEmitter();
+
+function safeName(value) {
+    return String(value).replace(/[^\w.-]/g, "_");
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * MOS (1 - 4.5) from one-way delay, jitter and packet loss, after the E-model simplification
+ * commonly used for VoIP monitoring.
+ */
+function estimateMos({ rttMs, jitterMs, lossPercent }) {
+    const latency = (rttMs || 0) / 2 + jitterMs * 2 + 10;
+    let r = 93.2 - (latency < 160 ? latency / 40 : (latency - 120) / 10);
+    r -= lossPercent * 2.5;
+    if (r <= 0) {
+        return 1;
+    }
+    if (r >= 100) {
+        return 4.5;
+    }
+    return Math.min(4.5, Math.max(1, 1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r)));
+}
+
+/**
+ * Totals from a getStats() report: the received and sent audio RTP streams and the RTT of the
+ * selected candidate pair.
+ */
+function readReport(report) {
+    const totals = {
+        packetsReceived: 0,
+        packetsLost: 0,
+        bytesReceived: 0,
+        bytesSent: 0,
+        jitter: null,
+        rtt: null,
+        remoteRtt: null,
+    };
+
+    report.forEach((stat) => {
+        if ((stat.kind && stat.kind !== "audio") || (stat.mediaType && stat.mediaType !== "audio")) {
+            return;
+        }
+
+        if (stat.type === "inbound-rtp" && !stat.isRemote) {
+            totals.packetsReceived += stat.packetsReceived || 0;
+            totals.packetsLost += Math.max(0, stat.packetsLost || 0);
+            totals.bytesReceived += stat.bytesReceived || 0;
+            if (typeof stat.jitter === "number") {
+                totals.jitter = Math.max(totals.jitter ?? 0, stat.jitter);
+            }
+        } else if (stat.type === "outbound-rtp" && !stat.isRemote) {
+            totals.bytesSent += stat.bytesSent || 0;
+        } else if (stat.type === "remote-inbound-rtp" && typeof stat.roundTripTime === "number") {
+            totals.remoteRtt = stat.roundTripTime;
+        } else if (stat.type === "candidate-pair" && (stat.nominated || stat.selected) && stat.state === "succeeded"
+            && typeof stat.currentRoundTripTime === "number") {
+            totals.rtt = stat.currentRoundTripTime;
+        }
+    });
+    return totals;
+}
+
+function computeMetrics(previous, totals, elapsedSeconds) {
+    const received = totals.packetsReceived - previous.packetsReceived;
+    const lost = totals.packetsLost - previous.packetsLost;
+    const lossPercent = received + lost > 0 ? Math.max(0, lost) / (received + lost) * 100 : 0;
+    const rtt = totals.rtt ?? totals.remoteRtt;
+
+    const metrics = {
+        jitterMs: round((totals.jitter || 0) * 1000),
+        lossPercent: round(lossPercent),
+        rttMs: rtt === null ? null : round(rtt * 1000),
+        inboundKbps: round((totals.bytesReceived - previous.bytesReceived) * 8 / 1000 / elapsedSeconds),
+        outboundKbps: round((totals.bytesSent - previous.bytesSent) * 8 / 1000 / elapsedSeconds),
+    };
+    metrics.mos = round(estimateMos(metrics), 2);
+    return metrics;
+}
+
+function describeCauses(metrics) {
+    const causes = [];
+    if (metrics.lossPercent >= HIGH_LOSS_PERCENT) {
+        causes.push("packet_loss");
+    }
+    if (metrics.jitterMs >= HIGH_JITTER_MS) {
+        causes.push("jitter");
+    }
+    if (metrics.rttMs !== null && metrics.rttMs >= HIGH_RTT_MS) {
+        causes.push("latency");
+    }
+    return causes;
+}
+
+function createLegState() {
+    return {
+        pc: null,
+        previous: null,
+        previousAt: 0,
+        latest: null,
+        badSamples: 0,
+        alerting: false,
+        alerts: 0,
+        history: [],
+    };
+}
+
+async function pollLeg(session, monitor, leg) {
+    const pc = session[LEGS[leg]];
+    const state = monitor.legs[leg];
+    if (!pc || pc.connectionState === "closed") {
+        return null;
+    }
+
+    const totals = readReport(await pc.getStats());
+    const now = Date.now();
+
+    // A new peer connection (browser reload, transfer) starts its counters from zero
+    if (state.pc !== pc) {
+        state.pc = pc;
+        state.previous = totals;
+        state.previousAt = now;
+        return null;
+    }
+
+    const metrics = computeMetrics(state.previous, totals, (now - state.previousAt) / 1000);
+    state.previous = totals;
+    state.previousAt = now;
+    state.latest = metrics;
+    state.history.push(metrics);
+
+    if (metrics.mos < QUALITY_ALERT_MOS) {
+        state.badSamples++;
+        if (state.badSamples >= QUALITY_ALERT_SAMPLES && !state.alerting) {
+            state.alerting = true;
+            state.alerts++;
+            const causes = describeCauses(metrics);
+            console.warn(`Call ${session.callId} ${leg} leg quality degraded: MOS ${metrics.mos} (${causes.join(", ") || "unknown"})`);
+            qualityEvents.emit("alert", { session, leg, metrics, causes });
+        }
+    } else {
+        state.badSamples = 0;
+        if (state.alerting) {
+            state.alerting = false;
+            console.log(`Call ${session.callId} ${leg} leg quality recovered: MOS ${metrics.mos}`);
+            qualityEvents.emit("recovered", { session, leg, metrics });
+        }
+    }
+    return metrics;
+}
+
+async function poll(session, monitor) {
+    const legs = {};
+    for (const leg of Object.keys(LEGS)) {
+        try {
+            const metrics = await pollLeg(session, monitor, leg);
+            if (metrics) {
+                legs[leg] = metrics;
+            }
+        } catch (err) {
+            console.error(`Failed to read ${leg} leg stats for call ${session.callId}:`, err.message);
+        }
+    }
+
+    if (session.quality === monitor && Object.keys(legs).length) {
+        qualityEvents.emit("sample", { session, legs });
+    }
+}
+
+/**
+ * Start polling a call's peer connections. Returns false if the call is already monitored.
+ */
+function startQualityMonitor(session) {
+    if (session.quality) {
+        return false;
+    }
+
+    const monitor = {
+        legs: Object.fromEntries(Object.keys(LEGS).map((leg) => [leg, createLegState()])),
+        polling: false,
+        timer: null,
+        startedAt: new Date(),
+    };
+    monitor.timer = setInterval(async () => {
+        // A slow getStats() must not pile up polls
+        if (monitor.polling) {
+            return;
+        }
+        monitor.polling = true;
+        try {
+            await poll(session, monitor);
+        } finally {
+            monitor.polling = false;
+        }
+    }, QUALITY_POLL_MS);
+    session.quality = monitor;
+
+    console.log(`Monitoring call quality for call ${session.callId} every ${QUALITY_POLL_MS}ms`);
+    return true;
+}
+
+/**
+ * Latest metrics of every leg, for clients joining a call in progress.
+ */
+function getLatestQuality(session) {
+    const legs = {};
+    for (const [leg, state] of Object.entries(session.quality?.legs || {})) {
+        if (state.latest) {
+            legs[leg] = state.latest;
+        }
+    }
+    return legs;
+}
+
+function summarizeLeg(state) {
+    const { history } = state;
+    if (!history.length) {
+        return null;
+    }
+
+    const average = (key) => round(history.reduce((sum, metrics) => sum + (metrics[key] || 0), 0) / history.length, 2);
+    const rtts = history.map((metrics) => metrics.rttMs).filter((rtt) => rtt !== null);
+    return {
+        samples: history.length,
+        mos: { average: average("mos"), min: Math.min(...history.map((metrics) => metrics.mos)) },
+        jitterMs: { average: average("jitterMs"), max: Math.max(...history.map((metrics) => metrics.jitterMs)) },
+        lossPercent: { average: average("lossPercent"), max: Math.max(...history.map((metrics) => metrics.lossPercent)) },
+        rttMs: rtts.length ? { average: round(rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length), max: Math.max(...rtts) } : null,
+        inboundKbps: { average: average("inboundKbps") },
+        outboundKbps: { average: average("outboundKbps") },
+        alerts: state.alerts,
+    };
+}
+
+/**
+ * Stop polling and store the call's quality summary. Resolves with the summary, or null if the
+ * call was not monitored or no stats were collected.
+ */
+async function stopQualityMonitor(session) {
+    const monitor = session.quality;
+    if (!monitor) {
+        return null;
+    }
+    session.quality = null;
+    clearInterval(monitor.timer);
+
+    const legs = {};
+    for (const [leg, state] of Object.entries(monitor.legs)) {
+        const legSummary = summarizeLeg(state);
+        if (legSummary) {
+            legs[leg] = legSummary;
+        }
+    }
+    if (!Object.keys(legs).length) {
+        return null;
+    }
+
+    const summary = {
+        callId: session.callId,
+        callerName: session.callerName,
+        callerNumber: session.callerNumber,
+        direction: session.direction,
+        startedAt: monitor.startedAt.toISOString(),
+        endedAt: new Date().toISOString(),
+        legs,
+    };
+
+    await fs.promises.mkdir(QUALITY_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(QUALITY_DIR, `${safeName(session.callId)}.json`), JSON.stringify(summary, null, 2));
+
+    const worst = Math.min(...Object.values(legs).map((legSummary) => legSummary.mos.min));
+    console.log(`Quality summary saved for call ${session.callId}: lowest MOS ${worst}`);
+    qualityEvents.emit("summary", summary);
+    return summary;
+}
+
+/**
+ * Stored quality summary of a call, or null if there is none.
+ */
+async function getQualitySummary(callId) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(QUALITY_DIR, `${safeName(callId)}.json`), "utf8"));
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return null;
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    QUALITY_ALERT_MOS,
+    qualityEvents,
+    startQualityMonitor,
+    getLatestQuality,
+    stopQualityMonitor,
+    getQualitySummary,
+};
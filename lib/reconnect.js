@@ -0,0 +1,82 @@
+const EventEmitter = require("events");
+const { getAllSessions } = require("./sessions");
+const { isSameSecret } = require("./auth");
+
+/**
+ * Grace period for calls whose agent's browser went away (page reload, network blip).
+ *
+ * The WhatsApp leg keeps running while the agent is gone. When the same agent registers again
+ * within BROWSER_RECONNECT_GRACE_MS, with their agentId and the session token their previous
+ * registration was issued, their new browser leg is attached to the running call. Otherwise
+ * `expired` fires and the call is ended.
+ *
+ * Events on `reconnectEvents`:
+ *   expired (session)   - nobody came back for the call in time
+ */
+const BROWSER_RECONNECT_GRACE_MS = Number(process.env.BROWSER_RECONNECT_GRACE_MS ?? 30000);
+
+const reconnectEvents = new EventEmitter();
+
+function isReconnectEnabled() {
+    return BROWSER_RECONNECT_GRACE_MS > 0;
+}
+
+/**
+ * Keep a call alive for `agent` to come back to. Returns false if it already waits for them.
+ */
+function awaitReconnect(session, { agentId, sessionToken }) {
+    if (session.reconnect) {
+        return false;
+    }
+
+    const reconnect = {
+        agentId,
+        sessionToken,
+        // Whether the call was put on hold because the agent left, rather than by the agent
+        heldCall: false,
+        since: new Date(),
+        timer: setTimeout(() => {
+            if (session.reconnect === reconnect) {
+                session.reconnect = null;
+                console.log(`Agent ${agentId} did not come back to call ${session.callId} within ${BROWSER_RECONNECT_GRACE_MS}ms`);
+                reconnectEvents.emit("expired", session);
+            }
+        }, BROWSER_RECONNECT_GRACE_MS),
+    };
+    session.reconnect = reconnect;
+
+    console.log(`Call ${session.callId} waiting ${BROWSER_RECONNECT_GRACE_MS}ms for agent ${agentId} to reconnect`);
+    return true;
+}
+
+/**
+ * Calls waiting for `agentId` to come back, if `sessionToken` is the one that agent had.
+ */
+function findReconnectingSessions(agentId, sessionToken) {
+    return getAllSessions().filter((session) => session.reconnect?.agentId === agentId
+        && isSameSecret(session.reconnect.sessionToken, sessionToken));
+}
+
+/**
+ * Stop waiting, because the agent is back or the call ended. Returns how long the call waited
+ * in milliseconds, or null if it was not waiting.
+ */
+function endReconnect(session) {
+    const { reconnect } = session;
+    if (!reconnect) {
+        return null;
+    }
+
+    clearTimeout(reconnect.timer);
+    session.reconnect = null;
+    return Date.now() - reconnect.since.getTime();
+}
+
+module.exports = {
+    BROWSER_RECONNECT_GRACE_MS,
+    reconnectEvents,
+    isReconnectEnabled,
+    awaitReconnect,
+    findReconnectingSessions,
+    endReconnect,
+};
@@ -0,0 +1,254 @@
+const fs = require("fs");
+const path = require("path");
+const {
+    SAMPLE_RATE,
+    tapTrack,
+    createWavHeader,
+    createSampleQueue,
+    pushSamples,
+    takeSamples,
+} = require("./audio");
+
+/**
+ * Two-channel call recording.
+ *
+ * The WhatsApp leg (customer) is written to the left channel and the browser leg (agent) to
+ * the right channel of a 48 kHz 16-bit stereo WAV file per recording. A JSON sidecar with the
+ * call metadata is written next to it when the recording stops.
+ */
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, "..", "recordings");
+const CHANNELS = ["customer", "agent"];
+
+// If one leg stops delivering audio (muted, on hold), pad it with silence after this much skew
+const MAX_SKEW_SAMPLES = SAMPLE_RATE / 5;
+
+const activeRecordings = new Map();
+
+function safeName(value) {
+    return String(value).replace(/[^\w.-]/g, "_");
+}
+
+function isValidRecordingId(id) {
+    return /^[\w.-]+$/.test(id) && !id.startsWith(".");
+}
+
+function writeFrames(recording, count) {
+    if (!count || recording.failed) {
+        return;
+    }
+
+    const left = takeSamples(recording.queues.customer, count);
+    const right = takeSamples(recording.queues.agent, count);
+    const interleaved = Buffer.alloc(count * 4);
+    for (let i = 0; i < count; i++) {
+        interleaved.writeInt16LE(left[i], i * 4);
+        interleaved.writeInt16LE(right[i], i * 4 + 2);
+    }
+
+    recording.stream.write(interleaved);
+    recording.dataBytes += interleaved.length;
+}
+
+function flush(recording) {
+    const { customer, agent } = recording.queues;
+    const ready = Math.min(customer.length, agent.length);
+    const ahead = Math.max(customer.length, agent.length);
+
+    // Write what both channels have; if one channel ran far ahead, the other is silent
+    writeFrames(recording, ahead - ready > MAX_SKEW_SAMPLES ? ahead - MAX_SKEW_SAMPLES : ready);
+}
+
+/**
+ * Point a recording channel ("customer" or "agent") at a different track,
+ * e.g. after a transfer or when the track becomes available later.
+ */
+function setRecordingTrack(callId, channel, track) {
+    const recording = activeRecordings.get(callId);
+    if (!recording || !CHANNELS.includes(channel)) {
+        return false;
+    }
+
+    recording.taps[channel]?.();
+    recording.taps[channel] = null;
+
+    if (track) {
+        recording.taps[channel] = tapTrack(track, (samples) => {
+            pushSamples(recording.queues[channel], samples);
+            flush(recording);
+        });
+        console.log(`Recording ${recording.id}: ${channel} channel tapping track ${track.id}`);
+    }
+    return true;
+}
+
+/**
+ * Give up on a recording whose file can no longer be written (disk full, permissions). What was
+ * written so far stays on disk without metadata, so it is not listed.
+ */
+function failRecording(recording, err) {
+    console.error(`Recording ${recording.id} for call ${recording.callId} failed, stopping it:`, err.message);
+    if (activeRecordings.get(recording.callId) === recording) {
+        activeRecordings.delete(recording.callId);
+    }
+    for (const channel of CHANNELS) {
+        recording.taps[channel]?.();
+        recording.taps[channel] = null;
+    }
+    recording.failed = true;
+    recording.onError?.(err);
+}
+
+/**
+ * Start recording a call. Returns the active recording (existing or new). `onError(err)` is
+ * called if the recording has to stop because its file cannot be written.
+ */
+function startRecording(session, { customerTrack, agentTrack }, { onError = null } = {}) {
+    const existing = activeRecordings.get(session.callId);
+    if (existing) {
+        return existing;
+    }
+
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+
+    const id = `${safeName(session.callId)}-${Date.now()}`;
+    const file = path.join(RECORDINGS_DIR, `${id}.wav`);
+    const stream = fs.createWriteStream(file);
+    stream.write(createWavHeader(0, { channels: 2 }));
+
+    const recording = {
+        id,
+        callId: session.callId,
+        file,
+        stream,
+        onError,
+        failed: false,
+        dataBytes: 0,
+        startedAt: new Date(),
+        metadata: {
+            callerName: session.callerName,
+            callerNumber: session.callerNumber,
+            direction: session.direction,
+        },
+        queues: { customer: createSampleQueue(), agent: createSampleQueue() },
+        taps: { customer: null, agent: null },
+    };
+
+    stream.on("error", (err) => failRecording(recording, err));
+
+    activeRecordings.set(session.callId, recording);
+    setRecordingTrack(session.callId, "customer", customerTrack);
+    setRecordingTrack(session.callId, "agent", agentTrack);
+    console.log(`Recording started for call ${session.callId}: ${file}`);
+    return recording;
+}
+
+/**
+ * Stop recording a call, finalize the WAV header and write the metadata sidecar.
+ * Resolves with the recording metadata, or null if the call was not being recorded.
+ */
+async function stopRecording(callId) {
+    const recording = activeRecordings.get(callId);
+    if (!recording) {
+        return null;
+    }
+    activeRecordings.delete(callId);
+
+    for (const channel of CHANNELS) {
+        recording.taps[channel]?.();
+    }
+    writeFrames(recording, Math.max(recording.queues.customer.length, recording.queues.agent.length));
+
+    const error = await new Promise((resolve) => recording.stream.end(resolve));
+    if (error || recording.failed) {
+        // failRecording() has already reported it
+        return null;
+    }
+
+    // The data length is only known now, so rewrite the header in place
+    const fd = await fs.promises.open(recording.file, "r+");
+    await fd.write(createWavHeader(recording.dataBytes, { channels: 2 }), 0, 44, 0);
+    await fd.close();
+
+    const endedAt = new Date();
+    const metadata = {
+        id: recording.id,
+        callId,
+        ...recording.metadata,
+        channels: CHANNELS,
+        format: "wav",
+        sampleRate: SAMPLE_RATE,
+        startedAt: recording.startedAt.toISOString(),
+        endedAt: endedAt.toISOString(),
+        durationSeconds: recording.dataBytes / 4 / SAMPLE_RATE,
+        sizeBytes: recording.dataBytes + 44,
+    };
+    await fs.promises.writeFile(path.join(RECORDINGS_DIR, `${recording.id}.json`), JSON.stringify(metadata, null, 2));
+
+    console.log(`Recording stopped for call ${callId}: ${metadata.durationSeconds.toFixed(1)}s`);
+    return metadata;
+}
+
+function isRecording(callId) {
+    return activeRecordings.has(callId);
+}
+
+/**
+ * Metadata of every finished recording, newest first.
+ */
+async function listRecordings() {
+    let files;
+    try {
+        files = await fs.promises.readdir(RECORDINGS_DIR);
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return [];
+        }
+        throw err;
+    }
+
+    const recordings = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+        try {
+            recordings.push(JSON.parse(await fs.promises.readFile(path.join(RECORDINGS_DIR, file), "utf8")));
+        } catch (err) {
+            console.error(`Skipping unreadable recording metadata ${file}:`, err.message);
+        }
+    }
+    return recordings.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Path of a finished recording's audio file, or null if it does not exist.
+ */
+function getRecordingFile(id) {
+    if (!isValidRecordingId(id)) {
+        return null;
+    }
+    const file = path.join(RECORDINGS_DIR, `${id}.wav`);
+    return fs.existsSync(path.join(RECORDINGS_DIR, `${id}.json`)) ? file : null;
+}
+
+/**
+ * Delete a finished recording and its metadata. Returns false if it does not exist.
+ */
+async function deleteRecording(id) {
+    const file = getRecordingFile(id);
+    if (!file) {
+        return false;
+    }
+    await fs.promises.rm(file, { force: true });
+    await fs.promises.rm(path.join(RECORDINGS_DIR, `${id}.json`), { force: true });
+    console.log(`Recording ${id} deleted`);
+    return true;
+}
+
+module.exports = {
+    RECORDINGS_DIR,
+    startRecording,
+    stopRecording,
+    setRecordingTrack,
+    isRecording,
+    listRecordings,
+    getRecordingFile,
+    deleteRecording,
+};
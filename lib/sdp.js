@@ -0,0 +1,365 @@
+/**
+ * SDP parsing, serialization and WhatsApp interop rules.
+ *
+ * parseSdp() turns an SDP into session-level lines plus one section per m= line; every line is
+ * kept in order so serializeSdp() reproduces anything we do not touch. Attributes are
+ * { type: "a", name, value } (value is null for flags like a=rtcp-mux), other lines
+ * { type, value }.
+ *
+ * WhatsApp Cloud Calling has a few hard requirements that browsers and wrtc do not always meet
+ * on their own:
+ *   - a single audio m= line with UDP/TLS/RTP/SAVPF, Opus 48000/2 and rtcp-mux
+ *   - ICE credentials and a DTLS fingerprint
+ *   - DTLS roles: offers are `actpass` (WhatsApp's offers sometimes omit it), and our answers
+ *     must be `active` so we act as the DTLS client
+ *   - `a=ice-options:trickle` and a BUNDLE group covering the audio mid
+ *
+ * Opus parameters in the SDPs we send follow OPUS_FEC, OPUS_DTX and OPUS_MAX_BITRATE.
+ */
+const OPUS_FEC = process.env.OPUS_FEC !== "false";
+const OPUS_DTX = process.env.OPUS_DTX === "true";
+const OPUS_MAX_BITRATE = Number(process.env.OPUS_MAX_BITRATE) || null;
+
+const DTLS_PROTO = "UDP/TLS/RTP/SAVPF";
+const SETUP_ROLES = ["actpass", "active", "passive"];
+
+class SdpValidationError extends Error {
+    constructor(problems, context = "SDP") {
+        super(`Invalid ${context}: ${problems.join("; ")}`);
+        this.name = "SdpValidationError";
+        this.problems = problems;
+    }
+}
+
+function parseLine(line) {
+    const type = line[0];
+    const value = line.slice(2);
+    if (type !== "a") {
+        return { type, value };
+    }
+    const colon = value.indexOf(":");
+    return colon === -1
+        ? { type, name: value, value: null }
+        : { type, name: value.slice(0, colon), value: value.slice(colon + 1) };
+}
+
+function formatLine(line) {
+    if (line.type !== "a") {
+        return `${line.type}=${line.value}`;
+    }
+    return line.value === null ? `a=${line.name}` : `a=${line.name}:${line.value}`;
+}
+
+/**
+ * Parse an SDP. Throws SdpValidationError on lines that are not `<type>=<value>`.
+ */
+function parseSdp(text) {
+    if (typeof text !== "string" || !text.trim()) {
+        throw new SdpValidationError(["SDP is empty"]);
+    }
+
+    const sdp = { session: [], media: [] };
+    const problems = [];
+    let section = sdp.session;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+        if (!/^[a-z]=/.test(line)) {
+            problems.push(`line ${index + 1} is not a valid SDP line: "${line.slice(0, 40)}"`);
+            return;
+        }
+
+        const parsed = parseLine(line);
+        if (parsed.type === "m") {
+            const [kind, port, proto, ...formats] = parsed.value.split(" ");
+            const media = { kind, port, proto, formats, lines: [] };
+            sdp.media.push(media);
+            section = media.lines;
+            return;
+        }
+        section.push(parsed);
+    });
+
+    if (problems.length) {
+        throw new SdpValidationError(problems);
+    }
+    return sdp;
+}
+
+/**
+ * Serialize a parsed SDP with CRLF line endings.
+ */
+function serializeSdp(sdp) {
+    const lines = sdp.session.map(formatLine);
+    for (const media of sdp.media) {
+        lines.push(`m=${[media.kind, media.port, media.proto, ...media.formats].join(" ")}`);
+        lines.push(...media.lines.map(formatLine));
+    }
+    return `${lines.join("\r\n")}\r\n`;
+}
+
+function getAttributes(lines, name) {
+    return lines.filter((line) => line.type === "a" && line.name === name);
+}
+
+function getAttribute(lines, name) {
+    return getAttributes(lines, name)[0]?.value ?? null;
+}
+
+function hasAttribute(lines, name) {
+    return getAttributes(lines, name).length > 0;
+}
+
+/**
+ * Set a single attribute: the first existing one is replaced, any others removed. New attributes
+ * go after the `after` attribute if present, otherwise at the end.
+ */
+function setAttribute(lines, name, value, { after = null } = {}) {
+    const index = lines.findIndex((line) => line.type === "a" && line.name === name);
+    const attribute = { type: "a", name, value };
+    if (index !== -1) {
+        lines[index] = attribute;
+        for (let i = lines.length - 1; i > index; i--) {
+            if (lines[i].type === "a" && lines[i].name === name) {
+                lines.splice(i, 1);
+            }
+        }
+        return;
+    }
+
+    const anchor = after ? lines.findIndex((line) => line.type === "a" && line.name === after) : -1;
+    if (anchor === -1) {
+        lines.push(attribute);
+    } else {
+        lines.splice(anchor + 1, 0, attribute);
+    }
+}
+
+/**
+ * Codecs of a media section: [{ payloadType, name, clockRate, channels, fmtp }], in preference order.
+ */
+function getCodecs(media) {
+    return media.formats.map((payloadType) => {
+        const rtpmap = getAttributes(media.lines, "rtpmap").find((line) => line.value.startsWith(`${payloadType} `));
+        const fmtpLine = getAttributes(media.lines, "fmtp").find((line) => line.value.startsWith(`${payloadType} `));
+        const [name, clockRate, channels] = rtpmap ? rtpmap.value.slice(payloadType.length + 1).split("/") : [];
+        return {
+            payloadType,
+            name: name || null,
+            clockRate: clockRate ? Number(clockRate) : null,
+            channels: channels ? Number(channels) : 1,
+            fmtp: fmtpLine ? parseFmtp(fmtpLine.value.slice(payloadType.length + 1)) : {},
+        };
+    });
+}
+
+function parseFmtp(value) {
+    const params = {};
+    for (const pair of value.split(";")) {
+        const [key, ...rest] = pair.trim().split("=");
+        if (key) {
+            params[key] = rest.join("=");
+        }
+    }
+    return params;
+}
+
+function formatFmtp(params) {
+    return Object.entries(params).map(([key, value]) => (value === "" ? key : `${key}=${value}`)).join(";");
+}
+
+/**
+ * Remove every codec called `name` (case-insensitive) and its rtpmap/fmtp/rtcp-fb lines.
+ */
+function removeCodec(sdp, name) {
+    for (const media of sdp.media) {
+        const payloadTypes = getCodecs(media)
+            .filter((codec) => codec.name?.toLowerCase() === name.toLowerCase())
+            .map((codec) => codec.payloadType);
+        if (!payloadTypes.length) {
+            continue;
+        }
+        media.formats = media.formats.filter((format) => !payloadTypes.includes(format));
+        media.lines = media.lines.filter((line) => !(line.type === "a"
+            && ["rtpmap", "fmtp", "rtcp-fb"].includes(line.name)
+            && payloadTypes.some((payloadType) => line.value.startsWith(`${payloadType} `))));
+    }
+    return sdp;
+}
+
+/**
+ * Apply OPUS_FEC / OPUS_DTX / OPUS_MAX_BITRATE (or `options`) to every Opus codec.
+ */
+function applyOpusPreferences(sdp, { fec = OPUS_FEC, dtx = OPUS_DTX, maxBitrate = OPUS_MAX_BITRATE } = {}) {
+    for (const media of sdp.media) {
+        for (const codec of getCodecs(media).filter((candidate) => candidate.name?.toLowerCase() === "opus")) {
+            const params = { ...codec.fmtp, useinbandfec: fec ? "1" : "0", usedtx: dtx ? "1" : "0" };
+            if (maxBitrate) {
+                params.maxaveragebitrate = String(maxBitrate);
+            }
+            const value = `${codec.payloadType} ${formatFmtp(params)}`;
+            const index = media.lines.findIndex((line) => line.type === "a" && line.name === "fmtp"
+                && line.value.startsWith(`${codec.payloadType} `));
+            if (index === -1) {
+                const rtpmapIndex = media.lines.findIndex((line) => line.type === "a" && line.name === "rtpmap"
+                    && line.value.startsWith(`${codec.payloadType} `));
+                media.lines.splice(rtpmapIndex + 1, 0, { type: "a", name: "fmtp", value });
+            } else {
+                media.lines[index] = { type: "a", name: "fmtp", value };
+            }
+        }
+    }
+    return sdp;
+}
+
+/**
+ * Everything that keeps WhatsApp from accepting an SDP, as readable messages. `type` is
+ * "offer" or "answer".
+ */
+function validateWhatsAppSdp(sdp, type) {
+    const problems = [];
+    const audio = sdp.media.filter((media) => media.kind === "audio");
+
+    if (audio.length !== 1) {
+        problems.push(`expected exactly one audio m= line, found ${audio.length}`);
+    }
+    const otherMedia = sdp.media.filter((media) => media.kind !== "audio" && media.port !== "0");
+    if (otherMedia.length) {
+        problems.push(`unsupported active media: ${otherMedia.map((media) => media.kind).join(", ")}`);
+    }
+
+    audio.forEach((media) => {
+        const lines = [...sdp.session, ...media.lines];
+        if (media.proto !== DTLS_PROTO) {
+            problems.push(`audio uses transport ${media.proto}, expected ${DTLS_PROTO}`);
+        }
+        if (!getAttribute(lines, "ice-ufrag") || !getAttribute(lines, "ice-pwd")) {
+            problems.push("audio is missing a=ice-ufrag / a=ice-pwd");
+        }
+        const fingerprint = getAttribute(lines, "fingerprint");
+        if (!fingerprint) {
+            problems.push("audio is missing a=fingerprint");
+        } else if (!/^sha-(256|384|512) /i.test(fingerprint)) {
+            problems.push(`fingerprint must use SHA-256 or stronger, got "${fingerprint.split(" ")[0]}"`);
+        }
+
+        const setup = getAttribute(lines, "setup");
+        if (!setup) {
+            problems.push("audio is missing a=setup");
+        } else if (!SETUP_ROLES.includes(setup)) {
+            problems.push(`unknown DTLS role a=setup:${setup}`);
+        } else if (type === "offer" && setup !== "actpass") {
+            problems.push(`an offer must use a=setup:actpass, got ${setup}`);
+        } else if (type === "answer" && setup === "actpass") {
+            problems.push("an answer must pick a DTLS role (active or passive), got actpass");
+        }
+
+        if (!hasAttribute(media.lines, "rtcp-mux")) {
+            problems.push("audio is missing a=rtcp-mux");
+        }
+        const opus = getCodecs(media).find((codec) => codec.name?.toLowerCase() === "opus");
+        if (!opus) {
+            problems.push("audio does not offer Opus");
+        } else if (opus.clockRate !== 48000 || opus.channels !== 2) {
+            problems.push(`Opus must be opus/48000/2, got opus/${opus.clockRate}/${opus.channels}`);
+        }
+
+        const mid = getAttribute(media.lines, "mid");
+        const bundle = getAttributes(sdp.session, "group").find((line) => line.value.startsWith("BUNDLE"));
+        if (mid !== null && bundle && !bundle.value.split(" ").slice(1).includes(mid)) {
+            problems.push(`BUNDLE group "${bundle.value}" does not include the audio mid ${mid}`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * BUNDLE all active media sections, and make sure ICE trickle is advertised.
+ */
+function normalizeTransport(sdp) {
+    const mids = sdp.media
+        .filter((media) => media.port !== "0")
+        .map((media) => getAttribute(media.lines, "mid"))
+        .filter((mid) => mid !== null);
+    if (mids.length) {
+        setAttribute(sdp.session, "group", `BUNDLE ${mids.join(" ")}`);
+    }
+    if (!hasAttribute(sdp.session, "ice-options")) {
+        setAttribute(sdp.session, "ice-options", "trickle", { after: "group" });
+    }
+}
+
+function setDtlsRole(sdp, role) {
+    // The role belongs to each media section; a session-level one would override nothing
+    sdp.session = sdp.session.filter((line) => !(line.type === "a" && line.name === "setup"));
+    for (const media of sdp.media) {
+        setAttribute(media.lines, "setup", role, { after: "fingerprint" });
+    }
+}
+
+function check(sdp, type, context) {
+    const problems = validateWhatsAppSdp(sdp, type);
+    if (problems.length) {
+        throw new SdpValidationError(problems, context);
+    }
+    return serializeSdp(sdp);
+}
+
+/**
+ * Offer received from WhatsApp, made acceptable to wrtc. Throws SdpValidationError if WhatsApp
+ * sent something we cannot answer.
+ */
+function normalizeWhatsAppOffer(text) {
+    const sdp = parseSdp(text);
+    if (!getAttribute([...sdp.session, ...(sdp.media[0]?.lines || [])], "setup")) {
+        setDtlsRole(sdp, "actpass");
+    }
+    return check(sdp, "offer", "WhatsApp offer");
+}
+
+/**
+ * Our answer to a WhatsApp offer: DTLS client role, trickle ICE, bundle and Opus preferences.
+ */
+function normalizeWhatsAppAnswer(text) {
+    const sdp = parseSdp(text);
+    setDtlsRole(sdp, "active");
+    normalizeTransport(sdp);
+    applyOpusPreferences(sdp);
+    return check(sdp, "answer", "answer to WhatsApp");
+}
+
+/**
+ * Our offer for a business-initiated call.
+ */
+function normalizeOfferToWhatsApp(text) {
+    const sdp = parseSdp(text);
+    setDtlsRole(sdp, "actpass");
+    normalizeTransport(sdp);
+    applyOpusPreferences(sdp);
+    return check(sdp, "offer", "offer to WhatsApp");
+}
+
+/**
+ * Answer received from WhatsApp for a business-initiated call.
+ */
+function validateWhatsAppAnswer(text) {
+    return check(parseSdp(text), "answer", "WhatsApp answer");
+}
+
+module.exports = {
+    SdpValidationError,
+    parseSdp,
+    serializeSdp,
+    getAttribute,
+    getCodecs,
+    removeCodec,
+    applyOpusPreferences,
+    validateWhatsAppSdp,
+    normalizeWhatsAppOffer,
+    normalizeWhatsAppAnswer,
+    normalizeOfferToWhatsApp,
+    validateWhatsAppAnswer,
+};
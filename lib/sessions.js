@@ -0,0 +1,126 @@
+const { initCallState } = require("./call-state");
+
+/**
+ * Registry of call sessions keyed by WhatsApp call_id.
+ * Each session owns the two peer connections, streams, SDPs and browser socket of one call,
+ * so several calls can be bridged at the same time.
+ */
+const sessions = new Map();
+
+/**
+ * Create and register a new call session.
+ */
+function createSession(callId, details = {}) {
+    const session = {
+        callId,
+        direction: details.direction || "inbound",
+        callerName: details.callerName || "Unknown",
+        callerNumber: details.callerNumber || "Unknown",
+        browserPc: null,
+        browserStream: null,
+        whatsappPc: null,
+        whatsappStream: null,
+        whatsappTransceiver: null,
+        whatsappSender: null,
+        browserSender: null,
+        browserOfferSdp: null,
+        whatsappOfferSdp: null,
+        browserSocket: details.browserSocket || null,
+        conferenceId: details.conferenceId || null,
+        bridging: false,
+        // Last call status WhatsApp reported for a business-initiated call (ringing, accepted, ...)
+        whatsappStatus: null,
+        // ACD queue picked in the IVR (null: any agent) and the IVR's own state while it runs
+        queue: null,
+        ivr: null,
+        // How keypad digits arrive on a server-answered call, "rfc4733" or "inband" (lib/dtmf.js)
+        dtmfMode: null,
+        // Live audio stream to an external service (lib/media-fork.js)
+        mediaFork: null,
+        // Live transcription state (lib/transcription.js)
+        transcription: null,
+        // getStats() polling of both legs (lib/quality.js)
+        quality: null,
+        // Grace period while the agent's browser reloads (lib/reconnect.js)
+        reconnect: null,
+        hold: null,
+        holdCount: 0,
+        totalHoldMs: 0,
+        transfer: null,
+        monitors: new Map(),
+        supervisionMixers: { agent: null, customer: null },
+        createdAt: new Date(),
+    };
+
+    initCallState(session);
+    sessions.set(callId, session);
+    console.log(`Call session created for ${callId} (${session.direction}). Active sessions: ${sessions.size}`);
+    return session;
+}
+
+/**
+ * Look up the session for a call_id. Returns null if there is none.
+ */
+function getSession(callId) {
+    if (!callId) {
+        return null;
+    }
+    return sessions.get(callId) || null;
+}
+
+/**
+ * Find the session a browser socket is currently attached to.
+ */
+function findSessionBySocket(socketId) {
+    for (const session of sessions.values()) {
+        if (session.browserSocket?.id === socketId) {
+            return session;
+        }
+    }
+    return null;
+}
+
+/**
+ * All sessions currently attached to a browser socket.
+ */
+function findSessionsBySocket(socketId) {
+    return [...sessions.values()].filter((session) => session.browserSocket?.id === socketId);
+}
+
+/**
+ * Close both peer connections of a session and remove it from the registry.
+ */
+function closeSession(callId) {
+    const session = sessions.get(callId);
+    if (!session) {
+        return null;
+    }
+
+    clearTimeout(session.stateTimer);
+    for (const pc of [session.browserPc, session.whatsappPc]) {
+        if (pc && pc.connectionState !== "closed") {
+            try {
+                pc.close();
+            } catch (err) {
+                console.error(`Error closing peer connection for call ${callId}:`, err);
+            }
+        }
+    }
+
+    sessions.delete(callId);
+    console.log(`Call session closed for ${callId}. Active sessions: ${sessions.size}`);
+    return session;
+}
+
+function getAllSessions() {
+    return [...sessions.values()];
+}
+
+module.exports = {
+    createSession,
+    getSession,
+    findSessionBySocket,
+    findSessionsBySocket,
+    closeSession,
+    getAllSessions,
+};
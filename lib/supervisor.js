@@ -0,0 +1,199 @@
+const { MediaStream } = require("wrtc");
+const { createMixer } = require("./mixer");
+
+/**
+ * Supervisor listen, whisper and barge on live calls.
+ *
+ * A supervisor's browser connects its own peer connection (a "monitor") to an existing call and
+ * always hears a mix of the caller and the agent. Their microphone is routed by mode:
+ *
+ *   listen  - nobody hears the supervisor
+ *   whisper - only the agent hears the supervisor
+ *   barge   - both the agent and the WhatsApp caller hear the supervisor
+ *
+ * While any supervisor speaks to a party, that party's sender carries a mixer track instead of the
+ * plain track of the other leg. Routing is recomputed from scratch whenever a monitor or one of
+ * the call's tracks changes, and is left alone while a transfer owns the senders.
+ */
+const SUPERVISION_MODES = ["listen", "whisper", "barge"];
+
+function getMonitor(session, socketId) {
+    return session.monitors.get(socketId) || null;
+}
+
+/**
+ * Supervisors on a call, for the UI.
+ */
+function describeSupervision(session) {
+    return [...session.monitors.values()].map((monitor) => ({
+        agentId: monitor.supervisor.agentId,
+        name: monitor.supervisor.name,
+        mode: monitor.mode,
+        joinedAt: monitor.joinedAt.toISOString(),
+    }));
+}
+
+function getMicTrack(monitor) {
+    return monitor.stream?.getAudioTracks()[0] || null;
+}
+
+/**
+ * Point the sender towards `party` ("agent" or "customer") at `baseTrack`, mixed with `extraTracks`
+ * if there are any. A held call keeps its hold music; the routed track is what resume restores.
+ */
+async function routeTo(session, party, baseTrack, extraTracks) {
+    const mixers = session.supervisionMixers;
+    let track = baseTrack;
+    let retiredMixer = null;
+
+    if (extraTracks.length) {
+        mixers[party] = mixers[party] || createMixer();
+        mixers[party].setInputs([baseTrack, ...extraTracks]);
+        track = mixers[party].track;
+    } else if (mixers[party]) {
+        retiredMixer = mixers[party];
+        mixers[party] = null;
+    }
+
+    const sender = party === "agent" ? session.browserSender : session.whatsappSender;
+    if (session.hold) {
+        session.hold[party === "agent" ? "browserTrack" : "whatsappTrack"] = track;
+    } else if (sender && sender.track !== track) {
+        await sender.replaceTrack(track);
+    }
+
+    // Only stop the old mixer once nothing sends its track any more
+    retiredMixer?.stop();
+}
+
+/**
+ * Recompute who hears whom from the call's current { customerTrack, agentTrack }.
+ */
+async function applyRouting(session, { customerTrack, agentTrack }) {
+    if (session.transfer) {
+        return;
+    }
+
+    const connected = [...session.monitors.values()].filter((monitor) => monitor.stream);
+    const whispering = connected.filter((monitor) => monitor.mode !== "listen").map(getMicTrack).filter(Boolean);
+    const barging = connected.filter((monitor) => monitor.mode === "barge").map(getMicTrack).filter(Boolean);
+
+    await routeTo(session, "agent", customerTrack, whispering);
+    await routeTo(session, "customer", agentTrack, barging);
+
+    for (const monitor of connected) {
+        monitor.listenMixer.setInputs([customerTrack, agentTrack]);
+    }
+}
+
+/**
+ * Register a supervisor on a call before their browser connects. Returns the monitor, or null if
+ * the mode is unknown or they are already on the call.
+ */
+function joinCall(session, supervisor, mode = "listen") {
+    if (!SUPERVISION_MODES.includes(mode) || session.monitors.has(supervisor.id)) {
+        return null;
+    }
+
+    const monitor = {
+        supervisor,
+        socket: supervisor.socket,
+        mode,
+        pc: null,
+        stream: null,
+        sender: null,
+        listenMixer: null,
+        joinedAt: new Date(),
+    };
+    session.monitors.set(supervisor.id, monitor);
+    console.log(`Supervisor ${supervisor.name || supervisor.id} joined call ${session.callId} in ${mode} mode`);
+    return monitor;
+}
+
+/**
+ * Wire up a supervisor's peer connection once their offer is set as remote description.
+ * `leg` is { pc, stream }; the supervisor is sent a mix of both legs of the call.
+ */
+async function connectMonitor(session, socketId, leg, tracks) {
+    const monitor = getMonitor(session, socketId);
+    if (!monitor || monitor.pc) {
+        return false;
+    }
+
+    monitor.pc = leg.pc;
+    monitor.stream = leg.stream;
+    monitor.listenMixer = createMixer([tracks.customerTrack, tracks.agentTrack]);
+
+    const listenStream = new MediaStream();
+    listenStream.addTrack(monitor.listenMixer.track);
+    monitor.sender = leg.pc.addTrack(monitor.listenMixer.track, listenStream);
+
+    await applyRouting(session, tracks);
+    return true;
+}
+
+/**
+ * Switch a supervisor between listen, whisper and barge. Returns false if they are not on the call.
+ */
+async function setMonitorMode(session, socketId, mode, tracks) {
+    const monitor = getMonitor(session, socketId);
+    if (!monitor || !SUPERVISION_MODES.includes(mode)) {
+        return false;
+    }
+
+    monitor.mode = mode;
+    console.log(`Supervisor ${monitor.supervisor.name || socketId} on call ${session.callId} switched to ${mode}`);
+    await applyRouting(session, tracks);
+    return true;
+}
+
+function closeMonitor(monitor) {
+    monitor.listenMixer?.stop();
+    if (monitor.pc && monitor.pc.connectionState !== "closed") {
+        monitor.pc.close();
+    }
+}
+
+/**
+ * Disconnect a supervisor from a call and take their voice out of it.
+ */
+async function leaveCall(session, socketId, tracks) {
+    const monitor = getMonitor(session, socketId);
+    if (!monitor) {
+        return false;
+    }
+
+    session.monitors.delete(socketId);
+    await applyRouting(session, tracks);
+    closeMonitor(monitor);
+    console.log(`Supervisor ${monitor.supervisor.name || socketId} left call ${session.callId}`);
+    return true;
+}
+
+/**
+ * Disconnect every supervisor without touching the call's senders, for calls that are ending.
+ * Returns the monitors that were on the call.
+ */
+function releaseSupervision(session) {
+    const monitors = [...session.monitors.values()];
+    session.monitors.clear();
+    monitors.forEach(closeMonitor);
+
+    for (const party of ["agent", "customer"]) {
+        session.supervisionMixers[party]?.stop();
+        session.supervisionMixers[party] = null;
+    }
+    return monitors;
+}
+
+module.exports = {
+    SUPERVISION_MODES,
+    getMonitor,
+    describeSupervision,
+    applyRouting,
+    joinCall,
+    connectMonitor,
+    setMonitorMode,
+    leaveCall,
+    releaseSupervision,
+};
@@ -0,0 +1,86 @@
+/**
+ * Fake transcription provider for development and tests. It does not recognise words: it
+ * detects stretches of speech by their energy and reports each one as "[speech N.Ns]", with a
+ * partial segment every PARTIAL_INTERVAL_MS while the speaker is talking.
+ */
+const SAMPLE_RATE = 16000;
+const PARTIAL_INTERVAL_MS = 500;
+
+// RMS level (of 32768) above which a 10 ms block counts as speech
+const SPEECH_RMS = Number(process.env.FAKE_TRANSCRIBER_THRESHOLD) || 500;
+// A segment ends after this much silence
+const SILENCE_MS = 600;
+
+const BLOCK_SAMPLES = SAMPLE_RATE / 100;
+
+function describe(samples) {
+    return `[speech ${(samples / SAMPLE_RATE).toFixed(1)}s]`;
+}
+
+function createRecognizer({ onSegment }) {
+    let pending = new Int16Array(0);
+    let position = 0;
+    let speechStart = null;
+    let lastSpeech = 0;
+    let lastPartial = 0;
+
+    function finish() {
+        onSegment({
+            text: describe(lastSpeech - speechStart),
+            final: true,
+            startMs: speechStart / SAMPLE_RATE * 1000,
+            endMs: lastSpeech / SAMPLE_RATE * 1000,
+        });
+        speechStart = null;
+    }
+
+    function write(samples) {
+        const buffer = new Int16Array(pending.length + samples.length);
+        buffer.set(pending);
+        buffer.set(samples, pending.length);
+
+        let offset = 0;
+        for (; offset + BLOCK_SAMPLES <= buffer.length; offset += BLOCK_SAMPLES) {
+            let energy = 0;
+            for (let i = offset; i < offset + BLOCK_SAMPLES; i++) {
+                energy += buffer[i] * buffer[i];
+            }
+            position += BLOCK_SAMPLES;
+
+            if (Math.sqrt(energy / BLOCK_SAMPLES) >= SPEECH_RMS) {
+                if (speechStart === null) {
+                    speechStart = position - BLOCK_SAMPLES;
+                    lastPartial = speechStart;
+                }
+                lastSpeech = position;
+
+                if (position - lastPartial >= SAMPLE_RATE * PARTIAL_INTERVAL_MS / 1000) {
+                    lastPartial = position;
+                    onSegment({
+                        text: describe(lastSpeech - speechStart),
+                        final: false,
+                        startMs: speechStart / SAMPLE_RATE * 1000,
+                        endMs: lastSpeech / SAMPLE_RATE * 1000,
+                    });
+                }
+            } else if (speechStart !== null && position - lastSpeech >= SAMPLE_RATE * SILENCE_MS / 1000) {
+                finish();
+            }
+        }
+        pending = buffer.slice(offset);
+    }
+
+    function end() {
+        if (speechStart !== null) {
+            finish();
+        }
+    }
+
+    return { write, end };
+}
+
+module.exports = {
+    name: "fake",
+    sampleRate: SAMPLE_RATE,
+    createRecognizer,
+};
@@ -0,0 +1,74 @@
+/**
+ * Offline speech recognition with Vosk (https://alphacephei.com/vosk). Needs the optional
+ * `vosk` package and a model directory in VOSK_MODEL_PATH; both are only loaded when the first
+ * call is transcribed, so the server starts without them.
+ */
+const SAMPLE_RATE = 16000;
+const VOSK_MODEL_PATH = process.env.VOSK_MODEL_PATH || null;
+
+let vosk = null;
+let model = null;
+
+function loadModel() {
+    if (!model) {
+        if (!VOSK_MODEL_PATH) {
+            throw new Error("VOSK_MODEL_PATH is not set");
+        }
+        vosk = require("vosk");
+        vosk.setLogLevel(-1);
+        model = new vosk.Model(VOSK_MODEL_PATH);
+        console.log(`Vosk model loaded from ${VOSK_MODEL_PATH}`);
+    }
+    return model;
+}
+
+function toSegment(result, final) {
+    const words = result.result || [];
+    return {
+        text: final ? result.text : result.partial,
+        final,
+        startMs: words.length ? words[0].start * 1000 : undefined,
+        endMs: words.length ? words[words.length - 1].end * 1000 : undefined,
+    };
+}
+
+function createRecognizer({ onSegment }) {
+    const voskModel = loadModel();
+    const recognizer = new vosk.Recognizer({ model: voskModel, sampleRate: SAMPLE_RATE });
+    recognizer.setWords(true);
+    let lastPartial = "";
+
+    function write(samples) {
+        const buffer = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+        if (recognizer.acceptWaveform(buffer)) {
+            const result = recognizer.result();
+            lastPartial = "";
+            if (result.text) {
+                onSegment(toSegment(result, true));
+            }
+            return;
+        }
+
+        const partial = recognizer.partialResult();
+        if (partial.partial && partial.partial !== lastPartial) {
+            lastPartial = partial.partial;
+            onSegment(toSegment(partial, false));
+        }
+    }
+
+    function end() {
+        const result = recognizer.finalResult();
+        if (result.text) {
+            onSegment(toSegment(result, true));
+        }
+        recognizer.free();
+    }
+
+    return { write, end };
+}
+
+module.exports = {
+    name: "vosk",
+    sampleRate: SAMPLE_RATE,
+    createRecognizer,
+};
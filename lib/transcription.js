@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const { SAMPLE_RATE, resample, tapTrack } = require("./audio");
+
+/**
+ * Live transcription of both legs of a call.
+ *
+ * Audio from the caller ("customer") and the agent ("agent") goes to a recognizer per speaker
+ * created by the provider in TRANSCRIPTION_PROVIDER. A provider is a module in lib/transcribers/
+ * exporting
+ *
+ *   { name, sampleRate, createRecognizer({ callId, speaker, onSegment }) }
+ *
+ * where the recognizer has `write(samples)` (mono 16-bit PCM at `sampleRate`) and `end()`, and
+ * calls `onSegment({ text, final, startMs, endMs })` as it recognises speech. Partial segments
+ * are replaced by later ones until a final segment closes them. Final segments are saved per call
+ * as JSON in TRANSCRIPTS_DIR when the call ends.
+ *
+ * Events on `transcriptionEvents`:
+ *   segment ({ session, segment })   - a partial or final segment
+ *   saved (transcript)               - a call's transcript was stored
+ */
+const TRANSCRIPTION_PROVIDER = process.env.TRANSCRIPTION_PROVIDER || null;
+const TRANSCRIPTS_DIR = process.env.TRANSCRIPTS_DIR || path.join(__dirname, "..", "transcripts");
+const SPEAKERS = ["customer", "agent"];
+
+const transcriptionEvents = new EventEmitter();
+
+let provider;
+
+function safeName(value) {
+    return String(value).replace(/[^\w.-]/g, "_");
+}
+
+/**
+ * The configured provider, or null if transcription is off or the provider does not exist.
+ */
+function getProvider() {
+    if (provider === undefined) {
+        provider = null;
+        if (TRANSCRIPTION_PROVIDER) {
+            try {
+                provider = require(`./transcribers/${safeName(TRANSCRIPTION_PROVIDER)}`);
+                console.log(`Transcription provider: ${provider.name}`);
+            } catch (err) {
+                console.error(`Unknown transcription provider '${TRANSCRIPTION_PROVIDER}', transcription is disabled:`, err.message);
+            }
+        }
+    }
+    return provider;
+}
+
+function isTranscriptionEnabled() {
+    return !!getProvider();
+}
+
+function addSegment(session, transcription, speaker, segment) {
+    const recognizer = transcription.recognizers[speaker];
+    const elapsedMs = recognizer.samples / transcription.provider.sampleRate * 1000;
+    const result = {
+        id: `${speaker}-${recognizer.segmentIndex}`,
+        speaker,
+        text: segment.text,
+        final: segment.final,
+        startMs: Math.round(segment.startMs ?? recognizer.segmentStartMs ?? elapsedMs),
+        endMs: Math.round(segment.endMs ?? elapsedMs),
+    };
+
+    if (segment.final) {
+        recognizer.segmentIndex++;
+        recognizer.segmentStartMs = null;
+        transcription.segments.push(result);
+    } else if (recognizer.segmentStartMs === null) {
+        recognizer.segmentStartMs = result.startMs;
+    }
+    transcriptionEvents.emit("segment", { session, segment: result });
+}
+
+/**
+ * Point one speaker's recognizer at a different track, e.g. once the agent's browser is
+ * connected or after a transfer.
+ */
+function setTranscriptionTrack(session, speaker, track) {
+    const recognizer = session.transcription?.recognizers[speaker];
+    if (!recognizer) {
+        return false;
+    }
+
+    recognizer.stopTap?.();
+    recognizer.stopTap = null;
+    if (track) {
+        const { sampleRate } = session.transcription.provider;
+        recognizer.stopTap = tapTrack(track, (samples) => {
+            const input = sampleRate === SAMPLE_RATE ? samples : resample(samples, SAMPLE_RATE, sampleRate);
+            recognizer.samples += input.length;
+            try {
+                recognizer.write(input);
+            } catch (err) {
+                console.error(`Transcription of the ${speaker} on call ${session.callId} failed:`, err.message);
+                recognizer.stopTap();
+                recognizer.stopTap = null;
+            }
+        });
+    }
+    return true;
+}
+
+/**
+ * Start transcribing a call. Returns false if transcription is disabled or already running.
+ */
+function startTranscription(session, { customerTrack, agentTrack }) {
+    const transcriptionProvider = getProvider();
+    if (!transcriptionProvider || session.transcription) {
+        return false;
+    }
+
+    const transcription = {
+        provider: transcriptionProvider,
+        recognizers: {},
+        segments: [],
+        startedAt: new Date(),
+    };
+
+    try {
+        for (const speaker of SPEAKERS) {
+            const recognizer = transcriptionProvider.createRecognizer({
+                callId: session.callId,
+                speaker,
+                onSegment: (segment) => addSegment(session, transcription, speaker, segment),
+            });
+            transcription.recognizers[speaker] = Object.assign(recognizer, {
+                stopTap: null,
+                samples: 0,
+                segmentIndex: 0,
+                segmentStartMs: null,
+            });
+        }
+    } catch (err) {
+        console.error(`Failed to start transcription for call ${session.callId}:`, err.message);
+        return false;
+    }
+
+    session.transcription = transcription;
+    setTranscriptionTrack(session, "customer", customerTrack);
+    setTranscriptionTrack(session, "agent", agentTrack);
+    console.log(`Transcribing call ${session.callId} with ${transcriptionProvider.name}`);
+    return true;
+}
+
+/**
+ * Flush both recognizers and store the transcript. Resolves with the transcript, or null if the
+ * call was not transcribed.
+ */
+async function stopTranscription(session) {
+    const { transcription } = session;
+    if (!transcription) {
+        return null;
+    }
+    session.transcription = null;
+
+    for (const speaker of SPEAKERS) {
+        const recognizer = transcription.recognizers[speaker];
+        recognizer.stopTap?.();
+        try {
+            await recognizer.end();
+        } catch (err) {
+            console.error(`Failed to flush transcription of the ${speaker} on call ${session.callId}:`, err.message);
+        }
+    }
+
+    const transcript = {
+        callId: session.callId,
+        callerName: session.callerName,
+        callerNumber: session.callerNumber,
+        direction: session.direction,
+        provider: transcription.provider.name,
+        startedAt: transcription.startedAt.toISOString(),
+        endedAt: new Date().toISOString(),
+        segments: transcription.segments.sort((a, b) => a.startMs - b.startMs),
+    };
+
+    await fs.promises.mkdir(TRANSCRIPTS_DIR, { recursive: true });
+    await fs.promises.writeFile(
+        path.join(TRANSCRIPTS_DIR, `${safeName(session.callId)}.json`),
+        JSON.stringify(transcript, null, 2)
+    );
+
+    console.log(`Transcript saved for call ${session.callId}: ${transcript.segments.length} segment(s)`);
+    transcriptionEvents.emit("saved", transcript);
+    return transcript;
+}
+
+/**
+ * Stored transcript of a call, or null if there is none.
+ */
+async function getTranscript(callId) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(TRANSCRIPTS_DIR, `${safeName(callId)}.json`), "utf8"));
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Stored transcripts, newest first, without their segments. With `query`, only transcripts
+ * containing it (case-insensitive) are listed, each with the matching segments.
+ */
+async function searchTranscripts(query = "") {
+    let files;
+    try {
+        files = await fs.promises.readdir(TRANSCRIPTS_DIR);
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return [];
+        }
+        throw err;
+    }
+
+    const needle = query.trim().toLowerCase();
+    const results = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+        let transcript;
+        try {
+            transcript = JSON.parse(await fs.promises.readFile(path.join(TRANSCRIPTS_DIR, file), "utf8"));
+        } catch (err) {
+            console.error(`Skipping unreadable transcript ${file}:`, err.message);
+            continue;
+        }
+
+        const { segments, ...summary } = transcript;
+        if (!needle) {
+            results.push({ ...summary, segmentCount: segments.length });
+            continue;
+        }
+        const matches = segments.filter((segment) => segment.text.toLowerCase().includes(needle));
+        if (matches.length) {
+            results.push({ ...summary, segmentCount: segments.length, matches });
+        }
+    }
+    return results.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+module.exports = {
+    TRANSCRIPTS_DIR,
+    transcriptionEvents,
+    isTranscriptionEnabled,
+    setTranscriptionTrack,
+    startTranscription,
+    stopTranscription,
+    getTranscript,
+    searchTranscripts,
+};
@@ -0,0 +1,250 @@
+const EventEmitter = require("events");
+const { MediaStream } = require("wrtc");
+const { holdCall, resumeCall } = require("./hold");
+
+/**
+ * Blind and warm transfer of an active call to another agent.
+ *
+ * The WhatsApp leg is never renegotiated. The caller is put on hold while the target agent's
+ * browser connects its own peer connection (the transfer "leg"); completing the transfer points
+ * the WhatsApp sender at the new agent's mic, the caller's audio at the new leg, and closes the
+ * first agent's peer connection.
+ *
+ * A blind transfer completes as soon as the target's leg is connected. In a warm transfer the two
+ * agents hear each other first and the first agent completes or cancels the handoff. If the target
+ * declines or does not answer within TRANSFER_TIMEOUT_MS the call goes back to the first agent.
+ *
+ * Events on `transferEvents`:
+ *   update ({ session, transfer, status, reason }) - status is ringing, consulting, completed or cancelled
+ */
+const TRANSFER_MODES = ["blind", "warm"];
+const TRANSFER_TIMEOUT_MS = Number(process.env.TRANSFER_TIMEOUT_MS) || 30000;
+
+const transferEvents = new EventEmitter();
+
+function emitUpdate(session, transfer, reason = null) {
+    transferEvents.emit("update", { session, transfer, status: transfer.status, reason });
+}
+
+function clearTargetOffer(transfer, callId) {
+    if (transfer.to.offeredCallId === callId) {
+        transfer.to.offeredCallId = null;
+    }
+}
+
+/**
+ * Serializable description of a transfer for the agents involved.
+ */
+function describeTransfer(transfer) {
+    return {
+        mode: transfer.mode,
+        status: transfer.status,
+        from: { agentId: transfer.from.agentId, name: transfer.from.name },
+        to: { agentId: transfer.to.agentId, name: transfer.to.name },
+        startedAt: transfer.startedAt.toISOString(),
+    };
+}
+
+/**
+ * Start transferring a call from agent `from` to agent `to` (agent records from lib/agents.js).
+ * Puts the caller on hold and rings the target. Returns the transfer, or null if the call is
+ * already being transferred, the mode is unknown or the caller cannot be held.
+ */
+async function startTransfer(session, { mode, from, to }) {
+    if (session.transfer || !TRANSFER_MODES.includes(mode)) {
+        return null;
+    }
+
+    // Claim the transfer before awaiting so two requests cannot both start one
+    const transfer = {
+        mode,
+        from,
+        to,
+        status: "ringing",
+        accepted: false,
+        heldByTransfer: false,
+        leg: null,
+        timer: null,
+        startedAt: new Date(),
+    };
+    session.transfer = transfer;
+
+    if (!session.hold) {
+        transfer.heldByTransfer = await holdCall(session);
+    }
+    if (session.transfer !== transfer || !session.hold) {
+        // Cancelled while the hold music was loading, or the caller could not be held
+        if (transfer.heldByTransfer) {
+            await resumeCall(session);
+        }
+        if (session.transfer === transfer) {
+            session.transfer = null;
+        }
+        return null;
+    }
+
+    to.offeredCallId = session.callId;
+    to.socket.emit("call-is-coming", {
+        callId: session.callId,
+        callerName: session.callerName,
+        callerNumber: session.callerNumber,
+        waitSeconds: 0,
+        transfer: describeTransfer(transfer),
+    });
+
+    transfer.timer = setTimeout(() => {
+        console.log(`Agent ${to.name || to.id} did not answer transfer of call ${session.callId} within ${TRANSFER_TIMEOUT_MS}ms`);
+        cancelTransfer(session, "no_answer").catch((err) => {
+            console.error(`Failed to cancel transfer of call ${session.callId}:`, err);
+        });
+    }, TRANSFER_TIMEOUT_MS);
+
+    console.log(`Call ${session.callId}: ${mode} transfer from ${from.name || from.id} to ${to.name || to.id}`);
+    emitUpdate(session, transfer);
+    return transfer;
+}
+
+/**
+ * The target agent accepted the transfer. Returns false if it is not ringing them.
+ */
+function acceptTransfer(session, socketId) {
+    const { transfer } = session;
+    if (!transfer || transfer.to.id !== socketId || transfer.accepted) {
+        return false;
+    }
+
+    clearTimeout(transfer.timer);
+    transfer.timer = null;
+    transfer.accepted = true;
+    clearTargetOffer(transfer, session.callId);
+    console.log(`Transfer of call ${session.callId} accepted by ${transfer.to.name || socketId}`);
+    return true;
+}
+
+/**
+ * Wire up the target agent's peer connection once its offer is set as remote description.
+ * `leg` is { socket, pc, stream }; `tracks` are the current { customerTrack, agentTrack }.
+ * A warm transfer connects the two agents to each other; a blind one sends the caller's audio
+ * to the target right away and is then completed by the caller of this function.
+ */
+async function attachTransferLeg(session, leg, { customerTrack, agentTrack }) {
+    const { transfer } = session;
+    if (!transfer?.accepted || transfer.leg) {
+        return false;
+    }
+
+    const outgoingTrack = transfer.mode === "warm" ? agentTrack : customerTrack;
+    if (!outgoingTrack) {
+        throw new Error(`No ${transfer.mode === "warm" ? "agent" : "customer"} track to send to the transfer target`);
+    }
+    const outgoingStream = new MediaStream();
+    outgoingStream.addTrack(outgoingTrack);
+    leg.sender = leg.pc.addTrack(outgoingTrack, outgoingStream);
+    transfer.leg = leg;
+
+    if (transfer.mode === "warm") {
+        // The first agent hears the target instead of the (held) caller
+        const targetTrack = leg.stream.getAudioTracks()[0] || null;
+        await session.browserSender?.replaceTrack(targetTrack);
+        transfer.status = "consulting";
+        emitUpdate(session, transfer);
+    }
+    return true;
+}
+
+/**
+ * Hand the call over to the target agent: the caller is taken off hold and talks to the new
+ * agent, and the first agent's peer connection is closed. Returns false if the target's leg is
+ * not connected yet.
+ */
+async function completeTransfer(session) {
+    const { transfer } = session;
+    if (!transfer?.leg) {
+        return false;
+    }
+    session.transfer = null;
+
+    const previousPc = session.browserPc;
+    const { leg } = transfer;
+    session.browserPc = leg.pc;
+    session.browserStream = leg.stream;
+    session.browserSender = leg.sender;
+    session.browserSocket = leg.socket;
+
+    // Resume restores the tracks saved at hold time; point it at the new agent instead
+    session.hold.whatsappTrack = leg.stream.getAudioTracks()[0] || null;
+    await resumeCall(session);
+
+    if (previousPc && previousPc.connectionState !== "closed") {
+        previousPc.close();
+    }
+
+    transfer.status = "completed";
+    console.log(`Call ${session.callId} transferred to ${transfer.to.name || transfer.to.id}`);
+    emitUpdate(session, transfer);
+    return true;
+}
+
+/**
+ * Abandon a transfer and give the call back to the first agent. Returns false if there is none.
+ */
+async function cancelTransfer(session, reason = "cancelled") {
+    const { transfer } = session;
+    if (!transfer) {
+        return false;
+    }
+    session.transfer = null;
+
+    clearTimeout(transfer.timer);
+    clearTargetOffer(transfer, session.callId);
+    transfer.leg?.pc.close();
+
+    if (!transfer.accepted) {
+        transfer.to.socket.emit("call-offer-revoked", { callId: session.callId, reason });
+    }
+
+    // Back to plain hold, then off hold unless the agent had held the caller themselves
+    await session.browserSender?.replaceTrack(null);
+    if (transfer.heldByTransfer) {
+        await resumeCall(session);
+    }
+
+    transfer.status = "cancelled";
+    console.log(`Transfer of call ${session.callId} cancelled (${reason})`);
+    emitUpdate(session, transfer, reason);
+    return true;
+}
+
+/**
+ * Drop any transfer without touching the peer connections, for calls that are ending.
+ */
+function releaseTransfer(session, reason = "call_ended") {
+    const { transfer } = session;
+    if (!transfer) {
+        return;
+    }
+    session.transfer = null;
+
+    clearTimeout(transfer.timer);
+    clearTargetOffer(transfer, session.callId);
+    transfer.leg?.pc.close();
+    if (!transfer.accepted) {
+        transfer.to.socket.emit("call-offer-revoked", { callId: session.callId, reason });
+    }
+
+    transfer.status = "cancelled";
+    emitUpdate(session, transfer, reason);
+}
+
+module.exports = {
+    TRANSFER_MODES,
+    TRANSFER_TIMEOUT_MS,
+    transferEvents,
+    describeTransfer,
+    startTransfer,
+    acceptTransfer,
+    attachTransferLeg,
+    completeTransfer,
+    cancelTransfer,
+    releaseTransfer,
+};
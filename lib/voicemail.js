@@ -0,0 +1,302 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const {
+    SAMPLE_RATE,
+    FRAME_SAMPLES,
+    tapTrack,
+    loadAudioFile,
+    createTone,
+    createPacedTrack,
+    createWavHeader,
+} = require("./audio");
+
+/**
+ * Voicemail for inbound calls nobody answers.
+ *
+ * The server answers the call itself, plays VOICEMAIL_GREETING_FILE followed by a beep and
+ * records the caller to a 48 kHz mono WAV file, with a JSON sidecar holding the caller's profile
+ * name and wa_id. Recording stops when the caller hangs up or after VOICEMAIL_MAX_SECONDS.
+ * Messages shorter than a second (the caller hung up during the greeting) are discarded.
+ *
+ * Events on `voicemailEvents`:
+ *   saved (voicemail)      - a message was stored; `voicemail` is its metadata
+ *   max-length (session)   - the caller reached VOICEMAIL_MAX_SECONDS
+ *   failed (session)       - the message could not be written to disk
+ */
+const VOICEMAIL_ENABLED = process.env.VOICEMAIL_ENABLED !== "false";
+const VOICEMAIL_RING_TIMEOUT_MS = Number(process.env.VOICEMAIL_RING_TIMEOUT_MS) || 30000;
+const VOICEMAIL_GREETING_FILE = process.env.VOICEMAIL_GREETING_FILE || null;
+const VOICEMAIL_MAX_SECONDS = Number(process.env.VOICEMAIL_MAX_SECONDS) || 120;
+const VOICEMAILS_DIR = process.env.VOICEMAILS_DIR || path.join(__dirname, "..", "voicemails");
+
+const MIN_MESSAGE_SECONDS = 1;
+
+const voicemailEvents = new EventEmitter();
+
+let greetingPromise = null;
+
+function isVoicemailEnabled() {
+    return VOICEMAIL_ENABLED;
+}
+
+function safeName(value) {
+    return String(value).replace(/[^\w.-]/g, "_");
+}
+
+function isValidVoicemailId(id) {
+    return /^[\w.-]+$/.test(id) && !id.startsWith(".");
+}
+
+/**
+ * Decoded greeting with the beep appended, loaded once. Without a greeting file the caller only
+ * hears the beep.
+ */
+function getGreeting() {
+    if (!greetingPromise) {
+        greetingPromise = (async () => {
+            let greeting = new Int16Array(0);
+            if (VOICEMAIL_GREETING_FILE) {
+                try {
+                    greeting = await loadAudioFile(VOICEMAIL_GREETING_FILE);
+                } catch (err) {
+                    console.error(`Failed to load voicemail greeting ${VOICEMAIL_GREETING_FILE}, playing only the beep:`, err.message);
+                }
+            }
+
+            const beep = createTone({ frequency: 1000, toneMs: 400, silenceMs: 100, volume: 0.2 });
+            const samples = new Int16Array(greeting.length + beep.length);
+            samples.set(greeting);
+            samples.set(beep, greeting.length);
+            return samples;
+        })();
+    }
+    return greetingPromise;
+}
+
+/**
+ * Set up voicemail for a call that is about to be answered (or taken over from the IVR).
+ * Returns the track to send to the WhatsApp leg; it stays silent until startVoicemail().
+ */
+async function createVoicemail(session, reason) {
+    const greeting = await getGreeting();
+    const voicemail = {
+        reason,
+        status: "waiting",
+        customerTrack: null,
+        output: null,
+        id: null,
+        file: null,
+        stream: null,
+        dataBytes: 0,
+        stopTap: null,
+        timer: null,
+        startedAt: null,
+    };
+    session.voicemail = voicemail;
+
+    let position = 0;
+    voicemail.output = createPacedTrack(() => {
+        const frame = new Int16Array(FRAME_SAMPLES);
+        if (voicemail.status !== "greeting") {
+            return frame;
+        }
+
+        frame.set(greeting.subarray(position, position + FRAME_SAMPLES));
+        position += FRAME_SAMPLES;
+        if (position >= greeting.length) {
+            // Recording starts once the beep has played
+            setImmediate(() => {
+                if (session.voicemail === voicemail) {
+                    startMessage(session);
+                }
+            });
+            voicemail.status = "starting";
+        }
+        return frame;
+    });
+    return voicemail.output.track;
+}
+
+/**
+ * Play the greeting, then record the caller's audio from `customerTrack`.
+ */
+function startVoicemail(session, customerTrack) {
+    const { voicemail } = session;
+    if (!voicemail || voicemail.status !== "waiting") {
+        return false;
+    }
+    voicemail.customerTrack = customerTrack;
+    voicemail.status = "greeting";
+    console.log(`Playing voicemail greeting to call ${session.callId}`);
+    return true;
+}
+
+/**
+ * Stop recording a message that cannot be written (disk full, permissions).
+ */
+function failMessage(session, voicemail, err) {
+    if (voicemail.status === "failed") {
+        return;
+    }
+    console.error(`Voicemail for call ${session.callId} could not be written:`, err.message);
+    voicemail.status = "failed";
+    clearTimeout(voicemail.timer);
+    voicemail.stopTap?.();
+    voicemail.stopTap = null;
+    if (session.voicemail === voicemail) {
+        voicemailEvents.emit("failed", session);
+    }
+}
+
+function startMessage(session) {
+    const { voicemail } = session;
+    voicemail.status = "recording";
+    voicemail.id = `${safeName(session.callId)}-${Date.now()}`;
+    voicemail.file = path.join(VOICEMAILS_DIR, `${voicemail.id}.wav`);
+    voicemail.startedAt = new Date();
+    try {
+        fs.mkdirSync(VOICEMAILS_DIR, { recursive: true });
+    } catch (err) {
+        failMessage(session, voicemail, err);
+        return;
+    }
+    voicemail.stream = fs.createWriteStream(voicemail.file);
+    voicemail.stream.on("error", (err) => failMessage(session, voicemail, err));
+    voicemail.stream.write(createWavHeader(0));
+
+    voicemail.stopTap = tapTrack(voicemail.customerTrack, (samples) => {
+        if (voicemail.status !== "recording") {
+            return;
+        }
+        const buffer = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+        voicemail.stream.write(buffer);
+        voicemail.dataBytes += buffer.length;
+    });
+    voicemail.timer = setTimeout(() => {
+        console.log(`Voicemail for call ${session.callId} reached ${VOICEMAIL_MAX_SECONDS}s`);
+        voicemailEvents.emit("max-length", session);
+    }, VOICEMAIL_MAX_SECONDS * 1000);
+
+    console.log(`Recording voicemail for call ${session.callId}: ${voicemail.file}`);
+}
+
+/**
+ * Stop the greeting or recording and store the message. Resolves with the voicemail metadata, or
+ * null if nothing worth keeping was recorded.
+ */
+async function stopVoicemail(session) {
+    const { voicemail } = session;
+    if (!voicemail) {
+        return null;
+    }
+    session.voicemail = null;
+
+    voicemail.output.stop();
+    clearTimeout(voicemail.timer);
+    voicemail.stopTap?.();
+    if (!voicemail.stream) {
+        return null;
+    }
+
+    const error = await new Promise((resolve) => voicemail.stream.end(resolve));
+    if (error || voicemail.status === "failed") {
+        await fs.promises.rm(voicemail.file, { force: true });
+        return null;
+    }
+
+    const durationSeconds = voicemail.dataBytes / 2 / SAMPLE_RATE;
+    if (durationSeconds < MIN_MESSAGE_SECONDS) {
+        await fs.promises.rm(voicemail.file, { force: true });
+        console.log(`Discarded empty voicemail for call ${session.callId}`);
+        return null;
+    }
+
+    // The data length is only known now, so rewrite the header in place
+    const fd = await fs.promises.open(voicemail.file, "r+");
+    await fd.write(createWavHeader(voicemail.dataBytes), 0, 44, 0);
+    await fd.close();
+
+    const metadata = {
+        id: voicemail.id,
+        callId: session.callId,
+        callerName: session.callerName,
+        callerNumber: session.callerNumber,
+        reason: voicemail.reason,
+        format: "wav",
+        sampleRate: SAMPLE_RATE,
+        startedAt: voicemail.startedAt.toISOString(),
+        endedAt: new Date().toISOString(),
+        durationSeconds,
+        sizeBytes: voicemail.dataBytes + 44,
+    };
+    await fs.promises.writeFile(path.join(VOICEMAILS_DIR, `${voicemail.id}.json`), JSON.stringify(metadata, null, 2));
+
+    console.log(`Voicemail saved for call ${session.callId}: ${durationSeconds.toFixed(1)}s from ${session.callerName} (${session.callerNumber})`);
+    voicemailEvents.emit("saved", metadata);
+    return metadata;
+}
+
+/**
+ * Metadata of every stored voicemail, newest first.
+ */
+async function listVoicemails() {
+    let files;
+    try {
+        files = await fs.promises.readdir(VOICEMAILS_DIR);
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return [];
+        }
+        throw err;
+    }
+
+    const voicemails = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+        try {
+            voicemails.push(JSON.parse(await fs.promises.readFile(path.join(VOICEMAILS_DIR, file), "utf8")));
+        } catch (err) {
+            console.error(`Skipping unreadable voicemail metadata ${file}:`, err.message);
+        }
+    }
+    return voicemails.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Path of a stored voicemail's audio file, or null if it does not exist.
+ */
+function getVoicemailFile(id) {
+    if (!isValidVoicemailId(id)) {
+        return null;
+    }
+    const file = path.join(VOICEMAILS_DIR, `${id}.wav`);
+    return fs.existsSync(path.join(VOICEMAILS_DIR, `${id}.json`)) ? file : null;
+}
+
+/**
+ * Delete a voicemail and its metadata. Returns false if it does not exist.
+ */
+async function deleteVoicemail(id) {
+    const file = getVoicemailFile(id);
+    if (!file) {
+        return false;
+    }
+    await fs.promises.rm(file, { force: true });
+    await fs.promises.rm(path.join(VOICEMAILS_DIR, `${id}.json`), { force: true });
+    console.log(`Voicemail ${id} deleted`);
+    return true;
+}
+
+module.exports = {
+    VOICEMAIL_RING_TIMEOUT_MS,
+    VOICEMAILS_DIR,
+    voicemailEvents,
+    isVoicemailEnabled,
+    getGreeting,
+    createVoicemail,
+    startVoicemail,
+    stopVoicemail,
+    listVoicemails,
+    getVoicemailFile,
+    deleteVoicemail,
+};
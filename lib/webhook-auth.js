@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+
+/**
+ * Authentication of webhook deliveries on POST /call-events.
+ *
+ * Meta signs every delivery with HMAC-SHA256 of the raw request body keyed with the app secret
+ * and sends it as `X-Hub-Signature-256: sha256=<hex>`. Requests without a valid signature are
+ * rejected with 401. The check needs the body exactly as received, so express.json() keeps it
+ * on `req.rawBody` (see rawBodySaver).
+ *
+ * A signed payload stays valid forever, so on top of the signature:
+ *   - payloads whose newest event timestamp is older than WEBHOOK_MAX_AGE_SECONDS are dropped
+ *   - a payload already accepted within that window is dropped as a replay
+ * Both are answered with 200 so Meta does not keep redelivering them. Why a delivery was
+ * turned away is left on `req.webhookRejection` for the webhook log, and `req.webhookVerified`
+ * tells it whether the payload came from Meta at all. A payload the server then
+ * fails to handle is forgotten again with forgetWebhookPayload(), so its redelivery gets through.
+ *
+ * WEBHOOK_SIGNATURE_CHECK=false turns all of this off, for local development only.
+ */
+const APP_SECRET = process.env.APP_SECRET || null;
+const WEBHOOK_SIGNATURE_CHECK = process.env.WEBHOOK_SIGNATURE_CHECK !== "false";
+// Meta retries a delivery that was not acknowledged for up to 7 days, so anything shorter drops
+// retries of webhooks the server missed
+const WEBHOOK_MAX_AGE_SECONDS = Number(process.env.WEBHOOK_MAX_AGE_SECONDS) || 7 * 24 * 60 * 60;
+const SIGNATURE_HEADER = "x-hub-signature-256";
+
+// Digest of every accepted payload -> when it may be forgotten (ms)
+const seenPayloads = new Map();
+
+if (!WEBHOOK_SIGNATURE_CHECK) {
+    console.warn("WEBHOOK_SIGNATURE_CHECK=false: webhook signatures are NOT verified. Never use this in production.");
+} else if (!APP_SECRET) {
+    console.error("APP_SECRET is not set: every webhook on /call-events will be rejected");
+}
+
+/**
+ * `verify` option for express.json() that keeps the raw body for signature checks.
+ */
+function rawBodySaver(req, res, buf) {
+    req.rawBody = buf;
+}
+
+function signPayload(rawBody, secret = APP_SECRET) {
+    return `sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`;
+}
+
+function isValidSignature(rawBody, header) {
+    if (!APP_SECRET || !rawBody || typeof header !== "string") {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(rawBody));
+    const received = Buffer.from(header.trim().toLowerCase());
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Newest event timestamp (seconds) in a webhook payload, or null if it carries none.
+ */
+function newestTimestamp(body) {
+    let newest = null;
+    for (const entry of body?.entry || []) {
+        for (const change of entry?.changes || []) {
+            const value = change?.value || {};
+            for (const item of [...(value.calls || []), ...(value.messages || []), ...(value.statuses || [])]) {
+                const timestamp = Number(item?.timestamp);
+                if (Number.isFinite(timestamp) && (newest === null || timestamp > newest)) {
+                    newest = timestamp;
+                }
+            }
+        }
+    }
+    return newest;
+}
+
+function rememberPayload(digest) {
+    const now = Date.now();
+    for (const [seen, expiresAt] of seenPayloads) {
+        if (expiresAt <= now) {
+            seenPayloads.delete(seen);
+        }
+    }
+    if (seenPayloads.has(digest)) {
+        return false;
+    }
+    seenPayloads.set(digest, now + WEBHOOK_MAX_AGE_SECONDS * 1000);
+    return true;
+}
+
+/**
+ * Express middleware for POST /call-events: signature check, then age and replay checks.
+ */
+function verifyWebhook(req, res, next) {
+    if (!WEBHOOK_SIGNATURE_CHECK) {
+        req.webhookVerified = true;
+        return next();
+    }
+
+    const signature = req.get(SIGNATURE_HEADER);
+    if (!signature) {
+        console.warn(`Rejected webhook from ${req.ip}: missing X-Hub-Signature-256`);
+        req.webhookRejection = "missing_signature";
+        return res.sendStatus(401);
+    }
+    if (!isValidSignature(req.rawBody, signature)) {
+        console.warn(`Rejected webhook from ${req.ip}: invalid X-Hub-Signature-256`);
+        req.webhookRejection = "invalid_signature";
+        return res.sendStatus(401);
+    }
+    req.webhookVerified = true;
+
+    const timestamp = newestTimestamp(req.body);
+    if (timestamp !== null && Date.now() / 1000 - timestamp > WEBHOOK_MAX_AGE_SECONDS) {
+        console.warn(`Dropped webhook with events from ${new Date(timestamp * 1000).toISOString()}: older than ${WEBHOOK_MAX_AGE_SECONDS}s`);
+        req.webhookRejection = "stale";
+        return res.sendStatus(200);
+    }
+    const digest = crypto.createHash("sha256").update(req.rawBody).digest("hex");
+    if (!rememberPayload(digest)) {
+        console.warn("Dropped replayed webhook payload");
+        req.webhookRejection = "replayed";
+        return res.sendStatus(200);
+    }
+    req.webhookDigest = digest;
+    next();
+}
+
+/**
+ * Forget a payload verifyWebhook() accepted but the server failed to handle, so Meta's
+ * redelivery of it is not dropped as a replay.
+ */
+function forgetWebhookPayload(req) {
+    if (req.webhookDigest) {
+        seenPayloads.delete(req.webhookDigest);
+    }
+}
+
+module.exports = {
+    rawBodySaver,
+    signPayload,
+    verifyWebhook,
+    forgetWebhookPayload,
+};
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const { WEBHOOK_QUEUE_DIR } = require("./webhook-queue");
+
+/**
+ * Splitting WhatsApp webhook deliveries into individual events.
+ *
+ * One delivery can batch several entries, each with several changes, each carrying arrays of
+ * calls, call_permissions, statuses and messages. extractEvents() flattens all of them, in
+ * order, into { type, key, item, contact, value } where `type` is one of EVENT_TYPES, `item`
+ * the call / permission / status / message object and `value` the change it came from.
+ *
+ * `key` identifies the event across redeliveries (a call id plus its event, a message id, a
+ * status id plus its status). isDuplicate() remembers keys for WEBHOOK_DEDUPE_TTL_SECONDS so a
+ * webhook Meta delivers twice is only handled once.
+ *
+ * Once an event is queued, saveSeenEvent() appends its key and expiry to
+ * WEBHOOK_QUEUE_DIR/seen-events.jsonl, so redeliveries are still recognised after a restart. The
+ * file is read before the first isDuplicate() check, and rewritten without expired keys when it
+ * is read and whenever most of its lines have expired.
+ */
+const WEBHOOK_DEDUPE_TTL_SECONDS = Number(process.env.WEBHOOK_DEDUPE_TTL_SECONDS) || 86400;
+const SEEN_EVENTS_FILE = path.join(WEBHOOK_QUEUE_DIR, "seen-events.jsonl");
+// Never compact a file shorter than this, however much of it has expired
+const MIN_COMPACT_LINES = 1000;
+
+const EVENT_TYPES = {
+    calls: "call",
+    call_permissions: "call_permission",
+    statuses: "status",
+    messages: "message",
+};
+
+// Event key -> when it may be forgotten (ms), oldest first
+const seenEvents = new Map();
+let loading = null;
+// Serializes writes to SEEN_EVENTS_FILE
+let writing = Promise.resolve();
+let fileLines = 0;
+
+function eventKey(type, item) {
+    switch (type) {
+        case "call":
+            return item.id && item.event ? `call:${item.id}:${item.event}` : null;
+        case "call_permission":
+            return item.wa_id && item.timestamp ? `call_permission:${item.wa_id}:${item.status}:${item.timestamp}` : null;
+        case "status":
+            return item.id && item.status ? `status:${item.id}:${item.status}` : null;
+        case "message":
+            return item.id ? `message:${item.id}` : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * The contact of a change that an item belongs to: matched on wa_id, else the only contact.
+ */
+function findContact(value, item) {
+    const contacts = value.contacts || [];
+    const waId = item.from || item.wa_id || item.to || item.recipient_id;
+    return contacts.find((contact) => contact.wa_id === waId) || (contacts.length === 1 ? contacts[0] : null);
+}
+
+/**
+ * Every event in a webhook payload, in delivery order.
+ */
+function extractEvents(body) {
+    const events = [];
+    for (const entry of body?.entry || []) {
+        for (const change of entry?.changes || []) {
+            const value = change?.value;
+            if (!value) {
+                continue;
+            }
+            for (const [field, type] of Object.entries(EVENT_TYPES)) {
+                for (const item of value[field] || []) {
+                    if (!item) {
+                        continue;
+                    }
+                    events.push({ type, key: eventKey(type, item), item, contact: findContact(value, item), value });
+                }
+            }
+        }
+    }
+    return events;
+}
+
+function forgetExpired(now = Date.now()) {
+    for (const [key, expiresAt] of seenEvents) {
+        if (expiresAt > now) {
+            break;
+        }
+        seenEvents.delete(key);
+    }
+}
+
+/**
+ * Rewrite SEEN_EVENTS_FILE with the keys still remembered. Write then rename, so a crash never
+ * leaves a half-written file behind.
+ */
+async function compactSeenEvents() {
+    forgetExpired();
+    const lines = [...seenEvents].map(([key, expiresAt]) => `${JSON.stringify({ key, expiresAt })}\n`);
+    await fs.promises.mkdir(WEBHOOK_QUEUE_DIR, { recursive: true });
+    await fs.promises.writeFile(`${SEEN_EVENTS_FILE}.tmp`, lines.join(""));
+    await fs.promises.rename(`${SEEN_EVENTS_FILE}.tmp`, SEEN_EVENTS_FILE);
+    fileLines = lines.length;
+}
+
+async function loadSeenEvents() {
+    let text = "";
+    try {
+        text = await fs.promises.readFile(SEEN_EVENTS_FILE, "utf8");
+    } catch (err) {
+        if (err.code !== "ENOENT") {
+            console.error(`Failed to read ${SEEN_EVENTS_FILE}, redeliveries from before the restart will be handled again:`, err.message);
+            return;
+        }
+    }
+
+    const stored = [];
+    for (const line of text.split("\n")) {
+        try {
+            const { key, expiresAt } = line ? JSON.parse(line) : {};
+            if (typeof key === "string" && Number.isFinite(expiresAt)) {
+                stored.push([key, expiresAt]);
+            }
+        } catch (err) {
+            // A line cut short by a crash; the events before and after it are still good
+        }
+    }
+
+    // Keys seen while the file was being read are newer than any stored one
+    const current = [...seenEvents];
+    seenEvents.clear();
+    for (const [key, expiresAt] of stored.sort((a, b) => a[1] - b[1])) {
+        seenEvents.set(key, expiresAt);
+    }
+    for (const [key, expiresAt] of current) {
+        seenEvents.delete(key);
+        seenEvents.set(key, expiresAt);
+    }
+
+    await compactSeenEvents().catch((err) => {
+        console.error(`Failed to compact ${SEEN_EVENTS_FILE}:`, err.message);
+    });
+    console.log(`Loaded ${seenEvents.size} webhook event key(s) seen in the last ${WEBHOOK_DEDUPE_TTL_SECONDS}s`);
+}
+
+/**
+ * True if an event with this key was already seen; otherwise remembers it. Events without a key
+ * are never treated as duplicates.
+ */
+async function isDuplicate(event) {
+    if (!event.key) {
+        return false;
+    }
+
+    loading = loading || loadSeenEvents();
+    await loading;
+
+    const now = Date.now();
+    forgetExpired(now);
+    if (seenEvents.has(event.key)) {
+        return true;
+    }
+    seenEvents.set(event.key, now + WEBHOOK_DEDUPE_TTL_SECONDS * 1000);
+    return false;
+}
+
+/**
+ * Forget an event marked as seen by isDuplicate(), so a redelivery is handled after all.
+ */
+function forgetEvent(event) {
+    if (event.key) {
+        seenEvents.delete(event.key);
+    }
+}
+
+/**
+ * Persist the key of an event isDuplicate() let through, once the event is safely queued. A
+ * failure is only logged: the event is queued, and until a restart its key is still remembered.
+ */
+function saveSeenEvent(event) {
+    const expiresAt = event.key && seenEvents.get(event.key);
+    if (!expiresAt) {
+        return Promise.resolve();
+    }
+
+    writing = writing.then(async () => {
+        if (fileLines >= MIN_COMPACT_LINES && fileLines > 2 * seenEvents.size) {
+            await compactSeenEvents();
+            return;
+        }
+        await fs.promises.appendFile(SEEN_EVENTS_FILE, `${JSON.stringify({ key: event.key, expiresAt })}\n`);
+        fileLines++;
+    }).catch((err) => {
+        console.error(`Failed to persist webhook event key ${event.key}:`, err.message);
+    });
+    return writing;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    extractEvents,
+    isDuplicate,
+    forgetEvent,
+    saveSeenEvent,
+};
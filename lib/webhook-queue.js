@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+
+/**
+ * Durable queue between receiving a webhook and handling its events.
+ *
+ * POST /call-events only writes each event to WEBHOOK_QUEUE_DIR/pending and answers; the worker
+ * handles them in the background. Events are grouped by call (call_id) or, for events that
+ * belong to no call, by user (wa_id): each group is handled strictly in order, one event at a
+ * time, while different calls proceed independently. A failing event is retried after
+ * WEBHOOK_RETRY_BASE_MS, doubling per attempt up to WEBHOOK_RETRY_MAX_MS, and holds up the rest
+ * of its call meanwhile. After WEBHOOK_MAX_ATTEMPTS it is parked in WEBHOOK_QUEUE_DIR/dead-letter
+ * for an admin to retry or discard. Events still pending when the server stops are picked up
+ * again on the next start.
+ *
+ * Events on `webhookQueueEvents`:
+ *   handled (entry)       - an event was handled
+ *   dead-letter (entry)   - an event failed for the last time
+ */
+const WEBHOOK_QUEUE_DIR = process.env.WEBHOOK_QUEUE_DIR || path.join(__dirname, "..", "webhook-queue");
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const WEBHOOK_RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS) || 60000;
+
+const PENDING_DIR = path.join(WEBHOOK_QUEUE_DIR, "pending");
+const DEAD_LETTER_DIR = path.join(WEBHOOK_QUEUE_DIR, "dead-letter");
+
+const webhookQueueEvents = new EventEmitter();
+
+// Partition key -> { entries, running, timer }
+const partitions = new Map();
+let processor = null;
+let sequence = 0;
+
+function isValidEntryId(id) {
+    return /^\d+-\d+$/.test(id);
+}
+
+/**
+ * The group an event is ordered within: its call, else the user it concerns.
+ */
+function partitionOf(event) {
+    const { type, item } = event;
+    if (type === "call" || (type === "status" && item.type === "call")) {
+        return `call:${item.id}`;
+    }
+    const waId = item.wa_id || item.from || item.recipient_id;
+    return waId ? `wa:${waId}` : `${type}:${item.id || "unknown"}`;
+}
+
+async function writeEntry(dir, entry) {
+    // Write then rename, so a crash never leaves a half-written entry behind
+    const file = path.join(dir, `${entry.id}.json`);
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(entry, null, 2));
+    await fs.promises.rename(`${file}.tmp`, file);
+}
+
+async function removeEntry(dir, id) {
+    await fs.promises.unlink(path.join(dir, `${id}.json`)).catch((err) => {
+        if (err.code !== "ENOENT") {
+            console.error(`Failed to remove queued webhook event ${id}:`, err.message);
+        }
+    });
+}
+
+function retryDelay(attempts) {
+    return Math.min(WEBHOOK_RETRY_MAX_MS, WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1));
+}
+
+async function deadLetter(entry) {
+    await writeEntry(DEAD_LETTER_DIR, entry);
+    await removeEntry(PENDING_DIR, entry.id);
+    console.error(`Webhook event ${entry.event.key || entry.id} failed ${entry.attempts} times, moved to dead letters: ${entry.lastError}`);
+    webhookQueueEvents.emit("dead-letter", entry);
+}
+
+async function runPartition(name) {
+    const partition = partitions.get(name);
+    if (!partition || partition.running || partition.timer || !processor) {
+        return;
+    }
+
+    partition.running = true;
+    while (partition.entries.length) {
+        const entry = partition.entries[0];
+        if (entry.attempts < WEBHOOK_MAX_ATTEMPTS) {
+            try {
+                await processor(entry.event);
+                partition.entries.shift();
+                await removeEntry(PENDING_DIR, entry.id);
+                webhookQueueEvents.emit("handled", entry);
+                continue;
+            } catch (err) {
+                entry.attempts++;
+                entry.lastError = err.message;
+                entry.lastAttemptAt = new Date().toISOString();
+            }
+        }
+
+        // Whatever fails from here on, the partition must come back to this entry later
+        const delay = retryDelay(Math.min(entry.attempts, WEBHOOK_MAX_ATTEMPTS));
+        if (entry.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            try {
+                await deadLetter(entry);
+                partition.entries.shift();
+                continue;
+            } catch (err) {
+                console.error(`Failed to move webhook event ${entry.id} to dead letters, trying again in ${delay}ms:`, err.message);
+            }
+        } else {
+            entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            console.warn(`Webhook event ${entry.event.key || entry.id} failed (attempt ${entry.attempts}/${WEBHOOK_MAX_ATTEMPTS}), retrying in ${delay}ms: ${entry.lastError}`);
+            await writeEntry(PENDING_DIR, entry).catch((err) => {
+                console.error(`Failed to update queued webhook event ${entry.id}:`, err.message);
+            });
+        }
+        partition.timer = setTimeout(() => {
+            partition.timer = null;
+            runPartition(name);
+        }, delay);
+        partition.running = false;
+        return;
+    }
+
+    partition.running = false;
+    partitions.delete(name);
+}
+
+function schedule(entry) {
+    if (!partitions.has(entry.partition)) {
+        partitions.set(entry.partition, { entries: [], running: false, timer: null });
+    }
+    partitions.get(entry.partition).entries.push(entry);
+    runPartition(entry.partition);
+}
+
+/**
+ * Persist an event from extractEvents() and schedule it. `webhookId` links it to the stored
+ * delivery it came from. Resolves once the event is on disk.
+ */
+async function enqueueEvent(event, { webhookId = null } = {}) {
+    const entry = {
+        id: `${Date.now()}-${String(sequence++).padStart(6, "0")}`,
+        webhookId,
+        partition: partitionOf(event),
+        event: { type: event.type, key: event.key, item: event.item, contact: event.contact },
+        attempts: 0,
+        enqueuedAt: new Date().toISOString(),
+        lastError: null,
+    };
+    await fs.promises.mkdir(PENDING_DIR, { recursive: true });
+    await writeEntry(PENDING_DIR, entry);
+    schedule(entry);
+    return entry;
+}
+
+async function readEntries(dir) {
+    let files;
+    try {
+        files = await fs.promises.readdir(dir);
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return [];
+        }
+        throw err;
+    }
+
+    const entries = [];
+    for (const file of files.filter((name) => name.endsWith(".json")).sort()) {
+        try {
+            entries.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), "utf8")));
+        } catch (err) {
+            console.error(`Skipping unreadable queued webhook event ${file}:`, err.message);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Start handling queued events with `handleEvent(event)`, which should throw to have an event
+ * retried. Events left pending by a previous run are resumed first.
+ */
+async function startWebhookQueue(handleEvent) {
+    processor = handleEvent;
+    await fs.promises.mkdir(PENDING_DIR, { recursive: true });
+    await fs.promises.mkdir(DEAD_LETTER_DIR, { recursive: true });
+
+    const stored = await readEntries(PENDING_DIR);
+    // Events that arrived before the worker started are already scheduled
+    const scheduled = new Set([...partitions.values()].flatMap((partition) => partition.entries.map((entry) => entry.id)));
+    const pending = stored.filter((entry) => !scheduled.has(entry.id));
+    if (pending.length) {
+        console.log(`Resuming ${pending.length} queued webhook event(s)`);
+    }
+    pending.forEach(schedule);
+    [...partitions.keys()].forEach(runPartition);
+}
+
+function getWebhookQueueStats() {
+    let pending = 0;
+    let retrying = 0;
+    for (const partition of partitions.values()) {
+        pending += partition.entries.length;
+        retrying += partition.timer ? 1 : 0;
+    }
+    return { pending, retrying, partitions: partitions.size };
+}
+
+function listDeadLetters() {
+    return readEntries(DEAD_LETTER_DIR);
+}
+
+/**
+ * Put a dead-lettered event back on the queue with a fresh set of attempts. Resolves with the
+ * entry, or null if there is no such dead letter.
+ */
+async function retryDeadLetter(id) {
+    if (!isValidEntryId(id)) {
+        return null;
+    }
+    let entry;
+    try {
+        entry = JSON.parse(await fs.promises.readFile(path.join(DEAD_LETTER_DIR, `${id}.json`), "utf8"));
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return null;
+        }
+        throw err;
+    }
+
+    entry.attempts = 0;
+    entry.nextAttemptAt = null;
+    await writeEntry(PENDING_DIR, entry);
+    await removeEntry(DEAD_LETTER_DIR, id);
+    console.log(`Retrying dead-lettered webhook event ${entry.event.key || id}`);
+    schedule(entry);
+    return entry;
+}
+
+/**
+ * Discard a dead-lettered event. Resolves with false if there is no such dead letter.
+ */
+async function deleteDeadLetter(id) {
+    if (!isValidEntryId(id)) {
+        return false;
+    }
+    try {
+        await fs.promises.unlink(path.join(DEAD_LETTER_DIR, `${id}.json`));
+        return true;
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return false;
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    WEBHOOK_QUEUE_DIR,
+    webhookQueueEvents,
+    enqueueEvent,
+    startWebhookQueue,
+    getWebhookQueueStats,
+    listDeadLetters,
+    retryDeadLetter,
+    deleteDeadLetter,
+};
@@ -0,0 +1,258 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Log of every webhook delivery on POST /call-events, for debugging.
+ *
+ * Each delivery is stored as WEBHOOKS_DIR/<id>.json with its headers, raw payload, receive time
+ * and outcome, plus what happened to each event in it: "duplicate", or "queued" with its id on
+ * the webhook queue until the queue reports it "handled" or "dead_letter" through
+ * updateWebhookEvent(). A delivery whose events were accepted is "queued" while any of them is,
+ * then "processed", or "failed" if one was dead-lettered. Otherwise the outcome says why it was
+ * turned away ("missing_signature", "invalid_signature", "stale", "replayed", "queue_error").
+ * Ids sort by receive time. The call ids and wa_ids a payload mentions are kept alongside so
+ * deliveries can be looked up per call or per user.
+ * Records older than WEBHOOK_LOG_RETENTION_DAYS are pruned as new ones come in.
+ */
+const WEBHOOK_LOG_ENABLED = process.env.WEBHOOK_LOG_ENABLED !== "false";
+const WEBHOOKS_DIR = process.env.WEBHOOKS_DIR || path.join(__dirname, "..", "webhooks");
+const WEBHOOK_LOG_RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 7;
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const ACCEPTED_OUTCOMES = ["queued", "processed", "failed"];
+let lastPruneAt = 0;
+
+// Records created by this process whose events may still settle -> { record, saved, settled },
+// where `settled` holds event outcomes (by queue id) not yet applied to the record
+const openRecords = new Map();
+// Record id -> its latest write, so writes to one record happen in order
+const writes = new Map();
+
+function isValidRecordId(id) {
+    return /^\d+-[0-9a-f]+$/.test(id);
+}
+
+/**
+ * Call ids and wa_ids mentioned anywhere in a webhook payload.
+ */
+function collectIds(body) {
+    const callIds = new Set();
+    const waIds = new Set();
+    for (const entry of body?.entry || []) {
+        for (const change of entry?.changes || []) {
+            const value = change?.value || {};
+            (value.contacts || []).forEach((contact) => contact?.wa_id && waIds.add(contact.wa_id));
+            for (const call of value.calls || []) {
+                call?.id && callIds.add(call.id);
+                call?.from && waIds.add(call.from);
+                call?.to && waIds.add(call.to);
+            }
+            for (const status of value.statuses || []) {
+                if (status?.type === "call" && status.id) {
+                    callIds.add(status.id);
+                }
+                status?.recipient_id && waIds.add(status.recipient_id);
+            }
+            (value.messages || []).forEach((message) => message?.from && waIds.add(message.from));
+            (value.call_permissions || []).forEach((permission) => permission?.wa_id && waIds.add(permission.wa_id));
+        }
+    }
+    return { callIds: [...callIds], waIds: [...waIds] };
+}
+
+/**
+ * A new, unsaved record of a delivery. `replayOf` is the id of the record a replay came from.
+ */
+function createWebhookRecord({ headers = {}, body, replayOf = null }) {
+    const record = {
+        id: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+        receivedAt: new Date().toISOString(),
+        replayOf,
+        headers,
+        body,
+        ...collectIds(body),
+        statusCode: null,
+        outcome: null,
+        events: [],
+    };
+    if (WEBHOOK_LOG_ENABLED) {
+        openRecords.set(record.id, { record, saved: false, settled: new Map() });
+    }
+    return record;
+}
+
+function isAcceptedRecord(record) {
+    return ACCEPTED_OUTCOMES.includes(record.outcome);
+}
+
+/**
+ * Outcome of an accepted delivery from the outcomes of its events.
+ */
+function acceptedOutcome(events) {
+    const outcomes = events.map((event) => event.outcome);
+    if (outcomes.includes("queued")) {
+        return "queued";
+    }
+    return outcomes.includes("dead_letter") ? "failed" : "processed";
+}
+
+/**
+ * Run `task` after every earlier write to record `id`.
+ */
+function writeInOrder(id, task) {
+    const write = (writes.get(id) || Promise.resolve()).catch(() => {}).then(task);
+    writes.set(id, write);
+    const forget = () => {
+        if (writes.get(id) === write) {
+            writes.delete(id);
+        }
+    };
+    write.then(forget, forget);
+    return write;
+}
+
+function writeRecord(record) {
+    return writeInOrder(record.id, async () => {
+        await fs.promises.mkdir(WEBHOOKS_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(WEBHOOKS_DIR, `${record.id}.json`), JSON.stringify(record, null, 2));
+    });
+}
+
+async function pruneRecords() {
+    const cutoff = Date.now() - WEBHOOK_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let pruned = 0;
+    for (const file of await fs.promises.readdir(WEBHOOKS_DIR)) {
+        const receivedAt = Number(file.split("-")[0]);
+        if (file.endsWith(".json") && receivedAt < cutoff) {
+            await fs.promises.unlink(path.join(WEBHOOKS_DIR, file)).catch(() => {});
+            pruned++;
+        }
+    }
+    if (pruned) {
+        console.log(`Pruned ${pruned} webhook record(s) older than ${WEBHOOK_LOG_RETENTION_DAYS} days`);
+    }
+}
+
+/**
+ * Store a record. Pass outcome "queued" for an accepted delivery: the events that already
+ * settled are applied and the outcome worked out from them.
+ */
+async function saveWebhookRecord(record) {
+    if (!WEBHOOK_LOG_ENABLED) {
+        return;
+    }
+    const open = openRecords.get(record.id);
+    if (isAcceptedRecord(record)) {
+        for (const event of record.events) {
+            if (open?.settled.has(event.queueId)) {
+                event.outcome = open.settled.get(event.queueId);
+            }
+        }
+        record.outcome = acceptedOutcome(record.events);
+    }
+    if (open && record.outcome === "queued") {
+        open.saved = true;
+    } else {
+        openRecords.delete(record.id);
+    }
+    await writeRecord(record);
+
+    if (Date.now() - lastPruneAt > PRUNE_INTERVAL_MS) {
+        lastPruneAt = Date.now();
+        pruneRecords().catch((err) => console.error("Failed to prune webhook records:", err.message));
+    }
+}
+
+/**
+ * Stored record of a delivery, or null if there is none.
+ */
+async function getWebhookRecord(id) {
+    if (!isValidRecordId(id)) {
+        return null;
+    }
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(WEBHOOKS_DIR, `${id}.json`), "utf8"));
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Note what became of a queued event (`queueId`) of stored delivery `id`: "handled" or
+ * "dead_letter". Events can settle before their delivery's record is saved; the record picks the
+ * outcome up when it is.
+ */
+async function updateWebhookEvent(id, queueId, outcome) {
+    if (!WEBHOOK_LOG_ENABLED || !isValidRecordId(id)) {
+        return;
+    }
+    const open = openRecords.get(id);
+    if (open) {
+        open.settled.set(queueId, outcome);
+        if (open.saved) {
+            await saveWebhookRecord(open.record);
+        }
+        return;
+    }
+
+    // A delivery from before a restart, or whose events are retried from the dead letters
+    await writeInOrder(id, async () => {
+        const record = await getWebhookRecord(id);
+        const event = record?.events.find((candidate) => candidate.queueId === queueId);
+        if (!event) {
+            return;
+        }
+        event.outcome = outcome;
+        record.outcome = acceptedOutcome(record.events);
+        await fs.promises.writeFile(path.join(WEBHOOKS_DIR, `${id}.json`), JSON.stringify(record, null, 2));
+    });
+}
+
+/**
+ * Stored records, newest first, optionally only those mentioning `callId` / `waId`. Returns
+ * summaries without headers and payload.
+ */
+async function listWebhookRecords({ callId = null, waId = null, limit = 100 } = {}) {
+    let files;
+    try {
+        files = await fs.promises.readdir(WEBHOOKS_DIR);
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return [];
+        }
+        throw err;
+    }
+
+    const records = [];
+    for (const file of files.filter((name) => name.endsWith(".json")).sort().reverse()) {
+        if (records.length >= limit) {
+            break;
+        }
+        let record;
+        try {
+            record = JSON.parse(await fs.promises.readFile(path.join(WEBHOOKS_DIR, file), "utf8"));
+        } catch (err) {
+            console.error(`Skipping unreadable webhook record ${file}:`, err.message);
+            continue;
+        }
+        if ((callId && !record.callIds.includes(callId)) || (waId && !record.waIds.includes(waId))) {
+            continue;
+        }
+        const { headers, body, ...summary } = record;
+        records.push(summary);
+    }
+    return records;
+}
+
+module.exports = {
+    createWebhookRecord,
+    isAcceptedRecord,
+    saveWebhookRecord,
+    updateWebhookEvent,
+    getWebhookRecord,
+    listWebhookRecords,
+};
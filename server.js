@@ -1,6 +1,5 @@
 require("dotenv").config();
 const express = require("express");
-const axios = require("axios");
 const path = require("path");
 const http = require("http");
 const socketIO = require("socket.io");
@@ -10,15 +9,193 @@ const {
     RTCIceCandidate,
     MediaStream,
 } = require("wrtc");
+const {
+    createSession,
+    getSession,
+    findSessionBySocket,
+    findSessionsBySocket,
+    closeSession,
+    getAllSessions,
+} = require("./lib/sessions");
+const {
+    CALL_STATES,
+    callStateEvents,
+    transitionCall,
+    isFinalState,
+} = require("./lib/call-state");
+const { getCallStatusOutcome } = require("./lib/call-statuses");
+const {
+    AGENT_STATUSES,
+    agentEvents,
+    registerAgent,
+    identifyAgent,
+    getAgent,
+    removeAgent,
+    setAgentStatus,
+    setAgentCall,
+    releaseAgent,
+    releaseAgentFromCall,
+    isAgentFree,
+    getAllAgents,
+    getRoster,
+} = require("./lib/agents");
+const {
+    acdEvents,
+    enqueueCall,
+    acceptOffer,
+    declineOffer,
+    removeCall,
+    releaseAgentOffers,
+    dispatchQueue,
+    getQueueStats,
+} = require("./lib/acd");
+const {
+    startRecording,
+    stopRecording,
+    setRecordingTrack,
+    isRecording,
+    listRecordings,
+    getRecordingFile,
+    deleteRecording,
+} = require("./lib/recorder");
+const {
+    getHoldMusic,
+    isOnHold,
+    getHoldSeconds,
+    holdCall,
+    resumeCall,
+    releaseHold,
+} = require("./lib/hold");
+const {
+    transferEvents,
+    describeTransfer,
+    startTransfer,
+    acceptTransfer,
+    attachTransferLeg,
+    completeTransfer,
+    cancelTransfer,
+    releaseTransfer,
+} = require("./lib/transfer");
+const {
+    getMonitor,
+    applyRouting,
+    joinCall,
+    connectMonitor,
+    setMonitorMode,
+    leaveCall,
+    releaseSupervision,
+} = require("./lib/supervisor");
+const {
+    conferenceEvents,
+    createRoom,
+    getRoom,
+    getAllRooms,
+    describeRoom,
+    describeParticipant,
+    addParticipant,
+    removeParticipant,
+    setParticipantMuted,
+    findParticipant,
+} = require("./lib/conference");
+const {
+    ivrEvents,
+    isIvrEnabled,
+    getIvrMenu,
+    createIvr,
+    listenForDigits,
+    runIvr,
+    describeIvr,
+    stopIvr,
+} = require("./lib/ivr");
+const { getDtmfMode } = require("./lib/dtmf");
+const {
+    VOICEMAIL_RING_TIMEOUT_MS,
+    voicemailEvents,
+    isVoicemailEnabled,
+    getGreeting,
+    createVoicemail,
+    startVoicemail,
+    stopVoicemail,
+    listVoicemails,
+    getVoicemailFile,
+    deleteVoicemail,
+} = require("./lib/voicemail");
+const {
+    MEDIA_FORK_MODE,
+    forkEvents,
+    describeFork,
+    startFork,
+    setForkTrack,
+    stopFork,
+} = require("./lib/media-fork");
+const {
+    transcriptionEvents,
+    isTranscriptionEnabled,
+    setTranscriptionTrack,
+    startTranscription,
+    stopTranscription,
+    getTranscript,
+    searchTranscripts,
+} = require("./lib/transcription");
+const {
+    qualityEvents,
+    startQualityMonitor,
+    getLatestQuality,
+    stopQualityMonitor,
+    getQualitySummary,
+} = require("./lib/quality");
+const { getIceServers, describeIceServers } = require("./lib/ice");
+const {
+    SdpValidationError,
+    normalizeWhatsAppOffer,
+    normalizeWhatsAppAnswer,
+    normalizeOfferToWhatsApp,
+    validateWhatsAppAnswer,
+} = require("./lib/sdp");
+const { rawBodySaver, verifyWebhook, forgetWebhookPayload } = require("./lib/webhook-auth");
+const { requireAdmin, requireAgent, isAgentToken, isSupervisorToken } = require("./lib/auth");
+const {
+    createWebhookRecord,
+    isAcceptedRecord,
+    saveWebhookRecord,
+    updateWebhookEvent,
+    getWebhookRecord,
+    listWebhookRecords,
+} = require("./lib/webhook-store");
+const { extractEvents, isDuplicate, forgetEvent, saveSeenEvent } = require("./lib/webhook-events");
+const {
+    webhookQueueEvents,
+    enqueueEvent,
+    startWebhookQueue,
+    getWebhookQueueStats,
+    listDeadLetters,
+    retryDeadLetter,
+    deleteDeadLetter,
+} = require("./lib/webhook-queue");
+const {
+    GraphApiError,
+    PermissionRequiredError,
+    RateLimitedError,
+    RecipientBusyError,
+    isRetryable,
+    sendCallAction,
+    sendMessage,
+    describeGraphApi,
+} = require("./lib/graph-api");
+const {
+    BROWSER_RECONNECT_GRACE_MS,
+    reconnectEvents,
+    isReconnectEnabled,
+    awaitReconnect,
+    findReconnectingSessions,
+    endReconnect,
+} = require("./lib/reconnect");
 
-// STUN server allows each peer to discover its public IP for NAT traversal
-const ICE_SERVERS = [{ urls: "stun:stun.relay.metered.ca:80" }];
-console.log("ICE servers configured:", ICE_SERVERS);
+// STUN lets each peer discover its public address; TURN relays media when no direct path works
+console.log("ICE servers configured:", describeIceServers());
 console.log("Server initialization started at:", new Date().toISOString());
 
-const WHATSAPP_API_URL = `https://graph.facebook.com/v19.0/${process.env.PHONE_NUMBER_ID}/calls`;
-const ACCESS_TOKEN = `Bearer ${process.env.ACCESS_TOKEN}`;
-console.log("WhatsApp API URL configured:", WHATSAPP_API_URL);
+console.log("WhatsApp API URL configured:", describeGraphApi());
 console.log("Phone Number ID:", process.env.PHONE_NUMBER_ID);
 
 const app = express();
@@ -26,19 +203,369 @@ const server = http.createServer(app);
 const io = socketIO(server);
 console.log("Express server and Socket.IO initialized");
 
-app.use(express.json());
+// Keep the raw body: webhook signatures are computed over the exact bytes Meta sent
+app.use(express.json({ verify: rawBodySaver }));
 app.use(express.static(path.join(__dirname, "public")));
 
-// State variables per call session
-let browserPc = null;
-let browserStream = null;
-let whatsappPc = null;
-let whatsappStream = null;
-let browserOfferSdp = null;
-let whatsappOfferSdp = null;
-let browserSocket = null;
-let currentCallId = null;
-let callInProgress = false; // New flag to track active call state
+// Record every call by default when RECORD_CALLS=true; agents can still toggle recording per call
+const RECORD_CALLS = process.env.RECORD_CALLS === "true";
+console.log("Record calls by default:", RECORD_CALLS);
+
+// How long a disconnected browser leg may try to recover before we ask for an ICE restart
+const ICE_RESTART_DELAY_MS = Number(process.env.ICE_RESTART_DELAY_MS) || 2000;
+console.log("Media fork mode:", MEDIA_FORK_MODE);
+console.log("Live transcription:", isTranscriptionEnabled());
+
+// Per-call state (peer connections, streams, SDPs, socket) lives in lib/sessions.js.
+// Permission requests are not tied to a call yet, so remember which socket asked per wa_id.
+const permissionSockets = new Map();
+
+/**
+ * Publish every call state transition to the UI and release the session once the call is over.
+ */
+callStateEvents.on("transition", async ({ session, previousState, state, reason }) => {
+    io.to("agents").emit("call-state", {
+        callId: session.callId,
+        state,
+        previousState,
+        reason,
+        at: session.stateChangedAt.toISOString(),
+    });
+
+    // Inbound calls start the timer on accept; outbound calls once the callee's media is up
+    if (state === CALL_STATES.ACTIVE && session.direction === "outbound" && session.browserSocket) {
+        session.browserSocket.emit("start-browser-timer");
+    }
+
+    // Calls dialed out from a conference join the room once the callee picks up
+    if (state === CALL_STATES.ACTIVE && session.conferenceId) {
+        await joinDialedCallToConference(session);
+    }
+
+    if (state === CALL_STATES.ACTIVE && !session.voicemail && (session.recordingEnabled ?? RECORD_CALLS)) {
+        startCallRecording(session);
+    }
+
+    if (state === CALL_STATES.ACTIVE && MEDIA_FORK_MODE === "all") {
+        startMediaFork(session);
+    }
+
+    if (state === CALL_STATES.ACTIVE && !session.voicemail) {
+        startTranscription(session, getLegTracks(session));
+    }
+
+    if (state === CALL_STATES.ACTIVE) {
+        startQualityMonitor(session);
+    }
+
+    if (!isFinalState(state)) {
+        return;
+    }
+
+    stopCallRecording(session);
+    stopIvr(session);
+    stopVoicemail(session).catch((err) => {
+        console.error(`Failed to save voicemail for call ${session.callId}:`, err);
+    });
+    stopFork(session, reason || state);
+    endReconnect(session);
+    stopTranscription(session).catch((err) => {
+        console.error(`Failed to save transcript for call ${session.callId}:`, err);
+    });
+    const agentSocket = session.browserSocket;
+    stopQualityMonitor(session)
+        .then((summary) => {
+            if (summary) {
+                agentSocket?.emit("call-quality-summary", summary);
+                io.to("supervisors").emit("call-quality-summary", summary);
+            }
+        })
+        .catch((err) => {
+            console.error(`Failed to save quality summary for call ${session.callId}:`, err);
+        });
+    releaseTransfer(session);
+    endSupervision(session, "call_ended");
+    releaseHold(session);
+
+    const conference = findParticipant(session.callId);
+    if (conference) {
+        removeParticipant(conference.room, session.callId, reason || state);
+    } else if (session.conferenceId) {
+        io.to(`conference:${session.conferenceId}`).emit("conference-dial-state", {
+            roomId: session.conferenceId,
+            callId: session.callId,
+            phoneNumber: session.callerNumber,
+            status: "failed",
+            reason: reason || state,
+        });
+    }
+
+    removeCall(session.callId, state === CALL_STATES.ENDED ? "call_ended" : "call_failed");
+    releaseAgentFromCall(session.callId);
+
+    const callEnded = { callId: session.callId, state, reason, holdSeconds: getHoldSeconds(session) };
+    if (session.holdCount) {
+        console.log(`Call ${session.callId} was on hold ${session.holdCount} time(s) for ${callEnded.holdSeconds}s`);
+    }
+
+    if (session.browserSocket) {
+        session.browserSocket.emit("call-ended", callEnded);
+        console.log(`Emitted call-ended event to browser ${session.browserSocket.id}`);
+    } else {
+        io.to("agents").emit("call-ended", callEnded);
+        console.log("Emitted call-ended event to all agents");
+    }
+
+    closeSession(session.callId);
+
+    // A timed out call is still up on the WhatsApp side, so hang it up there too
+    if (reason === "timeout") {
+        if (previousState === CALL_STATES.RINGING && session.direction === "inbound") {
+            await rejectCall(session.callId);
+        } else {
+            await terminateCall(session.callId);
+        }
+    }
+});
+
+/**
+ * Queue changes are broadcast so every agent sees queue length and wait times.
+ */
+acdEvents.on("queue-update", (stats) => {
+    io.to("agents").emit("queue-update", stats);
+    // Offers change who is ringing, which supervisors see in the roster
+    io.to("supervisors").emit("agent-roster", getRoster());
+});
+
+/**
+ * Supervisors get the live agent roster on every presence change.
+ */
+agentEvents.on("roster-update", (roster) => {
+    io.to("supervisors").emit("agent-roster", roster);
+});
+
+/**
+ * Tell agents about automatic status changes and offer waiting calls to agents who became available.
+ */
+agentEvents.on("status-change", ({ agent, status, reason }) => {
+    agent.socket.emit("agent-status", { status, reason });
+
+    if (status === AGENT_STATUSES.AVAILABLE) {
+        dispatchQueue();
+    } else if (status !== AGENT_STATUSES.ON_CALL) {
+        releaseAgentOffers(agent.id);
+    }
+});
+
+/**
+ * Keep both agents of a transfer informed and move the call between them once it completes.
+ */
+transferEvents.on("update", ({ session, transfer, status, reason }) => {
+    const transferState = { callId: session.callId, ...describeTransfer(transfer), reason };
+    transfer.from.socket.emit("transfer-state", { ...transferState, party: "from" });
+    // Until they accept, the target only sees the call-is-coming offer
+    if (transfer.accepted) {
+        transfer.to.socket.emit("transfer-state", { ...transferState, party: "to" });
+    }
+
+    if (status === "completed") {
+        releaseAgent(transfer.from.id);
+        setRecordingTrack(session.callId, "agent", getLegTracks(session).agentTrack);
+        setForkTrack(session, "agent", getLegTracks(session).agentTrack);
+        setTranscriptionTrack(session, "agent", getLegTracks(session).agentTrack);
+        session.browserSocket.emit("start-browser-timer");
+        session.browserSocket.emit("recording-state", { callId: session.callId, recording: isRecording(session.callId) });
+    } else if (status === "cancelled" && transfer.accepted) {
+        releaseAgent(transfer.to.id);
+    }
+
+    if (!isFinalState(session.state)) {
+        emitHoldState(session);
+        // Supervisors keep listening to, and talking to, whoever has the call now
+        if (status === "completed" || status === "cancelled") {
+            applyRouting(session, getLegTracks(session)).catch((err) => {
+                console.error(`Failed to re-route supervisor audio for call ${session.callId}:`, err);
+            });
+        }
+    }
+});
+
+/**
+ * Keep conference members and the list of rooms up to date, and release agents who leave a room.
+ */
+function emitConferenceList() {
+    io.to("agents").emit("conference-list", getAllRooms().map(describeRoom));
+}
+
+conferenceEvents.on("participant-joined", ({ room, participant }) => {
+    const channel = `conference:${room.id}`;
+    io.to(channel).emit("conference-participant-joined", { roomId: room.id, participant: describeParticipant(participant) });
+    io.to(channel).emit("conference-update", describeRoom(room));
+    emitConferenceList();
+});
+
+conferenceEvents.on("participant-updated", ({ room }) => {
+    io.to(`conference:${room.id}`).emit("conference-update", describeRoom(room));
+});
+
+conferenceEvents.on("participant-left", ({ room, participant, reason }) => {
+    const channel = `conference:${room.id}`;
+    io.to(channel).emit("conference-participant-left", { roomId: room.id, participant: describeParticipant(participant), reason });
+    io.to(channel).emit("conference-update", describeRoom(room));
+
+    if (participant.kind === "agent") {
+        if (participant.pc && participant.pc.connectionState !== "closed") {
+            participant.pc.close();
+        }
+        participant.socket.leave(channel);
+        participant.socket.emit("conference-state", { roomId: room.id, status: "left", reason });
+        releaseAgent(participant.id);
+    }
+    emitConferenceList();
+});
+
+conferenceEvents.on("room-ended", ({ room }) => {
+    const channel = `conference:${room.id}`;
+    // Agents who were still connecting never became participants
+    for (const socketId of room.pendingAgents) {
+        releaseAgent(socketId);
+    }
+    io.to(channel).emit("conference-ended", { roomId: room.id });
+    io.in(channel).socketsLeave(channel);
+    emitConferenceList();
+});
+
+/**
+ * Every available agent declined the call, so send it to voicemail or reject it on the WhatsApp
+ * side. A call the IVR or a bot already answered has to be hung up instead.
+ */
+acdEvents.on("exhausted", async (session) => {
+    if (await sendToVoicemail(session, "rejected")) {
+        return;
+    }
+
+    console.log(`Rejecting call ${session.callId}: declined by every available agent`);
+    if (transitionCall(session, CALL_STATES.ENDED, "rejected")) {
+        const result = session.whatsappPc ? await terminateCall(session.callId) : await rejectCall(session.callId);
+        console.log("Reject call response:", result);
+    }
+});
+
+/**
+ * Nobody picked the call up within VOICEMAIL_RING_TIMEOUT_MS.
+ */
+acdEvents.on("wait-timeout", async (session) => {
+    await sendToVoicemail(session, "no_answer");
+});
+
+/**
+ * Every agent gets new voicemails; a message that reached its maximum length ends the call.
+ */
+voicemailEvents.on("saved", (voicemail) => {
+    io.to("agents").emit("voicemail", voicemail);
+});
+
+voicemailEvents.on("max-length", async (session) => {
+    if (transitionCall(session, CALL_STATES.ENDED, "voicemail_complete")) {
+        await terminateCall(session.callId);
+    }
+});
+
+voicemailEvents.on("failed", async (session) => {
+    if (transitionCall(session, CALL_STATES.FAILED, "voicemail_failed")) {
+        await terminateCall(session.callId);
+    }
+});
+
+/**
+ * Callers leave the IVR into an ACD queue or by hanging up. Supervisors can follow their progress.
+ */
+ivrEvents.on("menu", ({ session }) => {
+    io.to("supervisors").emit("ivr-state", { callId: session.callId, ...describeIvr(session) });
+});
+
+ivrEvents.on("digit", ({ session }) => {
+    io.to("supervisors").emit("ivr-state", { callId: session.callId, ...describeIvr(session) });
+});
+
+ivrEvents.on("finished", async ({ session, action, queue }) => {
+    io.to("supervisors").emit("ivr-state", { callId: session.callId, ...describeIvr(session), queue });
+
+    if (action === "queue") {
+        session.queue = queue;
+        queueCall(session);
+    } else if (transitionCall(session, CALL_STATES.ENDED, "ivr_hangup")) {
+        await terminateCall(session.callId);
+    }
+});
+
+/**
+ * A bot answering a call over the media fork can hand the caller to agents or hang up. If the
+ * bot goes away before doing either, its caller is queued for agents instead of left in silence.
+ */
+forkEvents.on("queue", ({ session, queue }) => {
+    if (isFinalState(session.state) || session.browserSocket) {
+        return;
+    }
+    session.queue = queue;
+    queueCall(session);
+});
+
+forkEvents.on("hangup", async ({ session }) => {
+    if (transitionCall(session, CALL_STATES.ENDED, "bot_hangup")) {
+        await terminateCall(session.callId);
+    }
+});
+
+forkEvents.on("closed", ({ session, fork, reason }) => {
+    emitForkState(session, { ...describeFork(fork), reason });
+
+    if (fork.inject && reason === "remote_closed" && !isFinalState(session.state) && !session.browserSocket
+        && !session.voicemail) {
+        console.log(`Media fork for call ${session.callId} went away, queueing the caller for agents`);
+        queueCall(session);
+    }
+});
+
+/**
+ * Captions go to the call's agent and to supervisors monitoring it.
+ */
+transcriptionEvents.on("segment", ({ session, segment }) => {
+    const caption = { callId: session.callId, ...segment };
+    session.browserSocket?.emit("transcript-segment", caption);
+    for (const monitor of session.monitors.values()) {
+        monitor.socket.emit("transcript-segment", caption);
+    }
+});
+
+/**
+ * The agent sees live quality of both legs; alerts also go to supervisors.
+ */
+qualityEvents.on("sample", ({ session, legs }) => {
+    session.browserSocket?.emit("call-quality", { callId: session.callId, legs });
+});
+
+qualityEvents.on("alert", ({ session, leg, metrics, causes }) => {
+    const alert = { callId: session.callId, leg, status: "degraded", metrics, causes };
+    session.browserSocket?.emit("quality-alert", alert);
+    io.to("supervisors").emit("quality-alert", alert);
+});
+
+qualityEvents.on("recovered", ({ session, leg, metrics }) => {
+    const alert = { callId: session.callId, leg, status: "recovered", metrics };
+    session.browserSocket?.emit("quality-alert", alert);
+    io.to("supervisors").emit("quality-alert", alert);
+});
+
+/**
+ * The agent whose browser went away did not come back in time.
+ */
+reconnectEvents.on("expired", async (session) => {
+    console.log(`Terminating call ${session.callId}: the agent did not reconnect`);
+    if (transitionCall(session, CALL_STATES.FAILED, "browser_disconnected")) {
+        await terminateCall(session.callId);
+    }
+});
 
 /**
  * Socket.IO connection from browser client.
@@ -48,6 +575,78 @@ io.on("connection", (socket) => {
     console.log(`Client connection time: ${new Date().toISOString()}`);
     console.log(`Total connected clients: ${io.engine.clientsCount}`);
 
+    registerAgent(socket);
+
+    // Agent or supervisor identifies themselves
+    socket.on("agent-register", ({ agentId, name, role, queues, status, sessionToken, agentToken, supervisorToken } = {}) => {
+        // Roles are granted by the server, never taken on the browser's word
+        if (role === "supervisor" && !isSupervisorToken(supervisorToken)) {
+            console.warn(`Rejected supervisor registration from ${socket.id} (${agentId}): invalid supervisor token`);
+            socket.emit("agent-register-rejected", { reason: "invalid_supervisor_token" });
+            return;
+        }
+        if (role !== "supervisor" && !isAgentToken(agentToken)) {
+            console.warn(`Rejected agent registration from ${socket.id} (${agentId}): invalid agent token`);
+            socket.emit("agent-register-rejected", { reason: "invalid_agent_token" });
+            return;
+        }
+        const agent = identifyAgent(socket.id, { agentId, name, role, queues });
+        if (!agent) {
+            return;
+        }
+        socket.emit("agent-session", { agentId: agent.agentId, sessionToken: agent.sessionToken });
+
+        // Callers' names and numbers only go to registered agents
+        if (!socket.rooms.has("agents")) {
+            socket.join("agents");
+            socket.emit("queue-update", getQueueStats());
+            socket.emit("conference-list", getAllRooms().map(describeRoom));
+            listVoicemails()
+                .then((voicemails) => socket.emit("voicemail-list", voicemails))
+                .catch((err) => console.error("Error listing voicemails:", err));
+        }
+
+        if (agent.role === "supervisor") {
+            socket.join("supervisors");
+            socket.emit("agent-roster", getRoster());
+        } else {
+            socket.leave("supervisors");
+        }
+
+        // An agent coming back from a reload picks up the calls that waited for them, with the
+        // token their previous registration was given; the agent id alone is not secret
+        const resumed = agent.role === "agent" ? findReconnectingSessions(agent.agentId, sessionToken) : [];
+        for (const session of resumed) {
+            console.log(`Agent ${agent.name} is back for call ${session.callId}`);
+            session.browserSocket = socket;
+            setAgentCall(socket.id, session.callId);
+            socket.emit("call-resume", {
+                callId: session.callId,
+                callerName: session.callerName,
+                callerNumber: session.callerNumber,
+                direction: session.direction,
+                state: session.state,
+            });
+        }
+
+        // setAgentCall() made a resuming agent busy; their old presence must not make them
+        // available to the queue again while they re-attach
+        if (status && resumed.length === 0) {
+            setAgentStatus(socket.id, status, "registered");
+        }
+    });
+
+    // Agent changes their own presence; on-call is managed by the server
+    socket.on("agent-status", (status) => {
+        if (status === AGENT_STATUSES.ON_CALL) {
+            console.warn(`Agent ${socket.id} tried to set status '${status}' manually`);
+            return;
+        }
+        if (!setAgentStatus(socket.id, status)) {
+            console.warn(`Invalid agent status '${status}' from ${socket.id}`);
+        }
+    });
+
     // SDP offer from browser
     socket.on("browser-offer", async (sdp, callId) => {
         console.log("Received SDP offer from browser.");
@@ -55,50 +654,125 @@ io.on("connection", (socket) => {
         console.log("SDP offer received at:", new Date().toISOString());
         console.log("SDP offer media lines:", sdp.match(/m=.*/g));
         console.log("Call ID provided with offer:", callId);
+
+        // Agents joining a conference send the room id instead of a call id
+        const room = getRoom(callId);
+        if (room) {
+            if (room.pendingAgents.has(socket.id)) {
+                await connectConferenceAgent(room, socket, sdp);
+            }
+            return;
+        }
         
-        browserOfferSdp = sdp;
-        browserSocket = socket;
-        
-        // If callId is provided, use it to ensure we're processing the right call
-        if (callId) {
-            currentCallId = callId;
-            console.log("Using provided callId for WebRTC bridge:", callId);
+        // The callId ties this offer to the right call session
+        const session = getSession(callId) || findSessionBySocket(socket.id);
+        if (!session) {
+            console.warn(`No call session found for browser offer (callId: ${callId})`);
+            return;
+        }
+
+        // Supervisors connect a leg of their own to listen, whisper or barge
+        if (getMonitor(session, socket.id)) {
+            await connectSupervisor(session, socket, sdp);
+            return;
+        }
+
+        // The agent a call is being transferred to connects a leg of their own
+        if (session.transfer?.to.id === socket.id) {
+            if (session.transfer.accepted) {
+                await connectTransferTarget(session, socket, sdp);
+            }
+            return;
+        }
+
+        // Only the agent the call was assigned to may bridge it
+        if (session.browserSocket?.id !== socket.id) {
+            console.warn(`Browser ${socket.id} sent an offer for call ${session.callId} it is not assigned to`);
+            return;
         }
+
+        session.browserOfferSdp = sdp;
+        console.log("Using call session for WebRTC bridge:", session.callId);
         
-        await initiateWebRTCBridge();
+        if (session.reconnect) {
+            await reattachBrowser(session);
+            return;
+        }
+
+        // Outbound calls and calls answered by the IVR or a bot already have their WhatsApp leg
+        if (session.whatsappPc) {
+            await bridgeAnsweredCall(session);
+        } else {
+            await initiateWebRTCBridge(session);
+        }
     });
 
     // ICE candidate from browser
-    socket.on("browser-candidate", async (candidate) => {
+    socket.on("browser-candidate", async (candidate, callId) => {
         console.log("Received ICE candidate from browser:", candidate.candidate.substring(0, 30) + "...");
         console.log("ICE candidate type:", candidate.type);
         console.log("ICE candidate SDPMid:", candidate.sdpMid);
         console.log("ICE candidate SDPMLineIndex:", candidate.sdpMLineIndex);
         console.log("ICE candidate received at:", new Date().toISOString());
         
-        if (!browserPc) {
-            console.warn("Cannot add ICE candidate: browser peer connection not initialized.");
+        const pc = findAgentPeerConnection(socket, callId);
+        if (!pc) {
+            console.warn(`Cannot add ICE candidate from ${socket.id}: no peer connection of theirs for call ${callId}`);
             return;
         }
 
         try {
-            await browserPc.addIceCandidate(new RTCIceCandidate(candidate));
+            await pc.addIceCandidate(new RTCIceCandidate(candidate));
         } catch (err) {
             console.error("Failed to add ICE candidate from browser:", err);
         }
     });
 
+    // The browser lost connectivity and sends an offer with fresh ICE credentials
+    socket.on("browser-ice-restart", async (sdp, callId) => {
+        const pc = findAgentPeerConnection(socket, callId);
+        if (!pc) {
+            console.warn(`ICE restart from ${socket.id} ignored: no peer connection for call ${callId}`);
+            return;
+        }
+
+        console.log(`ICE restart requested by browser ${socket.id} for call ${callId}`);
+        try {
+            await pc.setRemoteDescription(new RTCSessionDescription({ type: "offer", sdp }));
+            const answer = await pc.createAnswer();
+            await pc.setLocalDescription(answer);
+            socket.emit("browser-answer", answer.sdp);
+        } catch (err) {
+            console.error(`ICE restart for call ${callId} failed:`, err);
+        }
+    });
+
+    // ICE servers for the browser's next peer connection, with fresh TURN credentials
+    socket.on("get-ice-servers", (callback) => {
+        if (typeof callback !== "function") {
+            return;
+        }
+        const agent = getAgent(socket.id);
+        callback(getIceServers(agent?.agentId || socket.id));
+    });
+
     // Reject call from browser
     socket.on("reject-call", async (callId) => {
         console.log(`Call rejection request received for callId: ${callId}`);
         console.log(`Rejection time: ${new Date().toISOString()}`);
         console.log(`Rejecting client: ${socket.id}`);
-        const result = await rejectCall(callId);
-        console.log("Reject call response:", result);
-        
-        // Reset call in progress flag
-        callInProgress = false;
-        console.log("Call in progress flag reset after rejection");
+
+        // Declining a transfer gives the call back to the agent who started it
+        const session = getSession(callId);
+        if (session?.transfer?.to.id === socket.id && !session.transfer.accepted) {
+            await cancelTransfer(session, "declined");
+            return;
+        }
+
+        // The ACD offers the call to the next agent; it is only rejected once everyone declined
+        if (!declineOffer(callId, socket.id)) {
+            console.warn(`Agent ${socket.id} declined call ${callId} that was not offered to them`);
+        }
     });
 
     // Accept call from browser - new handler for explicit call acceptance
@@ -106,25 +780,45 @@ io.on("connection", (socket) => {
         console.log(`Call acceptance request received for callId: ${callId}`);
         console.log(`Acceptance time: ${new Date().toISOString()}`);
         console.log(`Accepting client: ${socket.id}`);
+
+        // A transferred call is already bridged; the target sends its browser offer next
+        const transferring = getSession(callId);
+        if (transferring?.transfer?.to.id === socket.id) {
+            if (acceptTransfer(transferring, socket.id)) {
+                setAgentCall(socket.id, callId);
+            } else {
+                socket.emit("call-offer-revoked", { callId, reason: "offer_expired" });
+            }
+            return;
+        }
         
+        const session = acceptOffer(callId, socket.id);
+        if (!session) {
+            console.warn(`Cannot accept call ${callId}: it is no longer offered to ${socket.id}`);
+            socket.emit("call-offer-revoked", { callId, reason: "offer_expired" });
+            return;
+        }
+
         // Store this socket for the accepted call
-        browserSocket = socket;
-        currentCallId = callId;
+        session.browserSocket = socket;
+        setAgentCall(socket.id, callId);
         
         // If we already have the WhatsApp SDP offer but not the browser one yet,
         // we need to wait for the browser-offer event
-        if (whatsappOfferSdp && !browserOfferSdp) {
+        if (session.whatsappPc) {
+            console.log("WhatsApp leg already answered server-side, waiting for browser offer");
+        } else if (session.whatsappOfferSdp && !session.browserOfferSdp) {
             console.log("We have WhatsApp offer but waiting for browser offer");
             console.log("Browser will send offer after this acceptance");
         } 
         // If we have both offers already, we can initiate the WebRTC bridge now
-        else if (whatsappOfferSdp && browserOfferSdp) {
+        else if (session.whatsappOfferSdp && session.browserOfferSdp) {
             console.log("We have both offers, can initiate WebRTC bridge immediately");
-            await initiateWebRTCBridge();
+            await initiateWebRTCBridge(session);
         } else {
             console.log("Waiting for required SDP offers:");
-            console.log("- Browser offer exists:", !!browserOfferSdp);
-            console.log("- WhatsApp offer exists:", !!whatsappOfferSdp);
+            console.log("- Browser offer exists:", !!session.browserOfferSdp);
+            console.log("- WhatsApp offer exists:", !!session.whatsappOfferSdp);
         }
     });
 
@@ -133,37 +827,382 @@ io.on("connection", (socket) => {
         console.log(`Call termination request received for callId: ${callId}`);
         console.log(`Termination time: ${new Date().toISOString()}`);
         console.log(`Terminating client: ${socket.id}`);
+
+        // Call ids reach every socket through call-state events; only the agent on the call may end it
+        const session = getSession(callId);
+        if (!session || session.browserSocket?.id !== socket.id) {
+            console.warn(`Termination of call ${callId} rejected for ${socket.id}`);
+            return;
+        }
+
         const result = await terminateCall(callId);
         console.log("Terminate call response:", result);
-        
-        // Reset call in progress flag
-        callInProgress = false;
-        console.log(`Call in progress flag reset to FALSE at ${new Date().toISOString()}`);
-        console.log("Call in progress flag reset after termination");
+        transitionCall(session, CALL_STATES.ENDED, "agent_hangup");
     });
     
-    // Handle client disconnection
-    socket.on("disconnect", () => {
-        console.log(`Client disconnected: ${socket.id}`);
-        
-        // If this was the browser socket for our call, reset the flag
-        if (socket.id === browserSocket?.id) {
-            callInProgress = false;
-            console.log("Call in progress flag reset due to browser client disconnection");
+    // Agent turns recording on or off for their call
+    socket.on("recording-start", (callId) => {
+        const session = getSession(callId);
+        if (!session || session.browserSocket?.id !== socket.id) {
+            console.warn(`Recording start for call ${callId} rejected for ${socket.id}`);
+            return;
+        }
+
+        session.recordingEnabled = true;
+        if (session.state === CALL_STATES.ACTIVE) {
+            startCallRecording(session);
+        } else {
+            console.log(`Recording for call ${callId} will start once the call is active`);
         }
     });
-    
-    // Smart Call - Combined permission check & call
-    socket.on("smart-call", async ({ phoneNumber }) => {
-        try {
-            console.log(`Smart call requested for ${phoneNumber}`);
+
+    socket.on("recording-stop", (callId) => {
+        const session = getSession(callId);
+        if (!session || session.browserSocket?.id !== socket.id) {
+            console.warn(`Recording stop for call ${callId} rejected for ${socket.id}`);
+            return;
+        }
+
+        session.recordingEnabled = false;
+        stopCallRecording(session);
+    });
+
+    // Agent or supervisor streams a call's audio to MEDIA_FORK_URL
+    socket.on("media-fork-start", ({ callId, includeAgent } = {}) => {
+        const session = getSession(callId);
+        if (!session || session.state !== CALL_STATES.ACTIVE || !canControlFork(session, socket)) {
+            console.warn(`Media fork start for call ${callId} rejected for ${socket.id}`);
+            return;
+        }
+        startMediaFork(session, { includeAgent });
+    });
+
+    socket.on("media-fork-stop", (callId) => {
+        const session = getSession(callId);
+        if (!session || session.mediaFork?.inject || !canControlFork(session, socket)) {
+            console.warn(`Media fork stop for call ${callId} rejected for ${socket.id}`);
+            return;
+        }
+        stopFork(session, "stopped");
+    });
+
+    // Agent puts the WhatsApp caller on hold (music plays to the caller, audio to the agent is muted)
+    socket.on("hold-call", async (callId) => {
+        const session = getSession(callId);
+        if (!session || session.browserSocket?.id !== socket.id || session.state !== CALL_STATES.ACTIVE || session.transfer) {
+            console.warn(`Hold for call ${callId} rejected for ${socket.id}`);
+            return;
+        }
+
+        try {
+            if (await holdCall(session)) {
+                emitHoldState(session);
+            }
+        } catch (err) {
+            console.error(`Failed to hold call ${callId}:`, err);
+        }
+    });
+
+    socket.on("resume-call", async (callId) => {
+        const session = getSession(callId);
+        if (!session || session.browserSocket?.id !== socket.id || session.transfer) {
+            console.warn(`Resume for call ${callId} rejected for ${socket.id}`);
+            return;
+        }
+
+        try {
+            if (await resumeCall(session)) {
+                emitHoldState(session);
+            }
+        } catch (err) {
+            console.error(`Failed to resume call ${callId}:`, err);
+        }
+    });
+
+    // Agents free to take a transfer from this agent
+    socket.on("list-transfer-targets", () => {
+        socket.emit("transfer-targets", getAllAgents()
+            .filter((agent) => agent.id !== socket.id && isAgentFree(agent))
+            .map((agent) => ({ agentId: agent.agentId, name: agent.name })));
+    });
+
+    // Agent hands their call to another agent, blind or after talking to them first (warm)
+    socket.on("transfer-call", async ({ callId, targetAgentId, mode = "blind" } = {}) => {
+        const session = getSession(callId);
+        if (!session || session.browserSocket?.id !== socket.id || session.state !== CALL_STATES.ACTIVE) {
+            console.warn(`Transfer of call ${callId} rejected for ${socket.id}`);
+            return;
+        }
+
+        const target = getAllAgents().find((agent) =>
+            agent.agentId === targetAgentId && agent.id !== socket.id && isAgentFree(agent)
+        );
+        if (!target) {
+            console.warn(`Transfer target ${targetAgentId} for call ${callId} is not available`);
+            socket.emit("transfer-state", { callId, mode, status: "cancelled", reason: "target_unavailable", party: "from" });
+            return;
+        }
+
+        try {
+            if (!await startTransfer(session, { mode, from: getAgent(socket.id), to: target })) {
+                socket.emit("transfer-state", { callId, mode, status: "cancelled", reason: "transfer_not_possible", party: "from" });
+            }
+        } catch (err) {
+            console.error(`Failed to start transfer of call ${callId}:`, err);
+        }
+    });
+
+    // The agent who started a warm transfer completes or cancels it
+    socket.on("transfer-complete", async (callId) => {
+        const session = getSession(callId);
+        if (session?.transfer?.from.id !== socket.id || session.transfer.status !== "consulting") {
+            console.warn(`Transfer completion for call ${callId} rejected for ${socket.id}`);
+            return;
+        }
+
+        try {
+            await completeTransfer(session);
+        } catch (err) {
+            console.error(`Failed to complete transfer of call ${callId}:`, err);
+        }
+    });
+
+    socket.on("transfer-cancel", async (callId) => {
+        const session = getSession(callId);
+        if (session?.transfer?.from.id !== socket.id) {
+            console.warn(`Transfer cancellation for call ${callId} rejected for ${socket.id}`);
+            return;
+        }
+
+        try {
+            await cancelTransfer(session, "cancelled");
+        } catch (err) {
+            console.error(`Failed to cancel transfer of call ${callId}:`, err);
+        }
+    });
+
+    // Supervisor joins a live call; their browser sends its offer once joined
+    socket.on("supervise-call", ({ callId, mode = "listen" } = {}) => {
+        const session = getSession(callId);
+        const supervisor = getAgent(socket.id);
+        if (!session || session.state !== CALL_STATES.ACTIVE || session.conferenceId || session.ivr || session.voicemail
+            || supervisor?.role !== "supervisor") {
+            console.warn(`Supervision of call ${callId} rejected for ${socket.id}`);
+            socket.emit("supervision-state", { callId, mode, status: "left", reason: "not_allowed" });
+            return;
+        }
+
+        if (joinCall(session, supervisor, mode)) {
+            socket.emit("supervision-state", { callId, mode, status: "joined" });
+        }
+    });
+
+    socket.on("supervise-mode", async ({ callId, mode } = {}) => {
+        const session = getSession(callId);
+        try {
+            if (session && await setMonitorMode(session, socket.id, mode, getLegTracks(session))) {
+                socket.emit("supervision-state", { callId, mode, status: "connected" });
+            } else {
+                console.warn(`Supervision mode '${mode}' for call ${callId} rejected for ${socket.id}`);
+            }
+        } catch (err) {
+            console.error(`Failed to switch supervision of call ${callId} to ${mode}:`, err);
+        }
+    });
+
+    socket.on("supervise-leave", async (callId) => {
+        const session = getSession(callId);
+        const mode = session && getMonitor(session, socket.id)?.mode;
+        try {
+            if (session && await leaveCall(session, socket.id, getLegTracks(session))) {
+                socket.emit("supervision-state", { callId, mode, status: "left", reason: "left" });
+            }
+        } catch (err) {
+            console.error(`Failed to leave supervision of call ${callId}:`, err);
+        }
+    });
+
+    socket.on("conference-list", () => {
+        socket.emit("conference-list", getAllRooms().map(describeRoom));
+    });
+
+    // Agent moves their active call into a conference room, a new one unless roomId is given
+    socket.on("conference-add-call", async ({ callId, roomId, name } = {}) => {
+        const session = getSession(callId);
+        if (!session || session.browserSocket?.id !== socket.id || session.state !== CALL_STATES.ACTIVE
+            || session.hold || session.transfer) {
+            console.warn(`Moving call ${callId} into a conference rejected for ${socket.id}`);
+            return;
+        }
+
+        const agent = getAgent(socket.id);
+        const room = roomId
+            ? getRoom(roomId)
+            : createRoom({ name: name || `Conference with ${session.callerName}`, createdBy: agent?.name || socket.id });
+        if (!room) {
+            socket.emit("conference-state", { roomId, status: "left", reason: "room_not_found" });
+            return;
+        }
+
+        try {
+            room.pendingAgents.add(socket.id);
+            socket.join(`conference:${room.id}`);
+            await addCallToConference(session, room);
+            setAgentCall(socket.id, room.id);
+            socket.emit("conference-state", { roomId: room.id, status: "joined", room: describeRoom(room) });
+        } catch (err) {
+            console.error(`Failed to move call ${callId} into conference ${room.id}:`, err);
+        }
+    });
+
+    // Agent joins a conference without bringing a call; their browser sends its offer next
+    socket.on("conference-join", (roomId) => {
+        const room = getRoom(roomId);
+        const agent = getAgent(socket.id);
+        if (!room || !agent || agent.currentCallId || room.participants.has(socket.id)) {
+            console.warn(`Joining conference ${roomId} rejected for ${socket.id}`);
+            socket.emit("conference-state", { roomId, status: "left", reason: "not_allowed" });
+            return;
+        }
+
+        room.pendingAgents.add(socket.id);
+        socket.join(`conference:${room.id}`);
+        setAgentCall(socket.id, room.id);
+        socket.emit("conference-state", { roomId: room.id, status: "joined", room: describeRoom(room) });
+    });
+
+    socket.on("conference-leave", (roomId) => {
+        const room = getRoom(roomId);
+        if (!room) {
+            return;
+        }
+
+        if (room.participants.has(socket.id)) {
+            removeParticipant(room, socket.id, "left");
+        } else if (room.pendingAgents.delete(socket.id)) {
+            socket.leave(`conference:${room.id}`);
+            socket.emit("conference-state", { roomId, status: "left", reason: "left" });
+            releaseAgent(socket.id);
+        }
+    });
+
+    // Agents in a room can dial more WhatsApp users into it
+    socket.on("conference-dial", async ({ roomId, phoneNumber } = {}) => {
+        const room = getRoom(roomId);
+        if (!room?.participants.has(socket.id) || !phoneNumber) {
+            console.warn(`Dialing into conference ${roomId} rejected for ${socket.id}`);
+            return;
+        }
+
+        const formattedNumber = phoneNumber.replace(/^\+/, '');
+        const result = await initiateDirectCall(formattedNumber, { conferenceId: room.id });
+        io.to(`conference:${room.id}`).emit("conference-dial-state", {
+            roomId: room.id,
+            callId: result.call_id || null,
+            phoneNumber: formattedNumber,
+            status: result.success ? "ringing" : "failed",
+            reason: result.success ? null : result.error,
+        });
+    });
+
+    socket.on("conference-mute", ({ roomId, participantId, muted } = {}) => {
+        const room = getRoom(roomId);
+        if (!room?.participants.has(socket.id) || !setParticipantMuted(room, participantId, muted)) {
+            console.warn(`Muting ${participantId} in conference ${roomId} rejected for ${socket.id}`);
+        }
+    });
+
+    socket.on("conference-kick", async ({ roomId, participantId } = {}) => {
+        const room = getRoom(roomId);
+        const participant = room?.participants.get(participantId);
+        if (!room?.participants.has(socket.id) || !participant) {
+            console.warn(`Removing ${participantId} from conference ${roomId} rejected for ${socket.id}`);
+            return;
+        }
+
+        if (participant.kind === "agent") {
+            removeParticipant(room, participantId, "kicked");
+            return;
+        }
+
+        // Hanging up the WhatsApp call removes it from the room once the call has ended
+        const session = getSession(participant.callId);
+        if (session && transitionCall(session, CALL_STATES.ENDED, "kicked")) {
+            await terminateCall(participant.callId);
+        }
+    });
+
+    // Handle client disconnection
+    socket.on("disconnect", () => {
+        console.log(`Client disconnected: ${socket.id}`);
+
+        const agent = removeAgent(socket.id);
+        releaseAgentOffers(socket.id);
+
+        const conference = findParticipant(socket.id);
+        if (conference) {
+            removeParticipant(conference.room, socket.id, "disconnected");
+        }
+        for (const room of getAllRooms()) {
+            room.pendingAgents.delete(socket.id);
+        }
+
+        // A transfer to this agent goes back to the agent who started it
+        for (const session of getAllSessions()) {
+            if (session.transfer?.to.id === socket.id) {
+                cancelTransfer(session, "target_disconnected").catch((err) => {
+                    console.error(`Failed to cancel transfer of call ${session.callId}:`, err);
+                });
+            }
+            if (getMonitor(session, socket.id)) {
+                leaveCall(session, socket.id, getLegTracks(session)).catch((err) => {
+                    console.error(`Failed to remove supervisor from call ${session.callId}:`, err);
+                });
+            }
+        }
+        
+        // A ringing call, or one queued by the IVR or a bot, can still be answered by someone else;
+        // a connected call waits for its agent to come back, and is ended if they do not
+        for (const session of findSessionsBySocket(socket.id)) {
+            session.browserSocket = null;
+            if ((session.state === CALL_STATES.RINGING && session.direction === "inbound") || session.ivr
+                || session.mediaFork?.inject) {
+                console.log(`Browser socket detached from ringing call ${session.callId}; returning it to the queue`);
+                queueCall(session);
+                continue;
+            }
+            if (session.reconnect) {
+                continue;
+            }
+            if (isReconnectEnabled() && agent?.agentId && session.whatsappPc && !session.transfer) {
+                detachBrowser(session, agent).catch((err) => {
+                    console.error(`Failed to detach browser from call ${session.callId}:`, err);
+                });
+                continue;
+            }
+            console.log(`Terminating call ${session.callId} due to browser client disconnection`);
+            transitionCall(session, CALL_STATES.FAILED, "browser_disconnected");
+            terminateCall(session.callId);
+        }
+
+        for (const [waId, permissionSocket] of permissionSockets) {
+            if (permissionSocket.id === socket.id) {
+                permissionSockets.delete(waId);
+            }
+        }
+    });
+    
+    // Smart Call - Combined permission check & call
+    socket.on("smart-call", async ({ phoneNumber }) => {
+        try {
+            console.log(`Smart call requested for ${phoneNumber}`);
             console.log(`Starting smart call flow at ${new Date().toISOString()}`);
             
             // Format the phone number (remove + if present)
             const formattedNumber = phoneNumber.replace(/^\+/, '');
             console.log(`Formatted number for WhatsApp API: ${formattedNumber}`);
-            // Store this socket for further communication
-            browserSocket = socket;
+            // Store this socket for permission updates about this number
+            permissionSockets.set(formattedNumber, socket);
             
             // Check if the user already has permission
             let permissionStatus;
@@ -183,19 +1222,19 @@ io.on("connection", (socket) => {
                 
                 // Make the call
                 console.log(`Initiating direct call to ${formattedNumber}`);
-                const result = await initiateDirectCall(formattedNumber);
+                const result = await initiateDirectCall(formattedNumber, { browserSocket: socket });
                 console.log(`Direct call initiation result: ${JSON.stringify(result)}`);
                 
                 if (result.success) {
                     // Call initiated successfully
-                    socket.emit("call-initiated");
+                    setAgentCall(socket.id, result.call_id);
+                    socket.emit("call-initiated", { callId: result.call_id });
                     console.log(`📱 Call initiated to ${phoneNumber}, call_id: ${result.call_id}`);
-                    currentCallId = result.call_id;
                 } else {
                     console.error(`❌ Failed to initiate call to ${phoneNumber}:`, result);
                     
                     // Check for specific error code - permission error
-                    if (result.data?.error?.code === 138006) {
+                    if (result.errorType === "permission_required") {
                         socket.emit("call-failed", "No approved call permission from recipient. Sending permission request...");
                         
                         // Permission denied - send permission request
@@ -257,8 +1296,8 @@ io.on("connection", (socket) => {
             // Format the phone number (remove + if present)
             const formattedNumber = phoneNumber.replace(/^\+/, '');
             
-            // Store this socket for the outgoing call
-            browserSocket = socket;
+            // Store this socket for permission updates about this number
+            permissionSockets.set(formattedNumber, socket);
             
             let permissionStatus;
             
@@ -282,20 +1321,20 @@ io.on("connection", (socket) => {
             }
             
             // Make the actual call
-            const result = await initiateDirectCall(formattedNumber);
+            const result = await initiateDirectCall(formattedNumber, { browserSocket: socket });
             
             if (result.success) {
                 // Call initiated successfully
-                socket.emit("call-initiated");
+                setAgentCall(socket.id, result.call_id);
+                socket.emit("call-initiated", { callId: result.call_id });
                 console.log(`📱 Call initiated to ${phoneNumber}, call_id: ${result.call_id}`);
-                currentCallId = result.call_id;
                 
                 // Now we wait for the WebRTC setup via the regular webhook flow
             } else {
                 console.error(`❌ Failed to initiate call to ${phoneNumber}:`, result);
                 
                 // Check for specific error code - permission error
-                if (result.data?.error?.code === 138006) {
+                if (result.errorType === "permission_required") {
                     socket.emit("call-failed", "No approved call permission from recipient. Please send a permission request first (Step 1) and wait for the user to approve.");
                 } else {
                     socket.emit("call-failed", result.error || "Failed to initiate call");
@@ -327,327 +1366,1191 @@ app.get("/call-events", (req, res) => {
     }
 });
 
-// Handle actual call events (POST request)
-app.post("/call-events", async (req, res) => {
-    try {
-        const entry = req.body?.entry?.[0];
-        const change = entry?.changes?.[0];
-        const value = change?.value;
-        
-        console.log("Webhook received at:", new Date().toISOString());
-        console.log("Webhook headers:", JSON.stringify(req.headers, null, 2));
-        console.log("Webhook payload:", JSON.stringify(req.body, null, 2));
-        
-        // Check if this is a call event
-        if (value?.calls && value.calls.length > 0) {
-            const call = value.calls[0];
-            const contact = value?.contacts?.[0];
+/**
+ * The fields of a call webhook (call event or call status) passed on to the agent: WhatsApp's
+ * status, reason, duration and errors.
+ */
+function describeCallWebhook(item) {
+    const toIso = (seconds) => (seconds ? new Date(Number(seconds) * 1000).toISOString() : null);
+    return {
+        callId: item.id,
+        status: item.status ? String(item.status).toLowerCase() : null,
+        reason: item.reason || item.errors?.[0]?.message || null,
+        duration: item.duration != null ? Number(item.duration) : null,
+        startTime: toIso(item.start_time),
+        endTime: toIso(item.end_time),
+        timestamp: toIso(item.timestamp),
+        errors: item.errors || [],
+    };
+}
 
-            console.log("Call event detected:", call?.event);
-            console.log("Call details:", JSON.stringify(call));
+/**
+ * Send a call webhook to the agent on the call, or to everyone if no agent has it.
+ */
+function emitCallWebhook(session, eventName, details) {
+    (session?.browserSocket || io).emit(eventName, details);
+    console.log(`Emitted ${eventName} for call ${details.callId}${details.reason ? ` (${details.reason})` : ""}`);
+}
 
-            if (!call || !call.id || !call.event) {
-                console.warn("Received invalid or incomplete call event.");
-                return res.sendStatus(200);
-            }
+/**
+ * `connect`: WhatsApp's offer for an inbound call, or the callee's answer to an outbound one.
+ */
+async function handleCallConnect(call, contact) {
+    const callId = call.id;
+    const existingSession = getSession(callId);
+    if (existingSession?.direction === "outbound") {
+        console.log(`Connect event received for outbound call ${callId}`);
+        await applyWhatsAppAnswer(existingSession, call?.session?.sdp);
+        return;
+    }
 
-            const callId = call.id;
-            currentCallId = callId;
+    const callerName = contact?.profile?.name || "Unknown";
+    const callerNumber = contact?.wa_id || "Unknown";
+    const session = existingSession || createSession(callId, { callerName, callerNumber });
+    session.whatsappOfferSdp = call?.session?.sdp;
 
-            if (call.event === "connect") {
-                whatsappOfferSdp = call?.session?.sdp;
-                const callerName = contact?.profile?.name || "Unknown";
-                const callerNumber = contact?.wa_id || "Unknown";
+    console.log(`Incoming WhatsApp call from ${callerName} (${callerNumber})`);
+    console.log(`Call ID: ${callId}`);
+    console.log(`SDP offer from WhatsApp (first 100 chars): ${session.whatsappOfferSdp?.substring(0, 100)}...`);
+    
+    // A bot on the media fork or the IVR answers first if configured; otherwise the
+    // ACD offers the call to available agents one at a time
+    if (MEDIA_FORK_MODE === "bot") {
+        if (!await answerWithBot(session)) {
+            queueCall(session);
+        }
+    } else if (!isIvrEnabled() || !await answerWithIvr(session)) {
+        queueCall(session);
+    }
+}
 
-                console.log(`Incoming WhatsApp call from ${callerName} (${callerNumber})`);
-                console.log(`Call ID: ${callId}`);
-                console.log(`SDP offer from WhatsApp (first 100 chars): ${whatsappOfferSdp?.substring(0, 100)}...`);
-                
-                // io.emit("call-is-coming", { callId, callerName, callerNumber });
-                console.log("Emitted call-is-coming event to all clients");
+/**
+ * `terminate`: the call is over on WhatsApp's side, hung up by either party or failed.
+ */
+function handleCallTerminate(call) {
+    const callId = call.id;
+    const details = describeCallWebhook(call);
+    const session = getSession(callId);
+    console.log(`WhatsApp call terminated. Call ID: ${callId}`);
+    console.log(`Termination status: ${details.status || "not specified"} | Reason: ${details.reason || "not specified"}`);
+    if (details.duration !== null) {
+        console.log(`Call duration: ${details.duration}s`);
+    }
 
-                await initiateWebRTCBridge();
-                console.log("WebRTC bridge initiated for incoming call");
+    // A call that never got past ringing was not answered (outbound) or given up on (inbound)
+    let reason = details.status === "failed" ? "whatsapp_failed" : "whatsapp_terminate";
+    if (session?.state === CALL_STATES.RINGING) {
+        reason = session.direction === "outbound" ? "no_answer" : "caller_cancelled";
+    }
+    details.reason = details.reason || reason;
 
-            } else if (call.event === "terminate") {
-                console.log(`WhatsApp call terminated. Call ID: ${callId}`);
-                console.log(`Termination reason: ${call.reason || "Not specified"}`);
-                
-                io.emit("call-ended");
-                console.log("Emitted call-ended event to all clients");
-                
-                // Reset call in progress flag
-                callInProgress = false;
-                console.log("Call in progress flag reset after WhatsApp user terminated the call");
+    if (reason === "no_answer") {
+        emitCallWebhook(session, "call-no-answer", details);
+    }
+    emitCallWebhook(session, "call-terminated", details);
 
-                if (call.duration && call.status) {
-                    console.log(`Call duration: ${call.duration}s | Status: ${call.status}`);
-                }
+    if (!session) {
+        io.to("agents").emit("call-ended", { callId });
+        console.log("Emitted call-ended event to all agents");
+        return;
+    }
+    const finalState = reason === "whatsapp_failed" ? CALL_STATES.FAILED : CALL_STATES.ENDED;
+    if (!transitionCall(session, finalState, reason)) {
+        // Already final but still registered: make sure its media is torn down
+        closeSession(callId);
+    }
+}
 
-            } else {
-                console.log(`Unhandled WhatsApp call event: ${call.event}`);
-            }
-        } 
-        // Check if this is a permission response event via call_permissions array
-        else if (value?.call_permissions && value.call_permissions.length > 0) {
-            const permission = value.call_permissions[0];
-            const waId = permission.wa_id;
-            const status = permission.status;
-            
-            console.log(`📱 Call permission status update for ${waId}: ${status}`);
-            
-            // Notify all connected clients about the permission update
-            io.emit("call-permission-update", {
+const callEventHandlers = {
+    connect: handleCallConnect,
+    terminate: handleCallTerminate,
+};
+
+/**
+ * A call event from a webhook, dispatched on its `event`.
+ */
+async function handleCallEvent(call, contact) {
+    console.log("Call event detected:", call.event);
+    console.log("Call details:", JSON.stringify(call));
+
+    if (!call.id || !call.event) {
+        console.warn("Received invalid or incomplete call event.");
+        return;
+    }
+    if (call.errors?.length) {
+        console.warn(`Call ${call.id} ${call.event} event reports errors:`, JSON.stringify(call.errors));
+    }
+
+    const handler = callEventHandlers[call.event];
+    if (handler) {
+        await handler(call, contact);
+    } else {
+        console.log(`Unhandled WhatsApp call event: ${call.event}`);
+    }
+}
+
+/**
+ * A call status (statuses[] with type "call") from a webhook, applied as lib/call-statuses.js
+ * maps it.
+ */
+function handleCallStatusEvent(status) {
+    const details = describeCallWebhook(status);
+    const session = getSession(status.id);
+    console.log(`Call status update: ${details.status} for call ${status.id}`);
+    if (session) {
+        session.whatsappStatus = details.status;
+    }
+
+    const outcome = getCallStatusOutcome(details.status, status.id);
+    details.reason = details.reason || outcome.reason || null;
+    emitCallWebhook(session, outcome.event, details);
+    if (session && outcome.state && !transitionCall(session, outcome.state, outcome.reason)) {
+        closeSession(session.callId);
+    }
+}
+
+/**
+ * A change of a user's call permission, from a webhook.
+ */
+function handleCallPermissionEvent(permission) {
+    const waId = permission.wa_id;
+    const status = permission.status;
+    
+    console.log(`📱 Call permission status update for ${waId}: ${status}`);
+    
+    // Notify all agents about the permission update
+    io.to("agents").emit("call-permission-update", {
+        phoneNumber: waId,
+        status: status
+    });
+    
+    // If we have a specific browser socket for this permission request, notify it directly
+    const browserSocket = permissionSockets.get(waId);
+    if (browserSocket) {
+        browserSocket.emit("call-permission-update", {
+            phoneNumber: waId,
+            status: status
+        });
+        
+        // If permission was granted, we could automatically initiate a call if requested
+        if (status === "granted") {
+            console.log(`✅ Permission granted for ${waId} - Client will auto-call if requested`);
+        }
+    }
+}
+
+/**
+ * A delivery status of a message we sent, from a webhook.
+ */
+function handleStatusEvent(status) {
+    if (status.type === "call") {
+        handleCallStatusEvent(status);
+        return;
+    }
+
+    console.log(`Message status update: ${status.status} for message ${status.id}`);
+    
+    // If this is a status update for a permission request message, we can track it
+    if (status.status === "delivered" || status.status === "read") {
+        io.to("agents").emit("message-status-update", {
+            messageId: status.id,
+            status: status.status
+        });
+    }
+}
+
+/**
+ * A message from a user, from a webhook. Only call permission replies are acted on.
+ */
+function handleMessageEvent(message, contact) {
+    console.log("Received message from user:", message.from);
+    
+    // Check if this is a call permission reply message
+    if (message.type === "interactive" && 
+        message.interactive?.type === "call_permission_reply" && 
+        message.interactive?.call_permission_reply) {
+        
+        const permissionReply = message.interactive.call_permission_reply;
+        const response = permissionReply.response;  // "accept" or "reject"
+        const waId = message.from;
+        const callerName = contact?.profile?.name || "Unknown User";
+        
+        console.log(`📱 Call permission reply from ${callerName} (${waId}): ${response}`);
+        
+        // Map the response to a status
+        const status = response === "accept" ? "granted" : "denied";
+        
+        // Notify all agents about the permission update
+        io.to("agents").emit("call-permission-update", {
+            phoneNumber: waId,
+            callerName: callerName,
+            status: status
+        });
+        
+        // If we have a specific browser socket for this permission request, notify it directly
+        const browserSocket = permissionSockets.get(waId);
+        if (browserSocket) {
+            browserSocket.emit("call-permission-update", {
                 phoneNumber: waId,
                 status: status
             });
             
-            // If we have a specific browser socket for this permission request, notify it directly
-            if (browserSocket) {
-                browserSocket.emit("call-permission-update", {
-                    phoneNumber: waId,
-                    status: status
-                });
+            // If permission was granted, we MUST automatically initiate a call
+            if (status === "granted" && waId) {
+                console.log(`✅ Permission granted for ${callerName} (${waId}) - Auto-initiating call NOW...`);
+                
+                // Auto-initiate call since permission was just granted - 
+                // This is CRITICAL for ensuring the call happens right after permission is granted
+                browserSocket.emit("call-status", "Permission granted! Initiating call automatically...");
                 
-                // If permission was granted, we could automatically initiate a call if requested
-                if (status === "granted") {
-                    console.log(`✅ Permission granted for ${waId} - Client will auto-call if requested`);
+                // Make the call immediately - the user is waiting
+                try {
+                    // Delay slightly to ensure the client is ready
+                    setTimeout(async () => {
+                        try {
+                            const callResult = await initiateDirectCall(waId, { callerName, browserSocket });
+                            if (callResult.success) {
+                                // Call initiated successfully - send caller name too
+                                setAgentCall(browserSocket.id, callResult.call_id);
+                                browserSocket.emit("call-initiated", { callId: callResult.call_id, callerName });
+                                console.log(`📱 Auto-call initiated to ${callerName} (${waId}), call_id: ${callResult.call_id}`);
+                            } else {
+                                browserSocket.emit("call-failed", callResult.error || "Failed to initiate auto-call");
+                                console.error(`❌ Failed to initiate auto-call to ${waId}:`, callResult);
+                                
+                                // Try again after a short delay - sometimes the API needs a moment
+                                setTimeout(async () => {
+                                    console.log("Retrying call after short delay...");
+                                    const retryResult = await initiateDirectCall(waId, { callerName, browserSocket });
+                                    if (retryResult.success) {
+                                        setAgentCall(browserSocket.id, retryResult.call_id);
+                                        browserSocket.emit("call-initiated", { callId: retryResult.call_id, callerName });
+                                        console.log(`📱 Retry call initiated to ${callerName} (${waId}), call_id: ${retryResult.call_id}`);
+                                    } else {
+                                        browserSocket.emit("call-failed", retryResult.error || "Failed to initiate call on retry");
+                                        console.error(`❌ Failed to initiate call on retry:`, retryResult);
+                                    }
+                                }, 2000);
+                            }
+                        } catch (innerError) {
+                            console.error("Error in delayed call:", innerError);
+                            browserSocket.emit("call-failed", "Error initiating delayed call: " + innerError.message);
+                        }
+                    }, 1000);
+                } catch (callError) {
+                    console.error("Error initiating auto-call:", callError);
+                    browserSocket.emit("call-failed", "Error initiating auto-call: " + callError.message);
                 }
             }
-        } 
-        // Check if this is a message status update
-        else if (value?.statuses && value.statuses.length > 0) {
-            const status = value.statuses[0];
-            console.log(`Message status update: ${status.status} for message ${status.id}`);
-            
-            // If this is a status update for a permission request message, we can track it
-            if (status.status === "delivered" || status.status === "read") {
-                io.emit("message-status-update", {
-                    messageId: status.id,
-                    status: status.status
-                });
-            }
         }
-        // Check for interactive message with call permission reply (alternative format)
-        else if (value?.messages && value.messages.length > 0) {
-            const message = value.messages[0];
-            console.log("Received message from user:", message.from);
-            
-            // Check if this is a call permission reply message
-            if (message.type === "interactive" && 
-                message.interactive?.type === "call_permission_reply" && 
-                message.interactive?.call_permission_reply) {
-                
-                const permissionReply = message.interactive.call_permission_reply;
-                const response = permissionReply.response;  // "accept" or "reject"
-                const waId = message.from;
-                const callerName = value?.contacts?.[0]?.profile?.name || "Unknown User";
-                
-                console.log(`📱 Call permission reply from ${callerName} (${waId}): ${response}`);
-                
-                // Map the response to a status
-                const status = response === "accept" ? "granted" : "denied";
-                
-                // Notify all connected clients about the permission update
-                io.emit("call-permission-update", {
-                    phoneNumber: waId,
-                    callerName: callerName,
-                    status: status
-                });
-                
-                // If we have a specific browser socket for this permission request, notify it directly
-                if (browserSocket) {
-                    browserSocket.emit("call-permission-update", {
-                        phoneNumber: waId,
-                        status: status
-                    });
-                    
-                    // If permission was granted, we MUST automatically initiate a call
-                    if (status === "granted" && waId) {
-                        console.log(`✅ Permission granted for ${callerName} (${waId}) - Auto-initiating call NOW...`);
-                        
-                        // Auto-initiate call since permission was just granted - 
-                        // This is CRITICAL for ensuring the call happens right after permission is granted
-                        browserSocket.emit("call-status", "Permission granted! Initiating call automatically...");
-                        
-                        // Make the call immediately - the user is waiting
-                        try {
-                            // Delay slightly to ensure the client is ready
-                            setTimeout(async () => {
-                                try {
-                                    const callResult = await initiateDirectCall(waId);
-                                    if (callResult.success) {
-                                        // Call initiated successfully - send caller name too
-                                        browserSocket.emit("call-initiated", { callerName });
-                                        console.log(`📱 Auto-call initiated to ${callerName} (${waId}), call_id: ${callResult.call_id}`);
-                                        currentCallId = callResult.call_id;
-                                    } else {
-                                        browserSocket.emit("call-failed", callResult.error || "Failed to initiate auto-call");
-                                        console.error(`❌ Failed to initiate auto-call to ${waId}:`, callResult);
-                                        
-                                        // Try again after a short delay - sometimes the API needs a moment
-                                        setTimeout(async () => {
-                                            console.log("Retrying call after short delay...");
-                                            const retryResult = await initiateDirectCall(waId);
-                                            if (retryResult.success) {
-                                                browserSocket.emit("call-initiated", { callerName });
-                                                console.log(`📱 Retry call initiated to ${callerName} (${waId}), call_id: ${retryResult.call_id}`);
-                                                currentCallId = retryResult.call_id;
-                                            } else {
-                                                browserSocket.emit("call-failed", retryResult.error || "Failed to initiate call on retry");
-                                                console.error(`❌ Failed to initiate call on retry:`, retryResult);
-                                            }
-                                        }, 2000);
-                                    }
-                                } catch (innerError) {
-                                    console.error("Error in delayed call:", innerError);
-                                    browserSocket.emit("call-failed", "Error initiating delayed call: " + innerError.message);
-                                }
-                            }, 1000);
-                        } catch (callError) {
-                            console.error("Error initiating auto-call:", callError);
-                            browserSocket.emit("call-failed", "Error initiating auto-call: " + callError.message);
-                        }
-                    }
-                }
-            } else {
-                // This is just a regular message
-                console.log("Regular message received, not related to call permissions");
+    } else {
+        // This is just a regular message
+        console.log("Regular message received, not related to call permissions");
+    }
+}
+
+const webhookHandlers = {
+    call: (event) => handleCallEvent(event.item, event.contact),
+    call_permission: (event) => handleCallPermissionEvent(event.item),
+    status: (event) => handleStatusEvent(event.item),
+    message: (event) => handleMessageEvent(event.item, event.contact),
+};
+
+/**
+ * Put every event of a webhook payload on the durable queue. Redelivered events are skipped
+ * unless `dedupe` is false (replays). Resolves with what happened to each event once all of
+ * them are on disk.
+ */
+async function enqueueWebhook(body, { webhookId = null, dedupe = true } = {}) {
+    const results = [];
+    for (const event of extractEvents(body)) {
+        if (dedupe && await isDuplicate(event)) {
+            console.log(`Skipping duplicate webhook event ${event.key}`);
+            results.push({ type: event.type, key: event.key, outcome: "duplicate" });
+            continue;
+        }
+        try {
+            const entry = await enqueueEvent(event, { webhookId });
+            if (dedupe) {
+                await saveSeenEvent(event);
+            }
+            results.push({ type: event.type, key: event.key, outcome: "queued", queueId: entry.id });
+        } catch (err) {
+            // An event that was not stored must not count as seen when Meta redelivers it
+            if (dedupe) {
+                forgetEvent(event);
+            }
+            throw err;
+        }
+    }
+    return results;
+}
+
+/**
+ * Log every delivery on /call-events once the response is sent. Deliveries without a valid
+ * signature are logged without their headers and payload, which could come from anyone.
+ */
+function recordWebhook(req, res, next) {
+    const record = createWebhookRecord({ headers: req.headers, body: req.body });
+    req.webhookRecord = record;
+    res.on("finish", () => {
+        if (!req.webhookVerified) {
+            Object.assign(record, { headers: {}, body: null, callIds: [], waIds: [] });
+        }
+        record.statusCode = res.statusCode;
+        record.outcome = req.webhookRejection || "queued";
+        saveWebhookRecord(record).catch((err) => {
+            console.error(`Failed to store webhook ${record.id}:`, err);
+        });
+    });
+    next();
+}
+
+// Handle actual call events (POST request)
+app.post("/call-events", recordWebhook, verifyWebhook, async (req, res) => {
+    console.log("Webhook received at:", new Date().toISOString());
+    console.log("Webhook headers:", JSON.stringify(req.headers, null, 2));
+    console.log("Webhook payload:", JSON.stringify(req.body, null, 2));
+
+    // Handling an event can take seconds (the WebRTC bridge waits for media), so only queue
+    // them here and answer right away
+    try {
+        req.webhookRecord.events = await enqueueWebhook(req.body, { webhookId: req.webhookRecord.id });
+    } catch (err) {
+        console.error("Failed to queue webhook events, Meta will redeliver:", err);
+        forgetWebhookPayload(req);
+        req.webhookRejection = "queue_error";
+        return res.sendStatus(500);
+    }
+
+    // Events that fail later are retried from the queue, so Meta never has to redeliver
+    res.sendStatus(200);
+});
+
+// Handle queued webhook events; a handler that throws has its event retried
+startWebhookQueue((event) => webhookHandlers[event.type](event)).catch((err) => {
+    console.error("Failed to start the webhook queue:", err);
+});
+
+/**
+ * Note in the webhook log what became of a queued event.
+ */
+function recordEventOutcome(entry, outcome) {
+    updateWebhookEvent(entry.webhookId, entry.id, outcome).catch((err) => {
+        console.error(`Failed to update webhook ${entry.webhookId}:`, err);
+    });
+}
+
+webhookQueueEvents.on("handled", (entry) => recordEventOutcome(entry, "handled"));
+
+webhookQueueEvents.on("dead-letter", (entry) => {
+    recordEventOutcome(entry, "dead_letter");
+    io.to("supervisors").emit("webhook-dead-letter", {
+        id: entry.id,
+        key: entry.event.key,
+        type: entry.event.type,
+        attempts: entry.attempts,
+        error: entry.lastError,
+    });
+});
+
+// Webhook verification endpoint for Meta (WhatsApp Cloud API)
+app.get("/call-events", (req, res) => {
+    const VERIFY_TOKEN = process.env.VERIFY_TOKEN || "my_secret_token";
+    const mode = req.query["hub.mode"];
+    const token = req.query["hub.verify_token"];
+    const challenge = req.query["hub.challenge"];
+
+    if (mode && token && mode === "subscribe" && token === VERIFY_TOKEN) {
+        // Token matches, respond with challenge
+        res.status(200).send(challenge);
+    } else {
+        // Token does not match
+        res.sendStatus(403);
+    }
+});
+
+/**
+ * Queue a stored webhook's events again, as a new delivery. Signature, age and duplicate checks
+ * are skipped so the same payload can be replayed any number of times.
+ */
+async function replayWebhook(original) {
+    console.log(`Replaying webhook ${original.id} received at ${original.receivedAt}`);
+    const record = createWebhookRecord({ headers: original.headers, body: original.body, replayOf: original.id });
+    record.events = await enqueueWebhook(original.body, { webhookId: record.id, dedupe: false });
+    record.statusCode = 200;
+    record.outcome = "queued";
+    await saveWebhookRecord(record);
+    return record;
+}
+
+/**
+ * Events that failed every attempt, oldest first, and the state of the queue.
+ */
+app.get("/webhooks/dead-letters", requireAdmin, async (req, res) => {
+    try {
+        res.json({ deadLetters: await listDeadLetters(), queue: getWebhookQueueStats() });
+    } catch (err) {
+        console.error("Error listing dead-lettered webhook events:", err);
+        res.status(500).json({ error: "Failed to list dead letters" });
+    }
+});
+
+app.post("/webhooks/dead-letters/:id/retry", requireAdmin, async (req, res) => {
+    try {
+        const entry = await retryDeadLetter(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: "Dead letter not found" });
+        }
+        res.json(entry);
+    } catch (err) {
+        console.error(`Error retrying dead letter ${req.params.id}:`, err);
+        res.status(500).json({ error: "Failed to retry dead letter" });
+    }
+});
+
+app.delete("/webhooks/dead-letters/:id", requireAdmin, async (req, res) => {
+    try {
+        if (!(await deleteDeadLetter(req.params.id))) {
+            return res.status(404).json({ error: "Dead letter not found" });
+        }
+        res.sendStatus(204);
+    } catch (err) {
+        console.error(`Error deleting dead letter ${req.params.id}:`, err);
+        res.status(500).json({ error: "Failed to delete dead letter" });
+    }
+});
+
+/**
+ * Browse stored webhook deliveries, newest first (`?call_id=`, `?wa_id=`, `?limit=`).
+ */
+app.get("/webhooks", requireAdmin, async (req, res) => {
+    try {
+        const webhooks = await listWebhookRecords({
+            callId: req.query.call_id || null,
+            waId: req.query.wa_id || null,
+            limit: Number(req.query.limit) || 100,
+        });
+        res.json({ webhooks });
+    } catch (err) {
+        console.error("Error listing webhooks:", err);
+        res.status(500).json({ error: "Failed to list webhooks" });
+    }
+});
+
+/**
+ * Replay stored deliveries in the order they were received: `{ ids: [...] }`, or every
+ * accepted, original delivery for `{ call_id }` / `{ wa_id }`.
+ */
+app.post("/webhooks/replay", requireAdmin, async (req, res) => {
+    const { ids, call_id: callId, wa_id: waId } = req.body || {};
+    try {
+        let originals;
+        if (Array.isArray(ids) && ids.length) {
+            const sortedIds = ids.map(String).sort();
+            originals = await Promise.all(sortedIds.map((id) => getWebhookRecord(id)));
+            const missing = sortedIds.filter((id, index) => !originals[index]);
+            if (missing.length) {
+                return res.status(404).json({ error: "Webhook not found", ids: missing });
+            }
+        } else if (callId || waId) {
+            const summaries = await listWebhookRecords({ callId, waId, limit: Infinity });
+            originals = await Promise.all(summaries
+                .filter((summary) => !summary.replayOf && isAcceptedRecord(summary))
+                .reverse()
+                .map((summary) => getWebhookRecord(summary.id)));
+        } else {
+            return res.status(400).json({ error: "Provide ids, call_id or wa_id" });
+        }
+
+        const replays = [];
+        for (const original of originals) {
+            const { headers, body, ...summary } = await replayWebhook(original);
+            replays.push(summary);
+        }
+        res.json({ replays });
+    } catch (err) {
+        console.error("Error replaying webhooks:", err);
+        res.status(500).json({ error: "Failed to replay webhooks" });
+    }
+});
+
+app.get("/webhooks/:id", requireAdmin, async (req, res) => {
+    try {
+        const record = await getWebhookRecord(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: "Webhook not found" });
+        }
+        res.json(record);
+    } catch (err) {
+        console.error(`Error reading webhook ${req.params.id}:`, err);
+        res.status(500).json({ error: "Failed to read webhook" });
+    }
+});
+
+app.post("/webhooks/:id/replay", requireAdmin, async (req, res) => {
+    try {
+        const original = await getWebhookRecord(req.params.id);
+        if (!original) {
+            return res.status(404).json({ error: "Webhook not found" });
+        }
+        const { headers, body, ...replay } = await replayWebhook(original);
+        res.json(replay);
+    } catch (err) {
+        console.error(`Error replaying webhook ${req.params.id}:`, err);
+        res.status(500).json({ error: "Failed to replay webhook" });
+    }
+});
+
+/**
+ * List finished call recordings.
+ */
+app.get("/recordings", requireAdmin, async (req, res) => {
+    try {
+        let recordings = await listRecordings();
+        if (req.query.call_id) {
+            recordings = recordings.filter((recording) => recording.callId === req.query.call_id);
+        }
+        res.json({ recordings });
+    } catch (err) {
+        console.error("Error listing recordings:", err);
+        res.status(500).json({ error: "Failed to list recordings" });
+    }
+});
+
+/**
+ * Download a recording as a stereo WAV file (left: WhatsApp caller, right: agent).
+ */
+app.get("/recordings/:id", requireAdmin, (req, res) => {
+    const file = getRecordingFile(req.params.id);
+    if (!file) {
+        return res.status(404).json({ error: "Recording not found" });
+    }
+    res.download(file);
+});
+
+app.delete("/recordings/:id", requireAdmin, async (req, res) => {
+    try {
+        if (!(await deleteRecording(req.params.id))) {
+            return res.status(404).json({ error: "Recording not found" });
+        }
+        res.sendStatus(204);
+    } catch (err) {
+        console.error(`Error deleting recording ${req.params.id}:`, err);
+        res.status(500).json({ error: "Failed to delete recording" });
+    }
+});
+
+/**
+ * List stored voicemails.
+ */
+app.get("/voicemails", requireAgent, async (req, res) => {
+    try {
+        let voicemails = await listVoicemails();
+        if (req.query.call_id) {
+            voicemails = voicemails.filter((voicemail) => voicemail.callId === req.query.call_id);
+        }
+        res.json({ voicemails });
+    } catch (err) {
+        console.error("Error listing voicemails:", err);
+        res.status(500).json({ error: "Failed to list voicemails" });
+    }
+});
+
+/**
+ * Play or download a voicemail as a mono WAV file.
+ */
+app.get("/voicemails/:id", requireAgent, (req, res) => {
+    const file = getVoicemailFile(req.params.id);
+    if (!file) {
+        return res.status(404).json({ error: "Voicemail not found" });
+    }
+    res.sendFile(file);
+});
+
+app.delete("/voicemails/:id", requireAgent, async (req, res) => {
+    try {
+        if (!(await deleteVoicemail(req.params.id))) {
+            return res.status(404).json({ error: "Voicemail not found" });
+        }
+        io.to("agents").emit("voicemail-deleted", { id: req.params.id });
+        res.sendStatus(204);
+    } catch (err) {
+        console.error(`Error deleting voicemail ${req.params.id}:`, err);
+        res.status(500).json({ error: "Failed to delete voicemail" });
+    }
+});
+
+/**
+ * Quality summary of a finished call, or the live metrics while it is still up.
+ */
+app.get("/quality/:callId", requireAdmin, async (req, res) => {
+    const session = getSession(req.params.callId);
+    if (session?.quality) {
+        return res.json({ callId: session.callId, live: true, legs: getLatestQuality(session) });
+    }
+
+    try {
+        const summary = await getQualitySummary(req.params.callId);
+        if (!summary) {
+            return res.status(404).json({ error: "Quality summary not found" });
+        }
+        res.json(summary);
+    } catch (err) {
+        console.error(`Error reading quality summary for call ${req.params.callId}:`, err);
+        res.status(500).json({ error: "Failed to read quality summary" });
+    }
+});
+
+/**
+ * Search stored transcripts (`?q=` matches segment text, case-insensitive).
+ */
+app.get("/transcripts", requireAdmin, async (req, res) => {
+    try {
+        res.json({ transcripts: await searchTranscripts(req.query.q || "") });
+    } catch (err) {
+        console.error("Error searching transcripts:", err);
+        res.status(500).json({ error: "Failed to search transcripts" });
+    }
+});
+
+app.get("/transcripts/:callId", requireAdmin, async (req, res) => {
+    try {
+        const transcript = await getTranscript(req.params.callId);
+        if (!transcript) {
+            return res.status(404).json({ error: "Transcript not found" });
+        }
+        res.json(transcript);
+    } catch (err) {
+        console.error(`Error reading transcript for call ${req.params.callId}:`, err);
+        res.status(500).json({ error: "Failed to read transcript" });
+    }
+});
+
+/**
+ * Tracks carrying each party's voice: the caller's audio from WhatsApp and the agent's mic from the browser.
+ */
+function getLegTracks(session) {
+    return {
+        customerTrack: session.whatsappStream?.getAudioTracks()[0]
+            || session.whatsappTransceiver?.receiver.track
+            || null,
+        // In a conference the caller talks to the room mix instead of a single agent
+        agentTrack: session.browserStream?.getAudioTracks()[0]
+            || findParticipant(session.callId)?.participant.mixer.track
+            || null,
+    };
+}
+
+function startCallRecording(session) {
+    if (isRecording(session.callId)) {
+        return;
+    }
+
+    try {
+        const recording = startRecording(session, getLegTracks(session), {
+            onError: () => {
+                session.browserSocket?.emit("recording-state", { callId: session.callId, recording: false, recordingId: recording.id, error: "write_failed" });
+            },
+        });
+        session.browserSocket?.emit("recording-state", {
+            callId: session.callId,
+            recording: true,
+            recordingId: recording.id,
+        });
+    } catch (err) {
+        console.error(`Failed to start recording for call ${session.callId}:`, err);
+    }
+}
+
+async function stopCallRecording(session) {
+    try {
+        const metadata = await stopRecording(session.callId);
+        if (metadata) {
+            session.browserSocket?.emit("recording-state", {
+                callId: session.callId,
+                recording: false,
+                recordingId: metadata.id,
+            });
+        }
+    } catch (err) {
+        console.error(`Failed to stop recording for call ${session.callId}:`, err);
+    }
+}
+
+/**
+ * Disconnect every supervisor from a call and tell them why.
+ */
+function endSupervision(session, reason) {
+    for (const monitor of releaseSupervision(session)) {
+        monitor.socket.emit("supervision-state", { callId: session.callId, mode: monitor.mode, status: "left", reason });
+    }
+}
+
+function emitHoldState(session) {
+    session.browserSocket?.emit("hold-state", {
+        callId: session.callId,
+        onHold: isOnHold(session),
+        holdCount: session.holdCount,
+        holdSeconds: getHoldSeconds(session),
+    });
+}
+
+function emitForkState(session, state) {
+    const forkState = { callId: session.callId, ...state };
+    session.browserSocket?.emit("media-fork-state", forkState);
+    io.to("supervisors").emit("media-fork-state", forkState);
+}
+
+function canControlFork(session, socket) {
+    return session.browserSocket?.id === socket.id || getAgent(socket.id)?.role === "supervisor";
+}
+
+/**
+ * Stream a call's audio to MEDIA_FORK_URL, listen-only.
+ */
+function startMediaFork(session, { includeAgent } = {}) {
+    const fork = startFork(session, { includeAgent, ...getLegTracks(session) });
+    if (fork) {
+        emitForkState(session, describeFork(fork));
+    }
+    return fork;
+}
+
+/**
+ * Offer an inbound call to agents. With voicemail enabled, a call nobody takes within
+ * VOICEMAIL_RING_TIMEOUT_MS goes to voicemail.
+ */
+function queueCall(session) {
+    enqueueCall(session, { maxWaitMs: isVoicemailEnabled() ? VOICEMAIL_RING_TIMEOUT_MS : null });
+}
+
+/**
+ * Answer an inbound call nobody took with the voicemail greeting and record the caller. Calls the
+ * IVR or a bot already answered switch from their audio to the greeting. Returns false if
+ * voicemail is disabled or the call cannot take it.
+ */
+async function sendToVoicemail(session, reason) {
+    if (!isVoicemailEnabled() || session.direction !== "inbound" || session.voicemail || session.browserPc
+        || isFinalState(session.state)) {
+        return false;
+    }
+
+    console.log(`Sending call ${session.callId} to voicemail (${reason})`);
+    removeCall(session.callId, "voicemail");
+    try {
+        const greetingTrack = await createVoicemail(session, reason);
+
+        if (session.whatsappPc) {
+            await session.whatsappSender.replaceTrack(greetingTrack);
+            releaseServerAudio(session, "voicemail");
+            startVoicemail(session, getLegTracks(session).customerTrack);
+        } else if (!await answerServerSide(session, greetingTrack, {
+            onAccepted: () => startVoicemail(session, getLegTracks(session).customerTrack),
+        })) {
+            await stopVoicemail(session);
+            return false;
+        }
+    } catch (error) {
+        console.error(`Error sending call ${session.callId} to voicemail:`, error);
+        if (transitionCall(session, CALL_STATES.FAILED, "voicemail_error")) {
+            await terminateCall(session.callId);
+        }
+    }
+    return true;
+}
+
+/**
+ * The server-side peer connection facing `socket` for a call or conference room: the agent's own
+ * leg, a transfer target's, a supervisor's or a conference member's. Null when `socket` has no
+ * leg of its own there, so nobody can renegotiate another agent's connection.
+ */
+function findAgentPeerConnection(socket, callId) {
+    const room = getRoom(callId);
+    const session = room ? null : getSession(callId) || findSessionBySocket(socket.id);
+    const transferLeg = session?.transfer?.leg;
+    const monitor = session && getMonitor(session, socket.id);
+    return room ? room.participants.get(socket.id)?.pc || null
+        : monitor ? monitor.pc
+        : transferLeg?.socket.id === socket.id ? transferLeg.pc
+        : session?.browserSocket?.id === socket.id ? session.browserPc
+        : null;
+}
+
+/**
+ * The agent's browser went away mid-call: keep the WhatsApp leg up, play hold music to the
+ * caller and wait BROWSER_RECONNECT_GRACE_MS for the agent to come back.
+ */
+async function detachBrowser(session, agent) {
+    awaitReconnect(session, agent);
+
+    if (session.state === CALL_STATES.ACTIVE && !isOnHold(session)) {
+        session.reconnect.heldCall = true;
+        await holdCall(session);
+    }
+
+    if (session.browserPc && session.browserPc.connectionState !== "closed") {
+        session.browserPc.close();
+    }
+    session.browserPc = null;
+    session.browserStream = null;
+    session.browserSender = null;
+    session.browserOfferSdp = null;
+
+    setRecordingTrack(session.callId, "agent", null);
+    setForkTrack(session, "agent", null);
+    setTranscriptionTrack(session, "agent", null);
+    console.log(`Browser leg of call ${session.callId} closed; waiting up to ${BROWSER_RECONNECT_GRACE_MS}ms for agent ${agent.agentId}`);
+}
+
+/**
+ * Attach the returning agent's new browser leg to the call's running WhatsApp leg.
+ */
+async function reattachBrowser(session) {
+    const heldCall = session.reconnect?.heldCall;
+    const waitedMs = endReconnect(session);
+    console.log(`Re-attaching browser ${session.browserSocket.id} to call ${session.callId} after ${waitedMs}ms`);
+
+    // A call the agent had put on hold before leaving stays on hold; bridgeAnsweredCall() only
+    // swaps in the new browser leg's tracks for resumeCall() to restore
+    await bridgeAnsweredCall(session);
+
+    if (isFinalState(session.state)) {
+        return;
+    }
+    if (heldCall) {
+        await resumeCall(session);
+    }
+    emitHoldState(session);
+    session.browserSocket.emit("recording-state", { callId: session.callId, recording: isRecording(session.callId) });
+    if (session.monitors.size) {
+        await applyRouting(session, getLegTracks(session)).catch((err) => {
+            console.error(`Failed to re-route supervisor audio for call ${session.callId}:`, err);
+        });
+    }
+}
+
+/**
+ * Create a server-side peer connection facing an agent's browser.
+ * Browser audio tracks are collected into the returned stream.
+ */
+function createAgentPeerConnection(socket) {
+    const pc = new RTCPeerConnection({ iceServers: getIceServers().iceServers });
+    const stream = new MediaStream();
+    console.log("Browser peer connection created with ICE servers:", describeIceServers());
+    console.log("Browser peer connection state:", pc.connectionState);
+    console.log("Browser ICE gathering state:", pc.iceGatheringState);
+    console.log("Browser signaling state:", pc.signalingState);
+
+    pc.ontrack = (event) => {
+        console.log("Audio track received from browser.");
+        console.log("Track details:", event.track.id, event.track.kind, event.track.label);
+        console.log("Track received at:", new Date().toISOString());
+        console.log("Track readyState:", event.track.readyState);
+        console.log("Track enabled:", event.track.enabled);
+        console.log("Track muted:", event.track.muted);
+        
+        event.streams[0].getTracks().forEach((track) => {
+            stream.addTrack(track);
+            console.log("Added browser audio track:", track.id, track.kind);
+        });
+    };
+
+    pc.onicecandidate = (event) => {
+        if (event.candidate) {
+            console.log("Browser ICE candidate:", event.candidate.candidate.substr(0, 50) + "...");
+            socket.emit("browser-candidate", event.candidate);
+        }
+    };
+
+    // The browser offered, so it has to restart ICE; ask it to once the connection drops. A
+    // disconnected connection often recovers by itself, so give it ICE_RESTART_DELAY_MS first.
+    let iceRestartTimer = null;
+    const requestIceRestart = () => {
+        clearTimeout(iceRestartTimer);
+        iceRestartTimer = null;
+        console.log(`Asking browser ${socket.id} to restart ICE`);
+        socket.emit("ice-restart-request");
+    };
+
+    pc.oniceconnectionstatechange = () => {
+        console.log("Browser ICE connection state:", pc.iceConnectionState);
+        console.log("ICE state change time:", new Date().toISOString());
+        
+        if (pc.iceConnectionState === 'connected' || pc.iceConnectionState === 'completed') {
+            console.log("Browser ICE connection CONNECTED successfully");
+            clearTimeout(iceRestartTimer);
+            iceRestartTimer = null;
+        } else if (pc.iceConnectionState === 'disconnected') {
+            console.log("Browser ICE connection DISCONNECTED");
+            if (!iceRestartTimer) {
+                iceRestartTimer = setTimeout(requestIceRestart, ICE_RESTART_DELAY_MS);
             }
+        } else if (pc.iceConnectionState === 'failed') {
+            console.error("Browser ICE connection FAILED");
+            requestIceRestart();
+        } else if (pc.iceConnectionState === 'closed') {
+            console.log("Browser ICE connection CLOSED");
+            clearTimeout(iceRestartTimer);
         }
+    };
+
+    return { pc, stream };
+}
+
+/**
+ * Create the peer connection facing the browser of the agent the call is assigned to.
+ */
+function createBrowserPeerConnection(session) {
+    const { pc, stream } = createAgentPeerConnection(session.browserSocket);
+    session.browserPc = pc;
+    session.browserStream = stream;
+    return pc;
+}
+
+/**
+ * Connect the browser of the agent a call is being transferred to. The WhatsApp leg is untouched;
+ * a blind transfer completes once the new leg is wired up, a warm one waits for the first agent.
+ */
+async function connectTransferTarget(session, socket, sdp) {
+    const leg = { socket, ...createAgentPeerConnection(socket) };
+
+    try {
+        await leg.pc.setRemoteDescription(new RTCSessionDescription({ type: "offer", sdp }));
+        console.log(`Transfer target offer set as remote description for call ${session.callId}`);
+
+        if (!await attachTransferLeg(session, leg, getLegTracks(session))) {
+            leg.pc.close();
+            return;
+        }
+
+        const answer = await leg.pc.createAnswer();
+        await leg.pc.setLocalDescription(answer);
+        socket.emit("browser-answer", answer.sdp);
+        console.log("Browser answer SDP created and sent to transfer target.");
+
+        if (session.transfer?.mode === "blind") {
+            await completeTransfer(session);
+        }
+    } catch (error) {
+        console.error(`Error connecting transfer target for call ${session.callId}:`, error);
+        leg.pc.close();
+        await cancelTransfer(session, "bridge_error");
+    }
+}
+
+/**
+ * Connect a supervisor's browser to a live call. They hear both legs mixed; what they say is
+ * routed according to their listen / whisper / barge mode.
+ */
+async function connectSupervisor(session, socket, sdp) {
+    const leg = createAgentPeerConnection(socket);
+
+    try {
+        await leg.pc.setRemoteDescription(new RTCSessionDescription({ type: "offer", sdp }));
+        console.log(`Supervisor offer set as remote description for call ${session.callId}`);
+
+        if (!await connectMonitor(session, socket.id, leg, getLegTracks(session))) {
+            leg.pc.close();
+            return;
+        }
+
+        const answer = await leg.pc.createAnswer();
+        await leg.pc.setLocalDescription(answer);
+        socket.emit("browser-answer", answer.sdp);
+        socket.emit("supervision-state", {
+            callId: session.callId,
+            mode: getMonitor(session, socket.id).mode,
+            status: "connected",
+        });
+        console.log("Browser answer SDP created and sent to supervisor.");
+    } catch (error) {
+        console.error(`Error connecting supervisor to call ${session.callId}:`, error);
+        const mode = getMonitor(session, socket.id)?.mode;
+        await leaveCall(session, socket.id, getLegTracks(session)).catch((err) => {
+            console.error(`Failed to remove supervisor from call ${session.callId}:`, err);
+        });
+        leg.pc.close();
+        socket.emit("supervision-state", { callId: session.callId, mode, status: "left", reason: "bridge_error" });
+    }
+}
+
+/**
+ * Put a WhatsApp call into a conference room. The call's own browser leg is closed; its agent
+ * joins the room with a peer connection of their own.
+ */
+async function addCallToConference(session, room) {
+    endSupervision(session, "conference");
+
+    if (session.browserPc && session.browserPc.connectionState !== "closed") {
+        session.browserPc.close();
+    }
+    session.browserPc = null;
+    session.browserStream = null;
+    session.browserSender = null;
+    session.browserSocket = null;
+    session.conferenceId = room.id;
+
+    const participant = await addParticipant(room, {
+        id: session.callId,
+        kind: "whatsapp",
+        name: `${session.callerName} (${session.callerNumber})`,
+        callId: session.callId,
+        inputTrack: getLegTracks(session).customerTrack,
+        sender: session.whatsappSender,
+    });
+
+    // A running recording keeps the caller on the left and the room on the right channel
+    setRecordingTrack(session.callId, "agent", participant.mixer.track);
+    setForkTrack(session, "agent", participant.mixer.track);
+    setTranscriptionTrack(session, "agent", participant.mixer.track);
+}
+
+/**
+ * A call dialed out from a conference was answered: add it to its room, or hang up if the room
+ * ended in the meantime.
+ */
+async function joinDialedCallToConference(session) {
+    if (findParticipant(session.callId)) {
+        return;
+    }
+
+    const room = getRoom(session.conferenceId);
+    if (!room) {
+        console.log(`Conference ${session.conferenceId} ended before call ${session.callId} was answered`);
+        if (transitionCall(session, CALL_STATES.ENDED, "conference_ended")) {
+            await terminateCall(session.callId);
+        }
+        return;
+    }
 
-        res.sendStatus(200);
+    try {
+        await addCallToConference(session, room);
     } catch (err) {
-        console.error("Error processing /call-events webhook:", err);
-        res.sendStatus(200); // Still return 200 even on error to prevent retries
+        console.error(`Failed to add call ${session.callId} to conference ${room.id}:`, err);
+        if (transitionCall(session, CALL_STATES.FAILED, "bridge_error")) {
+            await terminateCall(session.callId);
+        }
     }
-});
+}
 
-// Webhook verification endpoint for Meta (WhatsApp Cloud API)
-app.get("/call-events", (req, res) => {
-    const VERIFY_TOKEN = process.env.VERIFY_TOKEN || "my_secret_token";
-    const mode = req.query["hub.mode"];
-    const token = req.query["hub.verify_token"];
-    const challenge = req.query["hub.challenge"];
+/**
+ * Connect an agent's browser to a conference room. They hear everyone else in the room mixed.
+ */
+async function connectConferenceAgent(room, socket, sdp) {
+    room.pendingAgents.delete(socket.id);
+    const leg = createAgentPeerConnection(socket);
 
-    if (mode && token && mode === "subscribe" && token === VERIFY_TOKEN) {
-        // Token matches, respond with challenge
-        res.status(200).send(challenge);
-    } else {
-        // Token does not match
-        res.sendStatus(403);
+    try {
+        await leg.pc.setRemoteDescription(new RTCSessionDescription({ type: "offer", sdp }));
+        console.log(`Agent offer set as remote description for conference ${room.id}`);
+
+        await addParticipant(room, {
+            id: socket.id,
+            kind: "agent",
+            name: getAgent(socket.id)?.name,
+            socket,
+            pc: leg.pc,
+            inputTrack: leg.stream.getAudioTracks()[0] || null,
+        });
+
+        const answer = await leg.pc.createAnswer();
+        await leg.pc.setLocalDescription(answer);
+        socket.emit("browser-answer", answer.sdp);
+        console.log("Browser answer SDP created and sent to conference agent.");
+    } catch (error) {
+        console.error(`Error connecting agent to conference ${room.id}:`, error);
+        leg.pc.close();
+        if (!removeParticipant(room, socket.id, "bridge_error")) {
+            socket.leave(`conference:${room.id}`);
+            socket.emit("conference-state", { roomId: room.id, status: "left", reason: "bridge_error" });
+            releaseAgent(socket.id);
+        }
     }
-});
+}
+
+/**
+ * Track ICE state of the WhatsApp leg and drive the call state from it.
+ */
+function monitorWhatsAppConnection(session) {
+    session.whatsappPc.oniceconnectionstatechange = () => {
+        console.log("WhatsApp ICE connection state:", session.whatsappPc.iceConnectionState);
+        console.log("WhatsApp ICE state change time:", new Date().toISOString());
+        
+        if (session.whatsappPc.iceConnectionState === 'connected') {
+            console.log("WhatsApp ICE connection CONNECTED successfully");
+            // Media can come up before or after the accept step; the call is active once both happened
+            session.mediaConnected = true;
+            if (session.state === CALL_STATES.ACCEPTED) {
+                transitionCall(session, CALL_STATES.ACTIVE, "media_connected");
+            }
+        } else if (session.whatsappPc.iceConnectionState === 'disconnected') {
+            console.log("WhatsApp ICE connection DISCONNECTED");
+        } else if (session.whatsappPc.iceConnectionState === 'failed') {
+            console.error("WhatsApp ICE connection FAILED");
+            if (!isFinalState(session.state)) {
+                transitionCall(session, CALL_STATES.FAILED, "whatsapp_ice_failed");
+                terminateCall(session.callId);
+            }
+        } else if (session.whatsappPc.iceConnectionState === 'closed') {
+            console.log("WhatsApp ICE connection CLOSED");
+        }
+    };
+}
 
 /**
  * Initiates WebRTC between browser and WhatsApp once both SDP offers are received.
  */
-async function initiateWebRTCBridge() {
+async function initiateWebRTCBridge(session) {
     console.log("\n===== INITIATING WEBRTC BRIDGE =====");
     console.log(`Time: ${new Date().toISOString()}`);
-    console.log(`Call ID: ${currentCallId}`);
+    console.log(`Call ID: ${session.callId}`);
     
-    // Check for call in progress to prevent duplicate connections
-    if (callInProgress) {
+    // Only a ringing call that is not already being bridged can be bridged
+    if (session.state !== CALL_STATES.RINGING || session.bridging) {
         console.log("Call already in progress. Not initiating another WebRTC bridge.");
-        console.log("Current call ID:", currentCallId);
-        console.log("Call state time:", new Date().toISOString());
+        console.log("Current call ID:", session.callId);
+        console.log("Current call state:", session.state);
         return;
     }
     
-    if (!browserOfferSdp || !whatsappOfferSdp || !browserSocket) {
+    if (!session.browserOfferSdp || !session.whatsappOfferSdp || !session.browserSocket) {
         console.log("Missing required data to initiate WebRTC bridge:");
-        console.log("- Browser offer SDP exists:", !!browserOfferSdp);
-        console.log("- WhatsApp offer SDP exists:", !!whatsappOfferSdp);
-        console.log("- Browser Socket exists:", !!browserSocket);
+        console.log("- Browser offer SDP exists:", !!session.browserOfferSdp);
+        console.log("- WhatsApp offer SDP exists:", !!session.whatsappOfferSdp);
+        console.log("- Browser Socket exists:", !!session.browserSocket);
         console.log("Bridge initiation attempt time:", new Date().toISOString());
         return;
     }
     
-    // Set call in progress flag
-    callInProgress = true;
-    console.log(`Call in progress flag set to TRUE at ${new Date().toISOString()}`);
-    console.log(`Current callId: ${currentCallId}`);
+    session.bridging = true;
+    console.log(`Bridging started for call ${session.callId} at ${new Date().toISOString()}`);
     
     console.log("Initiating WebRTC bridge between browser and WhatsApp...");
     console.log(`Bridge initiation started at: ${new Date().toISOString()}`);
     console.log("Memory usage:", process.memoryUsage());
-    console.log("Current active calls:", currentCallId ? 1 : 0);
+    console.log("Current active calls:", getAllSessions().length);
 
     try {
         // --- Setup browser peer connection ---
         console.log("Setting up browser peer connection...");
         console.log("Setup time:", new Date().toISOString());
-        browserPc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
-        browserStream = new MediaStream();
-        console.log("Browser peer connection created with ICE servers:", ICE_SERVERS);
-        console.log("Browser peer connection state:", browserPc.connectionState);
-        console.log("Browser ICE gathering state:", browserPc.iceGatheringState);
-        console.log("Browser signaling state:", browserPc.signalingState);
-
-        browserPc.ontrack = (event) => {
-            console.log("Audio track received from browser.");
-            console.log("Track details:", event.track.id, event.track.kind, event.track.label);
-            console.log("Track received at:", new Date().toISOString());
-            console.log("Track readyState:", event.track.readyState);
-            console.log("Track enabled:", event.track.enabled);
-            console.log("Track muted:", event.track.muted);
-            
-            event.streams[0].getTracks().forEach((track) => {
-                browserStream.addTrack(track);
-                console.log("Added browser audio track:", track.id, track.kind);
-            });
-        };
-
-        browserPc.onicecandidate = (event) => {
-            if (event.candidate) {
-                console.log("Browser ICE candidate:", event.candidate.candidate.substr(0, 50) + "...");
-                browserSocket.emit("browser-candidate", event.candidate);
-            }
-        };
-
-        browserPc.oniceconnectionstatechange = () => {
-            console.log("Browser ICE connection state:", browserPc.iceConnectionState);
-            console.log("ICE state change time:", new Date().toISOString());
-            
-            if (browserPc.iceConnectionState === 'connected') {
-                console.log("Browser ICE connection CONNECTED successfully");
-            } else if (browserPc.iceConnectionState === 'disconnected') {
-                console.log("Browser ICE connection DISCONNECTED");
-            } else if (browserPc.iceConnectionState === 'failed') {
-                console.error("Browser ICE connection FAILED");
-            } else if (browserPc.iceConnectionState === 'closed') {
-                console.log("Browser ICE connection CLOSED");
-            }
-        };
+        createBrowserPeerConnection(session);
 
-        await browserPc.setRemoteDescription(new RTCSessionDescription({
+        await session.browserPc.setRemoteDescription(new RTCSessionDescription({
             type: "offer",
-            sdp: browserOfferSdp
+            sdp: session.browserOfferSdp
         }));
         console.log("Browser offer SDP set as remote description.");
 
         // --- Setup WhatsApp peer connection ---
-        whatsappPc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+        session.whatsappPc = new RTCPeerConnection({ iceServers: getIceServers().iceServers });
         console.log("WhatsApp peer connection created at:", new Date().toISOString());
-        console.log("WhatsApp PC state:", whatsappPc.connectionState);
-        console.log("WhatsApp ICE gathering state:", whatsappPc.iceGatheringState);
-        console.log("WhatsApp signaling state:", whatsappPc.signalingState);
+        console.log("WhatsApp PC state:", session.whatsappPc.connectionState);
+        console.log("WhatsApp ICE gathering state:", session.whatsappPc.iceGatheringState);
+        console.log("WhatsApp signaling state:", session.whatsappPc.signalingState);
         
-        whatsappPc.oniceconnectionstatechange = () => {
-            console.log("WhatsApp ICE connection state:", whatsappPc.iceConnectionState);
-            console.log("WhatsApp ICE state change time:", new Date().toISOString());
-            
-            if (whatsappPc.iceConnectionState === 'connected') {
-                console.log("WhatsApp ICE connection CONNECTED successfully");
-            } else if (whatsappPc.iceConnectionState === 'disconnected') {
-                console.log("WhatsApp ICE connection DISCONNECTED");
-            } else if (whatsappPc.iceConnectionState === 'failed') {
-                console.error("WhatsApp ICE connection FAILED");
-            } else if (whatsappPc.iceConnectionState === 'closed') {
-                console.log("WhatsApp ICE connection CLOSED");
-            }
-        };
+        monitorWhatsAppConnection(session);
 
         // Create a promise to wait for WhatsApp audio track
         const waTrackPromise = new Promise((resolve, reject) => {
@@ -657,7 +2560,7 @@ async function initiateWebRTCBridge() {
                 resolve(); // Resolve anyway to continue the process
             }, 5000);
             
-            whatsappPc.ontrack = (event) => {
+            session.whatsappPc.ontrack = (event) => {
                 clearTimeout(timeout);
                 console.log("Audio track received from WhatsApp:", event.streams[0].id);
                 console.log("WhatsApp track received at:", new Date().toISOString());
@@ -666,33 +2569,19 @@ async function initiateWebRTCBridge() {
                 console.log("WhatsApp track details - ReadyState:", event.track.readyState);
                 console.log("WhatsApp track details - Enabled:", event.track.enabled);
                 console.log("WhatsApp track details - Muted:", event.track.muted);
-                whatsappStream = event.streams[0];
+                session.whatsappStream = event.streams[0];
                 resolve();
             };
         });
 
-        // Ensure WhatsApp SDP offer includes a=setup:actpass
-        let modifiedWhatsappSdp = whatsappOfferSdp;
-        if (!modifiedWhatsappSdp.includes('a=setup:actpass')) {
-            console.log("Adding a=setup:actpass to WhatsApp SDP offer");
-            // Add a=setup:actpass after a=fingerprint line
-            modifiedWhatsappSdp = modifiedWhatsappSdp.replace(
-                /(a=fingerprint:.*)/g, 
-                '$1\r\na=setup:actpass'
-            );
-            console.log("WhatsApp SDP modified to include a=setup:actpass");
-        } else {
-            console.log("WhatsApp SDP already contains a=setup:actpass");
-        }
-        
-        await whatsappPc.setRemoteDescription(new RTCSessionDescription({
+        await session.whatsappPc.setRemoteDescription(new RTCSessionDescription({
             type: "offer",
-            sdp: modifiedWhatsappSdp
+            sdp: normalizeWhatsAppOffer(session.whatsappOfferSdp)
         }));
         console.log("WhatsApp offer SDP set as remote description.");
 
         // Create a high-quality dummy audio track if browser stream is empty
-        if (!browserStream.getAudioTracks().length) {
+        if (!session.browserStream.getAudioTracks().length) {
             console.log("No browser audio tracks found, creating high-quality dummy track");
             const ctx = new (require('node-web-audio-api').AudioContext)({ sampleRate: 48000 });
             const oscillator = ctx.createOscillator();
@@ -715,118 +2604,385 @@ async function initiateWebRTCBridge() {
                 sampleSize: 24
             };
             
-            browserStream.addTrack(dummyTrack);
+            session.browserStream.addTrack(dummyTrack);
         }
 
         // Forward browser mic to WhatsApp
-        browserStream.getAudioTracks().forEach((track) => {
+        session.browserStream.getAudioTracks().forEach((track) => {
             console.log("Adding browser track to WhatsApp PC:", track.id);
-            whatsappPc.addTrack(track, browserStream);
+            session.whatsappSender = session.whatsappPc.addTrack(track, session.browserStream);
         });
 
         // Try to wait for WhatsApp audio but continue if it times out
         await waTrackPromise.catch(err => console.warn("WhatsApp track error:", err));
 
         // Forward WhatsApp audio to browser if available
-        if (whatsappStream && whatsappStream.getAudioTracks().length > 0) {
-            whatsappStream.getAudioTracks().forEach((track) => {
+        if (session.whatsappStream && session.whatsappStream.getAudioTracks().length > 0) {
+            session.whatsappStream.getAudioTracks().forEach((track) => {
                 console.log("Adding WhatsApp track to browser PC:", track.id);
-                browserPc.addTrack(track, whatsappStream);
+                session.browserSender = session.browserPc.addTrack(track, session.whatsappStream);
             });
         } else {
             console.warn("No WhatsApp audio tracks available to forward to browser");
         }
 
         // --- Create SDP answers for both peers ---
-        const browserAnswer = await browserPc.createAnswer();
-        await browserPc.setLocalDescription(browserAnswer);
-        browserSocket.emit("browser-answer", browserAnswer.sdp);
+        const browserAnswer = await session.browserPc.createAnswer();
+        await session.browserPc.setLocalDescription(browserAnswer);
+        session.browserSocket.emit("browser-answer", browserAnswer.sdp);
         console.log("Browser answer SDP created and sent.");
 
-        const waAnswer = await whatsappPc.createAnswer();
-        await whatsappPc.setLocalDescription(waAnswer);
-        
-        // Format SDP for WhatsApp requirements
-        let finalWaSdp = waAnswer.sdp;
-        finalWaSdp = finalWaSdp.replace("a=setup:actpass", "a=setup:active");
-        // Add a=ice-options:trickle if not present (helps with faster connection)
-        if (!finalWaSdp.includes("a=ice-options:trickle")) {
-            finalWaSdp = finalWaSdp.replace("a=group:BUNDLE 0", "a=group:BUNDLE 0\r\na=ice-options:trickle");
+        const waAnswer = await session.whatsappPc.createAnswer();
+        await session.whatsappPc.setLocalDescription(waAnswer);
+
+        await acceptInboundCall(session, normalizeWhatsAppAnswer(waAnswer.sdp), () => {
+            if (session.browserSocket) {
+                console.log("Accept succeeded, starting browser timer");
+                session.browserSocket.emit("start-browser-timer");
+            }
+        });
+    } catch (error) {
+        console.error("Error in WebRTC bridge:", error);
+        transitionCall(session, CALL_STATES.FAILED, answerFailureReason(error));
+    } finally {
+        session.bridging = false;
+    }
+}
+
+/**
+ * Why answering an inbound call failed with `error`, as a call state reason.
+ */
+function answerFailureReason(error) {
+    if (error instanceof SdpValidationError) {
+        return "invalid_sdp";
+    }
+    return error instanceof GraphApiError ? "pre_accept_failed" : "bridge_error";
+}
+
+/**
+ * Answer an inbound call on the WhatsApp side: pre-accept, then accept once the media path had
+ * time to come up. `onAccepted` runs after a successful accept.
+ */
+async function acceptInboundCall(session, sdp, onAccepted = null) {
+    // Send pre-accept, and only proceed with accept if successful
+    const preAcceptSuccess = await answerCallToWhatsApp(session.callId, sdp, "pre_accept");
+
+    if (!preAcceptSuccess || !transitionCall(session, CALL_STATES.PRE_ACCEPTED, "pre_accept_sent")) {
+        console.error("Pre-accept failed. Aborting accept step.");
+        transitionCall(session, CALL_STATES.FAILED, "pre_accept_failed");
+        return;
+    }
+
+    console.log("Pre-accept succeeded, proceeding to accept...");
+    setTimeout(async () => {
+        // The call may have been hung up or timed out while we waited
+        if (session.state !== CALL_STATES.PRE_ACCEPTED) {
+            console.warn(`Skipping accept for call ${session.callId} in state '${session.state}'`);
+            return;
         }
-        
-        console.log("WhatsApp answer SDP prepared.");
-
-        // Send pre-accept, and only proceed with accept if successful
-        const preAcceptSuccess = await answerCallToWhatsApp(currentCallId, finalWaSdp, "pre_accept");
-
-        if (preAcceptSuccess) {
-            console.log("Pre-accept succeeded, proceeding to accept...");
-            setTimeout(async () => {
-                const acceptSuccess = await answerCallToWhatsApp(currentCallId, finalWaSdp, "accept");
-                if (acceptSuccess && browserSocket) {
-                    console.log("Accept succeeded, starting browser timer");
-                    browserSocket.emit("start-browser-timer");
-                } else {
-                    console.error("Accept failed");
-                }
-            }, 1500); // Increased delay to give more time for setup
+
+        // Nothing retries this timer, so a retryable failure ends the call like any other
+        const acceptSuccess = await answerCallToWhatsApp(session.callId, sdp, "accept").catch(() => false);
+        if (acceptSuccess && transitionCall(session, CALL_STATES.ACCEPTED, "accept_sent")) {
+            if (session.mediaConnected) {
+                transitionCall(session, CALL_STATES.ACTIVE, "media_connected");
+            }
+            onAccepted?.();
         } else {
-            console.error("Pre-accept failed. Aborting accept step.");
-            // Reset call in progress flag on failure
-            callInProgress = false;
-            console.log("Call in progress flag reset due to pre-accept failure");
-        }
-
-        // Don't reset session state immediately
-        // Let the connections establish first
-        setTimeout(() => {
-            browserOfferSdp = null;
-            whatsappOfferSdp = null;
-        }, 5000);
+            console.error("Accept failed");
+            transitionCall(session, CALL_STATES.FAILED, "accept_failed");
+        }
+    }, 1500); // Increased delay to give more time for setup
+}
+
+/**
+ * Close a WhatsApp leg that was set up for an answer WhatsApp never got, so the call can be
+ * answered from scratch.
+ */
+function resetWhatsAppLeg(session) {
+    if (session.whatsappPc) {
+        session.whatsappPc.oniceconnectionstatechange = null;
+        session.whatsappPc.ontrack = null;
+        session.whatsappPc.close();
+    }
+    session.whatsappPc = null;
+    session.whatsappStream = null;
+    session.whatsappSender = null;
+    session.whatsappTransceiver = null;
+    session.mediaConnected = false;
+}
+
+/**
+ * Answer a ringing inbound call server-side, sending `track` to the caller. The call can be
+ * bridged to an agent later by bridgeAnsweredCall(). The answer keeps telephone-event when the
+ * caller offers it, so keypad digits come as RFC 4733 events and otherwise as in-band tones;
+ * `session.dtmfMode` records which (see lib/dtmf.js). Returns false if the call is no longer
+ * ringing.
+ *
+ * This runs from the webhook queue, so a pre-accept that failed with a retryable Graph error is
+ * thrown after the WhatsApp leg is taken down again: the call keeps ringing and the queue
+ * handles its connect event again later.
+ */
+async function answerServerSide(session, track, { onAccepted = null } = {}) {
+    if (session.state !== CALL_STATES.RINGING || session.bridging || !session.whatsappOfferSdp) {
+        return false;
+    }
+
+    session.bridging = true;
+    try {
+        session.whatsappPc = new RTCPeerConnection({ iceServers: getIceServers().iceServers });
+        monitorWhatsAppConnection(session);
+        session.whatsappPc.ontrack = (event) => {
+            console.log("Audio track received from WhatsApp on server-answered call:", event.track.id);
+            session.whatsappStream = event.streams[0];
+        };
+
+        const offerSdp = normalizeWhatsAppOffer(session.whatsappOfferSdp);
+        await session.whatsappPc.setRemoteDescription(new RTCSessionDescription({ type: "offer", sdp: offerSdp }));
+
+        const stream = new MediaStream();
+        stream.addTrack(track);
+        session.whatsappSender = session.whatsappPc.addTrack(track, stream);
+        session.whatsappTransceiver = session.whatsappPc.getTransceivers()
+            .find((transceiver) => transceiver.sender === session.whatsappSender) || null;
+
+        const answer = await session.whatsappPc.createAnswer();
+        await session.whatsappPc.setLocalDescription(answer);
+        session.dtmfMode = getDtmfMode(answer.sdp);
+        console.log(`Keypad digits on call ${session.callId} arrive as ${session.dtmfMode === "rfc4733" ? "RFC 4733 telephone-events" : "in-band tones"}`);
+        await acceptInboundCall(session, normalizeWhatsAppAnswer(answer.sdp), onAccepted);
     } catch (error) {
-        console.error("Error in WebRTC bridge:", error);
-        // Reset call in progress flag on error
-        callInProgress = false;
-        console.log("Call in progress flag reset due to WebRTC bridge error");
+        console.error(`Error answering call ${session.callId} server-side:`, error);
+        if (isRetryable(error) && session.state === CALL_STATES.RINGING) {
+            resetWhatsAppLeg(session);
+            throw error;
+        }
+        if (transitionCall(session, CALL_STATES.FAILED, answerFailureReason(error))) {
+            await rejectCall(session.callId);
+        }
+    } finally {
+        session.bridging = false;
     }
+    return true;
 }
 
 /**
- * Sends "pre-accept" or "accept" response with SDP to WhatsApp API.
+ * Answer an inbound call with the IVR. Returns false if the IVR is not available, so the caller
+ * is queued the usual way.
  */
-async function answerCallToWhatsApp(callId, sdp, action) {
-    const body = {
-        messaging_product: "whatsapp",
-        call_id: callId,
-        action,
-        session: { sdp_type: "answer", sdp },
-    };
+async function answerWithIvr(session) {
+    const ivrTrack = await createIvr(session);
+    if (!ivrTrack) {
+        return false;
+    }
+
+    console.log(`Answering call ${session.callId} with the IVR`);
+    let answered = false;
+    try {
+        answered = await answerServerSide(session, ivrTrack, {
+            onAccepted: () => {
+                listenForDigits(session, getLegTracks(session).customerTrack);
+                runIvr(session);
+            },
+        });
+    } finally {
+        if (!answered) {
+            stopIvr(session);
+        }
+    }
+    return answered;
+}
+
+/**
+ * Answer an inbound call with the bot on the media fork: the caller hears whatever the bot sends
+ * back and the bot hears the caller. Returns false if the call could not be answered.
+ */
+async function answerWithBot(session) {
+    const fork = startFork(session, { includeAgent: false, inject: true });
+    if (!fork) {
+        return false;
+    }
+
+    console.log(`Answering call ${session.callId} with the media fork bot`);
+    emitForkState(session, describeFork(fork));
+    let answered = false;
+    try {
+        answered = await answerServerSide(session, fork.track, {
+            onAccepted: () => setForkTrack(session, "customer", getLegTracks(session).customerTrack),
+        });
+    } finally {
+        if (!answered) {
+            stopFork(session, "not_answered");
+        }
+    }
+    return answered;
+}
+
+/**
+ * Stop whatever the server was playing to a server-answered caller (IVR or bot) once someone
+ * else takes over the WhatsApp sender.
+ */
+function releaseServerAudio(session, reason) {
+    stopIvr(session);
+    if (session.mediaFork?.inject) {
+        stopFork(session, reason);
+    }
+}
+
+/**
+ * Bridges a call whose WhatsApp leg already exists to the agent's browser: a business-initiated
+ * call (created by initiateDirectCall) or an inbound call answered by the IVR or a bot. Only the
+ * browser leg is built here and wired to the existing WhatsApp transceiver.
+ */
+async function bridgeAnsweredCall(session) {
+    console.log("\n===== BRIDGING ANSWERED CALL =====");
+    console.log(`Time: ${new Date().toISOString()}`);
+    console.log(`Call ID: ${session.callId}`);
+
+    if (session.browserPc || session.bridging) {
+        console.log("Call already bridged. Not creating another browser peer connection.");
+        return;
+    }
+
+    if (!session.whatsappPc || !session.browserOfferSdp || !session.browserSocket) {
+        console.log("Missing required data to bridge answered call:");
+        console.log("- WhatsApp peer connection exists:", !!session.whatsappPc);
+        console.log("- Browser offer SDP exists:", !!session.browserOfferSdp);
+        console.log("- Browser Socket exists:", !!session.browserSocket);
+        return;
+    }
+
+    session.bridging = true;
+
+    try {
+        createBrowserPeerConnection(session);
+
+        await session.browserPc.setRemoteDescription(new RTCSessionDescription({
+            type: "offer",
+            sdp: session.browserOfferSdp
+        }));
+        console.log("Browser offer SDP set as remote description for answered call.");
+
+        // Forward browser mic to WhatsApp through the existing sender, which takes over from the IVR.
+        // A held call keeps its hold music, and gets the new tracks back when it is resumed.
+        const browserTrack = session.browserStream.getAudioTracks()[0];
+        const { hold } = session;
+        if (browserTrack) {
+            if (hold) {
+                hold.whatsappTrack = browserTrack;
+            }
+            if (!hold?.player) {
+                await session.whatsappSender.replaceTrack(browserTrack);
+            }
+            setRecordingTrack(session.callId, "agent", browserTrack);
+            setForkTrack(session, "agent", browserTrack);
+            setTranscriptionTrack(session, "agent", browserTrack);
+            console.log("Browser track attached to WhatsApp sender:", browserTrack.id);
+        } else {
+            console.warn("No browser audio track available to forward to WhatsApp");
+        }
+        releaseServerAudio(session, "agent_connected");
+
+        // Forward WhatsApp audio to browser. The receiver track exists before WhatsApp answers,
+        // so the browser leg can be negotiated while the callee is still ringing.
+        const whatsappTrack = getLegTracks(session).customerTrack;
+        const whatsappStream = new MediaStream();
+        whatsappStream.addTrack(whatsappTrack);
+        session.browserSender = session.browserPc.addTrack(whatsappTrack, whatsappStream);
+        if (hold) {
+            hold.browserTrack = whatsappTrack;
+            if (hold.player) {
+                await session.browserSender.replaceTrack(null);
+            }
+        }
+        console.log("WhatsApp track added to browser PC:", whatsappTrack.id);
+
+        const browserAnswer = await session.browserPc.createAnswer();
+        await session.browserPc.setLocalDescription(browserAnswer);
+        session.browserSocket.emit("browser-answer", browserAnswer.sdp);
+        console.log("Browser answer SDP created and sent for answered call.");
+
+        // The callee may already have picked up before the browser leg was ready
+        if (session.state === CALL_STATES.ACTIVE) {
+            session.browserSocket.emit("start-browser-timer");
+        }
+    } catch (error) {
+        console.error("Error bridging answered call:", error);
+        if (transitionCall(session, CALL_STATES.FAILED, "bridge_error")) {
+            terminateCall(session.callId);
+        }
+    } finally {
+        session.bridging = false;
+    }
+}
+
+/**
+ * Applies the SDP answer WhatsApp sends on the `connect` webhook of a business-initiated call.
+ */
+async function applyWhatsAppAnswer(session, sdp) {
+    if (!sdp) {
+        console.warn(`Connect event for outbound call ${session.callId} has no SDP answer`);
+        return;
+    }
+
+    if (session.whatsappPc.signalingState !== "have-local-offer") {
+        console.warn(`Ignoring SDP answer for call ${session.callId} in signaling state ${session.whatsappPc.signalingState}`);
+        return;
+    }
+
+    try {
+        console.log(`SDP answer from WhatsApp (first 100 chars): ${sdp.substring(0, 100)}...`);
+        await session.whatsappPc.setRemoteDescription(new RTCSessionDescription({
+            type: "answer",
+            sdp: validateWhatsAppAnswer(sdp)
+        }));
+        console.log("WhatsApp answer SDP set as remote description for outbound call.");
+        if (transitionCall(session, CALL_STATES.ACCEPTED, "whatsapp_answered") && session.mediaConnected) {
+            transitionCall(session, CALL_STATES.ACTIVE, "media_connected");
+        }
+    } catch (error) {
+        if (error instanceof SdpValidationError) {
+            console.error(`WhatsApp answer for call ${session.callId} rejected:\n  - ${error.problems.join("\n  - ")}`);
+        } else {
+            console.error(`Failed to apply WhatsApp answer for call ${session.callId}:`, error);
+        }
+        if (transitionCall(session, CALL_STATES.FAILED, "invalid_answer_sdp")) {
+            terminateCall(session.callId);
+        }
+    }
+}
 
+/**
+ * Sends "pre-accept" or "accept" response with SDP to WhatsApp API. Resolves with false if
+ * WhatsApp turned it down; retryable Graph errors (see isRetryable) are thrown.
+ */
+async function answerCallToWhatsApp(callId, sdp, action) {
     console.log(`Sending ${action} to WhatsApp API for call ${callId}`);
     console.log(`SDP answer first 100 chars: ${sdp.substring(0, 100)}...`);
 
     try {
-        console.log(`Making API request to ${WHATSAPP_API_URL}`);
-        const response = await axios.post(WHATSAPP_API_URL, body, {
-            headers: {
-                Authorization: ACCESS_TOKEN,
-                "Content-Type": "application/json",
-            },
+        const data = await sendCallAction({
+            call_id: callId,
+            action,
+            session: { sdp_type: "answer", sdp },
         });
 
-        console.log(`WhatsApp ${action} API response:`, response.data);
-        const success = response.data?.success === true;
+        console.log(`WhatsApp ${action} API response:`, data);
+        const success = data?.success === true;
 
         if (success) {
             console.log(`Successfully sent '${action}' to WhatsApp.`);
             return true;
         } else {
             console.warn(`WhatsApp '${action}' response was not successful.`);
-            console.warn(`Response data:`, JSON.stringify(response.data));
+            console.warn(`Response data:`, JSON.stringify(data));
             return false;
         }
     } catch (error) {
-        console.error(`Failed to send '${action}' to WhatsApp:`, error.message);
+        console.error(`Failed to send '${action}' to WhatsApp (${error.category || "error"}):`, error.message);
+        if (isRetryable(error)) {
+            throw error;
+        }
         return false;
     }
 }
@@ -836,27 +2992,13 @@ async function answerCallToWhatsApp(callId, sdp, action) {
  * Returns WhatsApp API response.
  */
  async function terminateCall(callId) {
-    const body = {
-        messaging_product: "whatsapp",
-        call_id: callId,
-        action: "terminate",
-    };
-
     console.log(`Attempting to terminate call ${callId} at ${new Date().toISOString()}`);
-    console.log(`API URL for termination: ${WHATSAPP_API_URL}`);
-    console.log(`Termination request body: ${JSON.stringify(body)}`);
 
     try {
-        const response = await axios.post(WHATSAPP_API_URL, body, {
-            headers: {
-                Authorization: ACCESS_TOKEN,
-                "Content-Type": "application/json",
-            },
-        });
+        const data = await sendCallAction({ call_id: callId, action: "terminate" });
 
-        const success = response.data?.success === true;
-        console.log(`Terminate call response: ${JSON.stringify(response.data)}`);
-        console.log(`Response status: ${response.status}`);
+        const success = data?.success === true;
+        console.log(`Terminate call response: ${JSON.stringify(data)}`);
         console.log(`Response received at: ${new Date().toISOString()}`);
 
         if (success) {
@@ -865,43 +3007,60 @@ async function answerCallToWhatsApp(callId, sdp, action) {
             console.warn(`Call ${callId} terminate response was not successful.`);
         }
 
-        return response.data;
+        return data;
     } catch (error) {
         console.error(`Failed to terminate call ${callId}:`, error.message);
-        console.error(`Error details: ${JSON.stringify(error.response?.data || {})}`);
-        return { success: false, error: error.message };
+        console.error(`Error details: ${JSON.stringify(error.data || {})}`);
+        return { success: false, error: error.message, errorType: error.category };
+    }
+}
+
+/**
+ * Reject an incoming WhatsApp call before it is answered.
+ * Returns WhatsApp API response.
+ */
+async function rejectCall(callId) {
+    console.log(`Attempting to reject call ${callId} at ${new Date().toISOString()}`);
+
+    try {
+        const data = await sendCallAction({ call_id: callId, action: "reject" });
+        console.log(`Reject call response: ${JSON.stringify(data)}`);
+        return data;
+    } catch (error) {
+        console.error(`Failed to reject call ${callId}:`, error.message);
+        console.error(`Error details: ${JSON.stringify(error.data || {})}`);
+        return { success: false, error: error.message, errorType: error.category };
     }
 }
 
 /**
  * Initiate an outgoing call to a WhatsApp number directly.
  * This tries to make a call without checking permissions separately.
+ * On success a call session is created that keeps the WhatsApp peer connection,
+ * so the answer SDP from the webhook can be applied and bridged to the browser in `details.browserSocket`.
  */
-async function initiateDirectCall(phoneNumber) {
+async function initiateDirectCall(phoneNumber, details = {}) {
+    let pc = null;
     try {
-        // Get the access token and phone number ID from environment variables
-        const accessToken = process.env.ACCESS_TOKEN;
-        const phoneNumberId = process.env.PHONE_NUMBER_ID;
-        
         console.log(`Making direct call to ${phoneNumber}...`);
         console.log(`Call initiated at: ${new Date().toISOString()}`);
-        console.log(`Using phone number ID: ${phoneNumberId}`);
+        console.log(`Using phone number ID: ${process.env.PHONE_NUMBER_ID}`);
         console.log(`Node.js memory usage: ${JSON.stringify(process.memoryUsage())}`);
         
         // Create an SDP offer for the outgoing call
         console.log("Creating WebRTC peer connection for outgoing call...");
-        const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+        pc = new RTCPeerConnection({ iceServers: getIceServers().iceServers });
         console.log("Outgoing call PC created at:", new Date().toISOString());
         console.log("Outgoing call PC state:", pc.connectionState);
         console.log("Outgoing call PC ICE gathering state:", pc.iceGatheringState);
         console.log("Outgoing call PC signaling state:", pc.signalingState);
         
         // Add audio transceivers to ensure audio is included in the offer
-        pc.addTransceiver('audio', { direction: 'sendrecv' });
+        const transceiver = pc.addTransceiver('audio', { direction: 'sendrecv' });
         console.log("Added audio transceiver with sendrecv direction");
         
         // Create an SDP offer
-       const offer = await pc.createOffer({
+        const offer = await pc.createOffer({
             offerToReceiveAudio: true,
             offerToReceiveVideo: false
         });
@@ -913,7 +3072,7 @@ async function initiateDirectCall(phoneNumber) {
         console.log("Local description set on peer connection");
         
         // Wait for ICE gathering to complete or timeout after 5 seconds
-        const sdpOffer = await Promise.race([
+        const gatheredSdp = await Promise.race([
             new Promise((resolve) => {
                 const checkState = () => {
                     if (pc.iceGatheringState === 'complete') {
@@ -931,97 +3090,104 @@ async function initiateDirectCall(phoneNumber) {
                 }, 5000);
             })
         ]);
+        const sdpOffer = normalizeOfferToWhatsApp(gatheredSdp);
         
         // Direct calling approach using the WhatsApp Cloud API
         console.log("Sending WhatsApp call API request at:", new Date().toISOString());
-        console.log("API URL:", `https://graph.facebook.com/v19.0/${phoneNumberId}/calls`);
+        console.log("API URL:", `${describeGraphApi()}/calls`);
         console.log("SDP offer length:", sdpOffer.length);
         console.log("SDP offer first 100 chars:", sdpOffer.substring(0, 100) + "...");
         
-        const response = await axios.post(
-            `https://graph.facebook.com/v19.0/${phoneNumberId}/calls`,
-            {
-                messaging_product: "whatsapp",
-                to: phoneNumber,
-                action: "connect",
-                session: {
-                    sdp_type: "offer",
-                    sdp: sdpOffer
-                }
-            },
-            {
-                headers: {
-                    Authorization: `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json',
-                }
+        const data = await sendCallAction({
+            to: phoneNumber,
+            action: "connect",
+            session: {
+                sdp_type: "offer",
+                sdp: sdpOffer
             }
-        );
+        });
         
         console.log("WhatsApp API response received at:", new Date().toISOString());
-        console.log("Response status:", response.status);
-        console.log("Response headers:", JSON.stringify(response.headers, null, 2));
         
         // Check if the call was initiated successfully
-        if (response.data?.success === true || response.data?.id) {
-            console.log("✅ Call initiated successfully:", response.data);
+        const callId = connectedCallId(data);
+        if (data?.success === true || callId) {
+            console.log("✅ Call initiated successfully:", data);
+
+            // Keep the outbound peer connection in the call session until WhatsApp answers
+            const session = createSession(callId, {
+                direction: "outbound",
+                callerName: details.callerName,
+                callerNumber: phoneNumber,
+                browserSocket: details.browserSocket,
+                conferenceId: details.conferenceId,
+            });
+            session.whatsappPc = pc;
+            session.whatsappTransceiver = transceiver;
+            session.whatsappSender = transceiver.sender;
+            pc.ontrack = (event) => {
+                console.log("Audio track received from WhatsApp on outbound call:", event.track.id);
+                session.whatsappStream = event.streams[0];
+            };
+            monitorWhatsAppConnection(session);
+
             return { 
                 success: true, 
-                call_id: response.data?.call_id || response.data?.id
+                call_id: callId
             };
         } else {
-            console.log("❌ Call initiation response:", response.data);
+            console.log("❌ Call initiation response:", data);
+            pc.close();
             return { 
                 success: false, 
                 error: "API returned unsuccessful response",
-                data: response.data
+                data
             };
         }
     } catch (error) {
-        console.error("❌ Error initiating direct WhatsApp call:", error.response?.data || error.message);
-        console.error("Error occurred at:", new Date().toISOString());
-        console.error("Error details:", JSON.stringify(error.response?.data || {}));
-        console.error("Request URL:", error.config?.url);
-        console.error("Request method:", error.config?.method);
-        console.error("Request headers:", JSON.stringify(error.config?.headers || {}));
-        
-        // Check for specific error conditions
-        const errorMsg = error.response?.data?.error?.message || error.message;
-        const errorCode = error.response?.data?.error?.code;
-        const timestamp = new Date().toISOString();
-        
-        console.error(`Error details at ${timestamp}:`, {
-            errorCode,
-            errorMessage: errorMsg,
+        pc?.close();
+        console.error("❌ Error initiating direct WhatsApp call:", error.data || error.message);
+        console.error(`Error details at ${new Date().toISOString()}:`, {
+            errorType: error.category,
+            errorCode: error.code,
+            errorMessage: error.message,
+            fbtraceId: error.fbtraceId,
             phoneNumber: phoneNumber,
-            callAttemptTime: timestamp
         });
-        
-        // Handle specific error cases to provide better user feedback
-        let userFriendlyError = errorMsg;
-        let canRetry = false;
-        
-        if (errorMsg.includes("already ongoing") || errorMsg.includes("already in progress") || errorMsg.includes("busy")) {
-            userFriendlyError = "The recipient is already on another call. Please try again later.";
-            console.log(`Call to ${phoneNumber} failed: Recipient busy on another call`);
-            // Cannot retry immediately when user is on another call
-            canRetry = false;
-        } else if (errorCode === 138010) {
-            userFriendlyError = "Call rate limit reached. Please wait a moment before trying again.";
-            console.log(`Call rate limit reached for ${phoneNumber}`);
-            // Can retry after a delay when rate limited
-            canRetry = true;
-        } else if (errorCode === 138006) {
-            userFriendlyError = "No approved call permission from recipient. Please request permission first.";
-        }
-        
-        return { 
-            success: false, 
-            error: userFriendlyError,
-            originalError: errorMsg,
-            errorCode: errorCode,
-            data: error.response?.data
-        };
+        return callFailureResult(error);
+    }
+}
+
+/**
+ * Call id from the response to a `connect`. Graph answers with `calls: [{ id }]`.
+ */
+function connectedCallId(data) {
+    return data?.calls?.[0]?.id || data?.call_id || data?.id || null;
+}
+
+/**
+ * Result of a failed outbound call attempt, with a message the agent can act on and the error
+ * category from lib/graph-api.js ("permission_required", "rate_limited", "recipient_busy", ...).
+ */
+function callFailureResult(error) {
+    let message = error.message;
+    if (error instanceof RecipientBusyError) {
+        message = "The recipient is already on another call. Please try again later.";
+    } else if (error instanceof RateLimitedError) {
+        message = "Call rate limit reached. Please wait a moment before trying again.";
+    } else if (error instanceof PermissionRequiredError) {
+        message = "No approved call permission from recipient. Please request permission first.";
     }
+
+    return {
+        success: false,
+        error: message,
+        originalError: error.message,
+        errorType: error instanceof GraphApiError ? error.category : "error",
+        errorCode: error.code ?? null,
+        retryAfterMs: error.retryAfterMs ?? null,
+        data: error.data ?? null,
+    };
 }
 
 /**
@@ -1029,10 +3195,6 @@ async function initiateDirectCall(phoneNumber) {
  */
 async function initiateWhatsAppCall(phoneNumber) {
     try {
-        // Get the access token and phone number ID from environment variables
-        const accessToken = process.env.ACCESS_TOKEN;
-        const phoneNumberId = process.env.PHONE_NUMBER_ID;
-        
         // Check permission status before attempting to call
         const permissionStatus = await checkCallPermission(phoneNumber);
         if (!permissionStatus.hasPermission) {
@@ -1040,15 +3202,15 @@ async function initiateWhatsAppCall(phoneNumber) {
             return { 
                 success: false, 
                 error: "No approved call permission from the recipient",
-                permissionStatus: permissionStatus.status,
-                data: { error: { code: 138006, message: "Call permission required" } }
+                errorType: "permission_required",
+                permissionStatus: permissionStatus.status
             };
         }
         
         console.log(`✅ Permission confirmed for ${phoneNumber}. Initiating call...`);
         
         // Create an SDP offer for the outgoing call
-        const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+        const pc = new RTCPeerConnection({ iceServers: getIceServers().iceServers });
         
         // Add audio transceivers to ensure audio is included in the offer
         pc.addTransceiver('audio', { direction: 'sendrecv' });
@@ -1058,7 +3220,7 @@ async function initiateWhatsAppCall(phoneNumber) {
         await pc.setLocalDescription(offer);
         
         // Wait for ICE gathering to complete or timeout after 5 seconds
-        const sdpOffer = await Promise.race([
+        const gatheredSdp = await Promise.race([
             new Promise((resolve) => {
                 const checkState = () => {
                     if (pc.iceGatheringState === 'complete') {
@@ -1076,51 +3238,39 @@ async function initiateWhatsAppCall(phoneNumber) {
                 }, 5000);
             })
         ]);
+        const sdpOffer = normalizeOfferToWhatsApp(gatheredSdp);
         
         console.log("Generated SDP offer for outgoing call");
         
         // Direct calling approach using the WhatsApp Cloud API
-        const response = await axios.post(
-            `https://graph.facebook.com/v19.0/${phoneNumberId}/calls`,
-            {
-                messaging_product: "whatsapp",
-                to: phoneNumber,
-                action: "connect",
-                session: {
-                    sdp_type: "offer",
-                    sdp: sdpOffer
-                }
-            },
-            {
-                headers: {
-                    Authorization: `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json',
-                }
+        const data = await sendCallAction({
+            to: phoneNumber,
+            action: "connect",
+            session: {
+                sdp_type: "offer",
+                sdp: sdpOffer
             }
-        );
+        });
         
         // Check if the call was initiated successfully
-        if (response.data?.success === true || response.data?.id) {
-            console.log("✅ Call initiated successfully:", response.data);
+        const callId = connectedCallId(data);
+        if (data?.success === true || callId) {
+            console.log("✅ Call initiated successfully:", data);
             return { 
                 success: true, 
-                call_id: response.data?.call_id || response.data?.id
+                call_id: callId
             };
         } else {
-            console.log("❌ Call initiation response:", response.data);
+            console.log("❌ Call initiation response:", data);
             return { 
                 success: false, 
                 error: "API returned unsuccessful response",
-                data: response.data
+                data
             };
         }
     } catch (error) {
-        console.error("❌ Error initiating WhatsApp call:", error.response?.data || error.message);
-        return { 
-            success: false, 
-            error: error.response?.data?.error?.message || error.message,
-            data: error.response?.data
-        };
+        console.error("❌ Error initiating WhatsApp call:", error.data || error.message);
+        return callFailureResult(error);
     }
 }
 
@@ -1130,9 +3280,6 @@ async function initiateWhatsAppCall(phoneNumber) {
  */
 async function checkCallPermission(phoneNumber) {
     try {
-        const accessToken = process.env.ACCESS_TOKEN;
-        const phoneNumberId = process.env.PHONE_NUMBER_ID;
-        
         console.log(`Attempting to check call permission for ${phoneNumber} directly...`);
         
         // Since the user_call_permissions endpoint is causing issues, try making a direct call
@@ -1140,7 +3287,7 @@ async function checkCallPermission(phoneNumber) {
         // This is a workaround until we can figure out the correct API endpoint
         
         // Let's try to make a direct call with minimal SDP
-        const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+        const pc = new RTCPeerConnection({ iceServers: getIceServers().iceServers });
         pc.addTransceiver('audio', { direction: 'sendrecv' });
         const offer = await pc.createOffer();
         await pc.setLocalDescription(offer);
@@ -1150,46 +3297,24 @@ async function checkCallPermission(phoneNumber) {
         
         // Create a test call to check permission - it will be a very short "probe" call
         try {
-            const response = await axios.post(
-                `https://graph.facebook.com/v19.0/${phoneNumberId}/calls`,
-                {
-                    messaging_product: "whatsapp",
-                    to: phoneNumber,
-                    action: "connect",
-                    session: {
-                        sdp_type: "offer",
-                        sdp: pc.localDescription.sdp
-                    }
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${accessToken}`,
-                        'Content-Type': 'application/json',
-                    }
+            const data = await sendCallAction({
+                to: phoneNumber,
+                action: "connect",
+                session: {
+                    sdp_type: "offer",
+                    sdp: normalizeOfferToWhatsApp(pc.localDescription.sdp)
                 }
-            );
+            });
             
             // If the call is accepted, permission exists
-            if (response.data?.success === true) {
+            const probeCallId = connectedCallId(data);
+            if (data?.success === true || probeCallId) {
                 console.log(`✅ Permission check for ${phoneNumber}: GRANTED (call accepted)`);
                 
                 // Clean up the test call immediately
-                if (response.data.call_id) {
+                if (probeCallId) {
                     try {
-                        await axios.post(
-                            `https://graph.facebook.com/v19.0/${phoneNumberId}/calls`,
-                            {
-                                messaging_product: "whatsapp",
-                                call_id: response.data.call_id,
-                                action: "terminate",
-                            },
-                            {
-                                headers: {
-                                    Authorization: `Bearer ${accessToken}`,
-                                    'Content-Type': 'application/json',
-                                }
-                            }
-                        );
+                        await sendCallAction({ call_id: probeCallId, action: "terminate" });
                         console.log("Test call terminated successfully");
                     } catch (terminateError) {
                         console.error("Error terminating test call:", terminateError.message);
@@ -1199,45 +3324,44 @@ async function checkCallPermission(phoneNumber) {
                 return {
                     hasPermission: true,
                     status: "granted",
-                    data: response.data
+                    data
                 };
             }
             
-            console.log(`❓ Unexpected response from call probe:`, response.data);
+            console.log(`❓ Unexpected response from call probe:`, data);
             return {
                 hasPermission: false, 
                 status: "unknown",
-                data: response.data
+                data
             };
         } catch (error) {
-            // If we get error code 138006 specifically, it means no permission
-            if (error.response?.data?.error?.code === 138006) {
-                console.log(`❌ Permission check for ${phoneNumber}: NOT GRANTED (code 138006)`);
+            if (error instanceof PermissionRequiredError) {
+                console.log(`❌ Permission check for ${phoneNumber}: NOT GRANTED (code ${error.code})`);
                 return {
                     hasPermission: false,
                     status: "denied",
-                    error: error.response.data.error.message
+                    error: error.message
                 };
             }
             
             // For other errors, we can't determine the permission status
-            console.error("Error during permission probe call:", error.response?.data || error.message);
+            console.error("Error during permission probe call:", error.data || error.message);
             return {
                 hasPermission: false,
                 status: "error",
-                error: error.response?.data?.error?.message || error.message
+                error: error.message
             };
         } finally {
             // Clean up WebRTC resources
             pc.close();
         }
     } catch (error) {
-        console.error("Error checking call permission:", error.response?.data || error.message);
+        console.error("Error checking call permission:", error.message);
         // If we can't check permission, assume no permission
         return {
             hasPermission: false,
             status: "error",
-            error: error.response?.data?.error?.message || error.message
+            error: error.message
         };
     }
 }
@@ -1248,68 +3372,60 @@ async function checkCallPermission(phoneNumber) {
  */
 async function sendCallPermissionRequest(phoneNumber) {
     try {
-        const accessToken = process.env.ACCESS_TOKEN;
-        const phoneNumberId = process.env.PHONE_NUMBER_ID;
-        
         // Prepare the permission request message
-        const response = await axios.post(
-            `https://graph.facebook.com/v19.0/${phoneNumberId}/messages`,
-            {
-                messaging_product: "whatsapp",
-                recipient_type: "individual",
-                to: phoneNumber,
-                type: "interactive",
-                interactive: {
-                    type: "call_permission_request",
-                    body: {
-                        text: "Would you like to receive calls from our application? This will allow us to provide better service through voice calls."
-                    },
-                    action: {
-                        name: "call_permission_request"
-                    }
-                }
-            },
-            {
-                headers: {
-                    Authorization: `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json',
+        const data = await sendMessage({
+            recipient_type: "individual",
+            to: phoneNumber,
+            type: "interactive",
+            interactive: {
+                type: "call_permission_request",
+                body: {
+                    text: "Would you like to receive calls from our application? This will allow us to provide better service through voice calls."
+                },
+                action: {
+                    name: "call_permission_request"
                 }
             }
-        );
+        });
         
-        console.log("Call permission request sent:", response.data);
+        console.log("Call permission request sent:", data);
         
         return {
             success: true,
-            messageId: response.data?.messages?.[0]?.id,
-            data: response.data
+            messageId: data?.messages?.[0]?.id,
+            data
         };
     } catch (error) {
-        // Extract the error data for better debugging
-        const errorData = error.response?.data || {};
-        console.error("Error sending call permission request:", errorData);
+        console.error("Error sending call permission request:", error.data || error.message);
         
         // Handle rate limit errors specifically
-        if (errorData?.error?.code === 138009) {
+        if (error instanceof RateLimitedError && error.code === 138009) {
             console.log("Rate limit reached for permission requests to this number");
             return {
                 success: false,
                 error: "Rate limit reached for permission requests to this number. WhatsApp allows only one permission request every 24 hours.",
-                errorCode: errorData?.error?.code,
-                errorData: errorData,
+                errorType: error.category,
+                errorCode: error.code,
+                errorData: error.data,
                 retryAfter: "24 hours" // WhatsApp typically enforces a 24-hour cooling period
             };
         }
         
         return {
             success: false,
-            error: errorData?.error?.message || error.message,
-            errorCode: errorData?.error?.code,
-            errorData: errorData
+            error: error.message,
+            errorType: error.category || "error",
+            errorCode: error.code ?? null,
+            errorData: error.data ?? null
         };
     }
 }
 
+// Decode hold music, IVR prompts and the voicemail greeting up front so they start without delay
+getHoldMusic();
+getIvrMenu();
+getGreeting();
+
 // Start the server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
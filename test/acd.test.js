@@ -0,0 +1,209 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const OFFER_TIMEOUT_MS = 100;
+
+/**
+ * Fresh copies of lib/acd.js and the agent registry it dispatches to, so every test starts with an
+ * empty queue and no agents.
+ */
+function loadAcd(env = {}) {
+    const saved = { ...process.env };
+    Object.assign(process.env, { ACD_STRATEGY: "longest-idle", ACD_OFFER_TIMEOUT_MS: String(OFFER_TIMEOUT_MS) }, env);
+    try {
+        delete require.cache[require.resolve("../lib/agents")];
+        delete require.cache[require.resolve("../lib/acd")];
+        return { acd: require("../lib/acd"), agents: require("../lib/agents") };
+    } finally {
+        process.env = saved;
+    }
+}
+
+/**
+ * A registered, available agent whose socket keeps what it is sent. Agents added earlier have been
+ * idle longer.
+ */
+function addAgent(agents, id, { queues = [], idleSince = new Date(Date.now() - 60000 + agents.getAllAgents().length * 1000) } = {}) {
+    const socket = {
+        id,
+        sent: [],
+        emit(event, data) {
+            this.sent.push({ event, ...data });
+        },
+    };
+    agents.registerAgent(socket);
+    agents.identifyAgent(id, { agentId: id, role: "agent", queues });
+    const agent = agents.setAgentStatus(id, agents.AGENT_STATUSES.AVAILABLE);
+    agent.idleSince = idleSince;
+    return socket;
+}
+
+function offers(socket) {
+    return socket.sent.filter((message) => message.event === "call-is-coming").map((message) => message.callId);
+}
+
+function revocations(socket) {
+    return socket.sent.filter((message) => message.event === "call-offer-revoked").map((message) => [message.callId, message.reason]);
+}
+
+function call(callId, queue = null) {
+    return { callId, callerName: "Caller", callerNumber: "15550001111", queue };
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+let acd;
+let agents;
+
+test.beforeEach(() => {
+    ({ acd, agents } = loadAcd());
+});
+
+test.afterEach(() => {
+    // Withdraw what is still queued so no offer timer outlives its test
+    for (const { callId } of acd.getQueueStats().calls) {
+        acd.removeCall(callId);
+    }
+});
+
+test.describe("ACD dispatch", () => {
+    test("offers a call to the agent who has been idle longest", () => {
+        const busy = addAgent(agents, "busy", { idleSince: new Date() });
+        const idle = addAgent(agents, "idle", { idleSince: new Date(Date.now() - 60000) });
+        acd.enqueueCall(call("wacid.1"));
+
+        assert.deepEqual(offers(idle), ["wacid.1"]);
+        assert.deepEqual(offers(busy), []);
+        assert.equal(acd.getQueueStats().calls[0].offeredTo, "idle");
+    });
+
+    test("takes turns with round-robin", () => {
+        ({ acd, agents } = loadAcd({ ACD_STRATEGY: "round-robin" }));
+        const sockets = ["a", "b"].map((id) => addAgent(agents, id));
+
+        for (const callId of ["wacid.1", "wacid.2"]) {
+            acd.enqueueCall(call(callId));
+            const offeredTo = acd.getQueueStats().calls[0].offeredTo;
+            acd.acceptOffer(callId, offeredTo);
+        }
+        assert.deepEqual(sockets.map(offers), [["wacid.1"], ["wacid.2"]]);
+    });
+
+    test("offers one call per agent and keeps the rest waiting", () => {
+        const socket = addAgent(agents, "a");
+        acd.enqueueCall(call("wacid.1"));
+        acd.enqueueCall(call("wacid.2"));
+
+        assert.deepEqual(offers(socket), ["wacid.1"]);
+        assert.deepEqual(acd.getQueueStats().calls.map((entry) => entry.offeredTo), ["a", null]);
+    });
+
+    test("only offers a call to agents serving its queue", () => {
+        const sales = addAgent(agents, "sales", { queues: ["sales"] });
+        const support = addAgent(agents, "support", { queues: ["support"] });
+        acd.enqueueCall(call("wacid.1", "support"));
+
+        assert.deepEqual(offers(sales), []);
+        assert.deepEqual(offers(support), ["wacid.1"]);
+    });
+
+    test("hands the call over to the agent who accepts it", () => {
+        addAgent(agents, "a");
+        const session = call("wacid.1");
+        acd.enqueueCall(session);
+
+        assert.equal(acd.acceptOffer("wacid.1", "b"), null);
+        assert.equal(acd.acceptOffer("wacid.1", "a"), session);
+        assert.equal(acd.getQueueStats().length, 0);
+        assert.equal(agents.getAgent("a").offeredCallId, null);
+    });
+
+    test("offers the next call once an agent becomes free", () => {
+        acd.enqueueCall(call("wacid.1"));
+        assert.equal(acd.getQueueStats().calls[0].offeredTo, null);
+
+        const socket = addAgent(agents, "a");
+        acd.dispatchQueue();
+        assert.deepEqual(offers(socket), ["wacid.1"]);
+    });
+});
+
+test.describe("ACD declines and timeouts", () => {
+    test("moves a declined call to the next agent", () => {
+        const first = addAgent(agents, "first");
+        const second = addAgent(agents, "second");
+        acd.enqueueCall(call("wacid.1"));
+
+        assert.equal(acd.declineOffer("wacid.1", "second"), false);
+        assert.equal(acd.declineOffer("wacid.1", "first"), true);
+        assert.deepEqual(offers(second), ["wacid.1"]);
+        assert.deepEqual(offers(first), ["wacid.1"]);
+    });
+
+    test("gives up on a call every available agent declined", () => {
+        addAgent(agents, "first");
+        addAgent(agents, "second");
+        const exhausted = [];
+        acd.acdEvents.on("exhausted", (session) => exhausted.push(session.callId));
+        acd.enqueueCall(call("wacid.1"));
+
+        acd.declineOffer("wacid.1", "first");
+        assert.deepEqual(exhausted, []);
+        acd.declineOffer("wacid.1", "second");
+        assert.deepEqual(exhausted, ["wacid.1"]);
+        assert.equal(acd.getQueueStats().length, 0);
+    });
+
+    test("revokes an offer nobody answers and offers the call to the next agent", async () => {
+        const first = addAgent(agents, "first");
+        const second = addAgent(agents, "second");
+        acd.enqueueCall(call("wacid.1"));
+
+        await wait(OFFER_TIMEOUT_MS * 1.5);
+        assert.deepEqual(revocations(first), [["wacid.1", "no_answer"]]);
+        assert.deepEqual(offers(second), ["wacid.1"]);
+    });
+
+    test("starts another round once every agent let the call ring out", async () => {
+        const socket = addAgent(agents, "a");
+        acd.enqueueCall(call("wacid.1"));
+
+        await wait(OFFER_TIMEOUT_MS * 1.5);
+        assert.deepEqual(revocations(socket), [["wacid.1", "no_answer"]]);
+        assert.deepEqual(offers(socket), ["wacid.1", "wacid.1"]);
+    });
+
+    test("drops a call that waits longer than its maxWaitMs", async () => {
+        const socket = addAgent(agents, "a");
+        const timedOut = [];
+        acd.acdEvents.on("wait-timeout", (session) => timedOut.push(session.callId));
+        acd.enqueueCall(call("wacid.1"), { maxWaitMs: 10 });
+
+        await wait(25);
+        assert.deepEqual(timedOut, ["wacid.1"]);
+        assert.deepEqual(revocations(socket), [["wacid.1", "wait_timeout"]]);
+        assert.equal(acd.getQueueStats().length, 0);
+    });
+
+    test("moves the offers of an agent who went away", () => {
+        const first = addAgent(agents, "first");
+        const second = addAgent(agents, "second");
+        acd.enqueueCall(call("wacid.1"));
+
+        agents.setAgentStatus("first", agents.AGENT_STATUSES.AWAY);
+        acd.releaseAgentOffers("first");
+        assert.deepEqual(revocations(first), [["wacid.1", "agent_unavailable"]]);
+        assert.deepEqual(offers(second), ["wacid.1"]);
+    });
+
+    test("withdraws the offer of a call that ended in the queue", () => {
+        const socket = addAgent(agents, "a");
+        acd.enqueueCall(call("wacid.1"));
+
+        acd.removeCall("wacid.1", "caller_hangup");
+        assert.deepEqual(revocations(socket), [["wacid.1", "caller_hangup"]]);
+        assert.equal(agents.getAgent("a").offeredCallId, null);
+    });
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+/**
+ * lib/auth.js reads its environment once, so each configuration gets a fresh copy of it.
+ */
+function loadAuth(env) {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    for (const name of Object.keys(env)) {
+        if (env[name] === undefined) {
+            delete process.env[name];
+        }
+    }
+    try {
+        delete require.cache[require.resolve("../lib/auth")];
+        return require("../lib/auth");
+    } finally {
+        process.env = saved;
+    }
+}
+
+function request(authorization) {
+    return {
+        get: (name) => (name.toLowerCase() === "authorization" ? authorization : undefined),
+        socket: { remoteAddress: "127.0.0.1" },
+    };
+}
+
+/**
+ * Result of running `middleware` on `req`: "next", or the status it answered with.
+ */
+function run(middleware, req) {
+    let outcome = null;
+    const res = {
+        status(code) {
+            outcome = code;
+            return this;
+        },
+        json() {
+            return this;
+        },
+        sendStatus(code) {
+            outcome = code;
+        },
+    };
+    middleware(req, res, () => {
+        outcome = "next";
+    });
+    return outcome;
+}
+
+test.describe("requireAdmin", () => {
+    test("lets through the admin token", () => {
+        const { requireAdmin } = loadAuth({ ADMIN_TOKEN: "secret" });
+        assert.equal(run(requireAdmin, request("Bearer secret")), "next");
+    });
+
+    test("rejects a wrong or missing token, even from localhost", () => {
+        const { requireAdmin } = loadAuth({ ADMIN_TOKEN: "secret" });
+        assert.equal(run(requireAdmin, request("Bearer other")), 401);
+        assert.equal(run(requireAdmin, request(undefined)), 401);
+    });
+
+    test("is disabled without ADMIN_TOKEN, even from localhost", () => {
+        const { requireAdmin } = loadAuth({ ADMIN_TOKEN: undefined });
+        assert.equal(run(requireAdmin, request(undefined)), 503);
+        assert.equal(run(requireAdmin, request("Bearer ")), 503);
+    });
+});
+
+test.describe("isSupervisorToken", () => {
+    test("accepts only SUPERVISOR_TOKEN", () => {
+        const { isSupervisorToken } = loadAuth({ SUPERVISOR_TOKEN: "boss" });
+        assert.equal(isSupervisorToken("boss"), true);
+        assert.equal(isSupervisorToken("bos"), false);
+        assert.equal(isSupervisorToken(undefined), false);
+    });
+
+    test("accepts nothing without SUPERVISOR_TOKEN", () => {
+        const { isSupervisorToken } = loadAuth({ SUPERVISOR_TOKEN: undefined });
+        assert.equal(isSupervisorToken(undefined), false);
+        assert.equal(isSupervisorToken(""), false);
+    });
+});
+
+test.describe("isAgentToken", () => {
+    test("accepts only AGENT_TOKEN", () => {
+        const { isAgentToken } = loadAuth({ AGENT_TOKEN: "team" });
+        assert.equal(isAgentToken("team"), true);
+        assert.equal(isAgentToken("tea"), false);
+        assert.equal(isAgentToken(undefined), false);
+    });
+
+    test("accepts nothing without AGENT_TOKEN", () => {
+        const { isAgentToken } = loadAuth({ AGENT_TOKEN: undefined });
+        assert.equal(isAgentToken(undefined), false);
+        assert.equal(isAgentToken(""), false);
+    });
+});
+
+test.describe("requireAgent", () => {
+    const { registerAgent, identifyAgent, removeAgent } = require("../lib/agents");
+
+    test.afterEach(() => {
+        removeAgent("socket-1");
+    });
+
+    test("lets through a connected agent's session token or the admin token", () => {
+        const { requireAgent } = loadAuth({ ADMIN_TOKEN: "secret" });
+        registerAgent({ id: "socket-1" });
+        const agent = identifyAgent("socket-1", { agentId: "agent-a" });
+        assert.equal(run(requireAgent, request(`Bearer ${agent.sessionToken}`)), "next");
+        assert.equal(run(requireAgent, request("Bearer secret")), "next");
+    });
+
+    test("rejects a connected socket that never registered", () => {
+        const { requireAgent } = loadAuth({ ADMIN_TOKEN: "secret" });
+        registerAgent({ id: "socket-1" });
+        assert.equal(run(requireAgent, request("Bearer null")), 401);
+        assert.equal(run(requireAgent, request("Bearer ")), 401);
+    });
+
+    test("rejects the token of an agent who has gone", () => {
+        const { requireAgent } = loadAuth({ ADMIN_TOKEN: "secret" });
+        registerAgent({ id: "socket-1" });
+        const { sessionToken } = identifyAgent("socket-1", { agentId: "agent-a" });
+        removeAgent("socket-1");
+        assert.equal(run(requireAgent, request(`Bearer ${sessionToken}`)), 401);
+        assert.equal(run(requireAgent, request(undefined)), 401);
+    });
+});
@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+/**
+ * lib/call-state.js reads its timeouts once, so it is loaded with short ones for these tests.
+ */
+function loadCallState() {
+    const saved = { ...process.env };
+    Object.assign(process.env, { RINGING_TIMEOUT_MS: "100", PRE_ACCEPT_TIMEOUT_MS: "100", ACCEPT_TIMEOUT_MS: "100" });
+    try {
+        delete require.cache[require.resolve("../lib/call-state")];
+        return require("../lib/call-state");
+    } finally {
+        process.env = saved;
+    }
+}
+
+const { CALL_STATES, STATE_TIMEOUTS, callStateEvents, initCallState, transitionCall, isFinalState } = loadCallState();
+
+const sessions = [];
+
+function newSession(callId = `wacid.${sessions.length + 1}`) {
+    const session = { callId };
+    initCallState(session);
+    sessions.push(session);
+    return session;
+}
+
+test.afterEach(() => {
+    for (const session of sessions.splice(0)) {
+        clearTimeout(session.stateTimer);
+    }
+    callStateEvents.removeAllListeners();
+});
+
+test.describe("call states", () => {
+    test("start ringing", () => {
+        const session = newSession();
+        assert.equal(session.state, CALL_STATES.RINGING);
+        assert.deepEqual(session.stateHistory.map((entry) => [entry.state, entry.reason]), [["ringing", "created"]]);
+    });
+
+    test("move through the lifecycle and record each step", () => {
+        const session = newSession();
+        for (const state of ["pre_accepted", "accepted", "active", "ended"]) {
+            assert.equal(transitionCall(session, state, `to ${state}`), true);
+        }
+        assert.deepEqual(session.stateHistory.map((entry) => entry.state), ["ringing", "pre_accepted", "accepted", "active", "ended"]);
+        assert.equal(session.stateHistory.at(-1).reason, "to ended");
+        assert.equal(isFinalState(session.state), true);
+    });
+
+    test("can skip pre-accept", () => {
+        const session = newSession();
+        assert.equal(transitionCall(session, CALL_STATES.ACCEPTED), true);
+    });
+
+    test("reject illegal transitions and leave the call as it was", () => {
+        const session = newSession();
+        assert.equal(transitionCall(session, CALL_STATES.ACTIVE), false);
+        assert.equal(session.state, CALL_STATES.RINGING);
+        assert.equal(transitionCall(session, "on_hold"), false);
+
+        transitionCall(session, CALL_STATES.ACCEPTED);
+        assert.equal(transitionCall(session, CALL_STATES.PRE_ACCEPTED), false);
+        assert.equal(session.stateHistory.length, 2);
+    });
+
+    test("end or fail from any state that is not final", () => {
+        for (const path of [[], ["pre_accepted"], ["pre_accepted", "accepted"], ["accepted", "active"]]) {
+            for (const last of [CALL_STATES.ENDED, CALL_STATES.FAILED]) {
+                const session = newSession();
+                path.forEach((state) => transitionCall(session, state));
+                assert.equal(transitionCall(session, last), true, `${[...path, last].join(" → ")}`);
+            }
+        }
+    });
+
+    test("stay final once ended or failed", () => {
+        const ended = newSession();
+        transitionCall(ended, CALL_STATES.ENDED);
+        const failed = newSession();
+        transitionCall(failed, CALL_STATES.FAILED);
+
+        for (const session of [ended, failed]) {
+            for (const state of Object.values(CALL_STATES)) {
+                assert.equal(transitionCall(session, state), false);
+            }
+        }
+    });
+
+    test("emit every transition", () => {
+        const transitions = [];
+        callStateEvents.on("transition", ({ session, previousState, state, reason }) => {
+            transitions.push([session.callId, previousState, state, reason]);
+        });
+        const session = newSession("wacid.events");
+        transitionCall(session, CALL_STATES.ACCEPTED, "agent_answered");
+        transitionCall(session, CALL_STATES.RINGING);
+        transitionCall(session, CALL_STATES.ENDED, "caller_hangup");
+
+        assert.deepEqual(transitions, [
+            ["wacid.events", "ringing", "accepted", "agent_answered"],
+            ["wacid.events", "accepted", "ended", "caller_hangup"],
+        ]);
+    });
+});
+
+test.describe("call state timeouts", () => {
+    test("come from the environment", () => {
+        assert.deepEqual(STATE_TIMEOUTS, { ringing: 100, pre_accepted: 100, accepted: 100 });
+    });
+
+    test("fail a call left ringing", async () => {
+        const failed = new Promise((resolve) => callStateEvents.once("transition", resolve));
+        const session = newSession();
+        const { state, reason } = await failed;
+        assert.deepEqual([state, reason], [CALL_STATES.FAILED, "timeout"]);
+        assert.equal(session.state, CALL_STATES.FAILED);
+    });
+
+    test("restart on each transition and stop once the call is active", async () => {
+        const session = newSession();
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        transitionCall(session, CALL_STATES.ACCEPTED);
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        assert.equal(session.state, CALL_STATES.ACCEPTED);
+
+        transitionCall(session, CALL_STATES.ACTIVE);
+        assert.equal(session.stateTimer, null);
+        await new Promise((resolve) => setTimeout(resolve, 150));
+        assert.equal(session.state, CALL_STATES.ACTIVE);
+    });
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CALL_STATES } = require("../lib/call-state");
+const { CALL_STATUS_OUTCOMES, getCallStatusOutcome } = require("../lib/call-statuses");
+
+test.describe("getCallStatusOutcome", () => {
+    test("maps every documented status to an event", () => {
+        assert.deepEqual(Object.keys(CALL_STATUS_OUTCOMES).sort(), ["accepted", "completed", "failed", "rejected", "ringing"]);
+        for (const [status, outcome] of Object.entries(CALL_STATUS_OUTCOMES)) {
+            assert.match(outcome.event, /^call-/, status);
+        }
+    });
+
+    test("ends the call on statuses that end it", () => {
+        assert.deepEqual(getCallStatusOutcome("rejected"), { event: "call-rejected", state: CALL_STATES.ENDED, reason: "rejected" });
+        assert.deepEqual(getCallStatusOutcome("failed"), { event: "call-terminated", state: CALL_STATES.FAILED, reason: "whatsapp_failed" });
+        assert.equal(getCallStatusOutcome("ringing").state, undefined);
+    });
+
+    test("logs an unknown status and forwards it without touching the call", (t) => {
+        const warn = t.mock.method(console, "warn", () => {});
+        for (const status of ["on_hold", "constructor", null]) {
+            const outcome = getCallStatusOutcome(status, "wacid.1");
+            assert.equal(outcome.event, "call-whatsapp-status");
+            assert.equal(outcome.unhandled, true);
+            assert.equal(outcome.state, undefined);
+        }
+        assert.equal(warn.mock.callCount(), 3);
+        assert.match(warn.mock.calls[0].arguments[0], /Unhandled WhatsApp call status 'on_hold' for call wacid.1/);
+    });
+});
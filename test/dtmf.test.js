@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createDtmfDetector, getDtmfMode } = require("../lib/dtmf");
+const { parseSdp, serializeSdp, removeCodec } = require("../lib/sdp");
+
+const SAMPLE_RATE = 48000;
+const DIGIT_TONES = { "1": [697, 1209], "5": [770, 1336], "#": [941, 1477] };
+
+/**
+ * `ms` of the sum of `frequencies` at SAMPLE_RATE; no frequencies gives silence.
+ */
+function tones(frequencies, ms, amplitude = 8000) {
+    const samples = new Int16Array(SAMPLE_RATE * ms / 1000);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = frequencies.reduce((sum, frequency) => sum + amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE), 0);
+    }
+    return samples;
+}
+
+/**
+ * The digits a detector reports for `samples`, fed in 10 ms frames as RTCAudioSink delivers them.
+ */
+function detect(...parts) {
+    const digits = [];
+    const detector = createDtmfDetector((digit) => digits.push(digit));
+    for (const samples of parts) {
+        for (let offset = 0; offset < samples.length; offset += SAMPLE_RATE / 100) {
+            detector.push(samples.subarray(offset, offset + SAMPLE_RATE / 100));
+        }
+    }
+    return digits;
+}
+
+test.describe("createDtmfDetector", () => {
+    test("detects digits in 48 kHz audio", () => {
+        const silence = tones([], 100);
+        const digits = detect(...Object.values(DIGIT_TONES).flatMap((frequencies) => [tones(frequencies, 120), silence]));
+        assert.deepEqual(digits, Object.keys(DIGIT_TONES));
+    });
+
+    test("reports a held key once, and again after a gap", () => {
+        const five = tones(DIGIT_TONES["5"], 500);
+        assert.deepEqual(detect(five), ["5"]);
+        assert.deepEqual(detect(five, tones([], 100), five), ["5", "5"]);
+    });
+
+    test("ignores a single tone and silence", () => {
+        assert.deepEqual(detect(tones([697], 300), tones([], 300)), []);
+    });
+
+    test("ignores sound above 4 kHz that would fold onto a digit when decimated", () => {
+        // 8000 - 697 and 8000 - 1209 Hz land on the tones of "1" at 8 kHz without the low-pass
+        assert.deepEqual(detect(tones([8000 - 697, 8000 - 1209], 300)), []);
+    });
+});
+
+test.describe("getDtmfMode", () => {
+    const answer = fs.readFileSync(path.join(__dirname, "fixtures", "sdp", "wrtc-answer.sdp"), "utf8");
+
+    test("is rfc4733 when the answer keeps telephone-event", () => {
+        assert.equal(getDtmfMode(answer), "rfc4733");
+    });
+
+    test("is inband when telephone-event was not negotiated", () => {
+        assert.equal(getDtmfMode(serializeSdp(removeCodec(parseSdp(answer), "telephone-event"))), "inband");
+    });
+});
@@ -0,0 +1,212 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { io } = require("socket.io-client");
+const { createMockWhatsApp } = require("../tools/mock-whatsapp-server");
+const { createSimulatedPeer } = require("../tools/simulated-peer");
+const { freePort, waitFor } = require("./helpers");
+
+/**
+ * End-to-end calls: server.js runs as a child process against the mock WhatsApp Cloud API
+ * (tools/mock-whatsapp-server.js), and an agent connects over Socket.IO with a wrtc peer in
+ * place of the browser. Both ends play a tone, so each side can check it hears the other.
+ */
+const APP_SECRET = "e2e-app-secret";
+const ACCESS_TOKEN = "e2e-access-token";
+const AGENT_TOKEN = "e2e-agent-token";
+const CALLER = "15550002222";
+
+let dataDir;
+let serverUrl;
+let server;
+let serverLog = "";
+let mock;
+
+async function startServer() {
+    const [port, mockPort] = [await freePort(), await freePort()];
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-calling-e2e-"));
+    serverUrl = `http://127.0.0.1:${port}`;
+
+    mock = createMockWhatsApp({
+        webhookUrl: `${serverUrl}/call-events`,
+        appSecret: APP_SECRET,
+        accessToken: ACCESS_TOKEN,
+        callPermission: "granted",
+        answerDelayMs: 300,
+    });
+    await mock.listen(mockPort);
+
+    const dirs = ["WEBHOOKS_DIR", "WEBHOOK_QUEUE_DIR", "RECORDINGS_DIR", "VOICEMAILS_DIR", "TRANSCRIPTS_DIR", "QUALITY_DIR"];
+    server = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+        cwd: dataDir,
+        env: {
+            ...process.env,
+            ...Object.fromEntries(dirs.map((name) => [name, path.join(dataDir, name.toLowerCase())])),
+            PORT: String(port),
+            GRAPH_API_BASE_URL: `http://127.0.0.1:${mockPort}`,
+            ACCESS_TOKEN,
+            APP_SECRET,
+            AGENT_TOKEN,
+            PHONE_NUMBER_ID: "e2e-phone-number-id",
+        },
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+    server.stdout.on("data", (chunk) => {
+        serverLog += chunk;
+    });
+    server.stderr.on("data", (chunk) => {
+        serverLog += chunk;
+    });
+    await waitFor(() => serverLog.includes("Server is running"), { description: "server.js to start" });
+}
+
+/**
+ * An agent's browser: a registered Socket.IO client with a wrtc peer that joins calls the way
+ * public/index.html does.
+ */
+async function connectAgent(agentId) {
+    const socket = io(serverUrl, { transports: ["websocket"], forceNew: true });
+    const agent = { socket, peer: null, callId: null, states: [] };
+
+    socket.on("call-state", ({ callId, state }) => {
+        agent.states.push({ callId, state });
+    });
+    socket.on("browser-answer", (sdp) => {
+        agent.peer.applyAnswer(sdp).catch((err) => console.error("Agent failed to apply the answer:", err));
+    });
+
+    agent.joinCall = async (callId) => {
+        agent.callId = callId;
+        agent.peer = createSimulatedPeer();
+        socket.emit("browser-offer", await agent.peer.createOffer(), callId);
+    };
+    agent.statesOf = (callId) => agent.states.filter((entry) => entry.callId === callId).map((entry) => entry.state);
+    agent.close = () => {
+        agent.peer?.close();
+        socket.close();
+    };
+
+    const registered = new Promise((resolve) => socket.once("agent-session", resolve));
+    socket.on("connect", () => {
+        socket.emit("agent-register", { agentId, name: agentId, role: "agent", status: "available", agentToken: AGENT_TOKEN });
+    });
+    await registered;
+    return agent;
+}
+
+function showServerLogOnFailure(t) {
+    t.after(() => {
+        if (!t.passed) {
+            console.log(serverLog.slice(-5000));
+        }
+    });
+}
+
+function mockCall(callId) {
+    return mock.calls.get(callId);
+}
+
+/**
+ * Both ends of a call hear each other's tone. The tone beeps every other 500ms, so the first
+ * audio through can be silence.
+ */
+function hearsTone(peer) {
+    const { audioReceivedMs, peakLevel } = peer.stats();
+    return audioReceivedMs > 0 && peakLevel > 0.05;
+}
+
+async function assertAudioBothWays(agent, callId) {
+    await waitFor(() => hearsTone(mockCall(callId).peer), { description: `the WhatsApp user to hear the agent on call ${callId}` });
+    await waitFor(() => hearsTone(agent.peer), { description: `the agent to hear the WhatsApp user on call ${callId}` });
+}
+
+test.describe("calls end to end", { timeout: 120000 }, () => {
+    let agent;
+
+    test.before(startServer);
+
+    test.afterEach(() => {
+        agent?.close();
+        agent = null;
+    });
+
+    test.after(async () => {
+        await mock?.close();
+        if (server && server.exitCode === null) {
+            const exited = new Promise((resolve) => server.once("exit", resolve));
+            server.kill();
+            await exited;
+        }
+        if (dataDir) {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+        // wrtc crashes the process on exit if closed peers and tracks are still referenced;
+        // npm test runs with --expose-gc so they can be collected first
+        mock?.calls.clear();
+        mock = null;
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        global.gc?.();
+    });
+
+    test("an inbound call is offered to the agent, bridged and hung up by the caller", async (t) => {
+        showServerLogOnFailure(t);
+        agent = await connectAgent("e2e-agent-inbound");
+        const offered = new Promise((resolve) => agent.socket.once("call-is-coming", resolve));
+        const call = await mock.placeCall(CALLER, "E2E Caller");
+
+        const { callId } = await offered;
+        assert.equal(callId, call.id);
+        agent.socket.emit("accept-call", callId);
+        await agent.joinCall(callId);
+
+        await waitFor(() => agent.statesOf(callId).includes("active"), { description: "the call to become active" });
+        assert.deepEqual(agent.statesOf(callId).slice(0, 3), ["pre_accepted", "accepted", "active"]);
+        assert.equal(mockCall(callId).state, "active");
+        await assertAudioBothWays(agent, callId);
+
+        await mock.hangUp(call);
+        await waitFor(() => agent.statesOf(callId).includes("ended"), { description: "the call to end" });
+        assert.equal(mockCall(callId).state, "ended");
+    });
+
+    test("an outbound call rings, is answered and is hung up by the agent", async (t) => {
+        showServerLogOnFailure(t);
+        agent = await connectAgent("e2e-agent-outbound");
+        const initiated = new Promise((resolve) => agent.socket.once("call-initiated", resolve));
+        const ringing = new Promise((resolve) => agent.socket.once("call-ringing", resolve));
+        agent.socket.emit("initiate-call", { phoneNumber: `+${CALLER}` });
+
+        const { callId } = await initiated;
+        assert.equal(mockCall(callId).direction, "outbound");
+        await agent.joinCall(callId);
+        assert.equal((await ringing).callId, callId);
+
+        await waitFor(() => agent.statesOf(callId).includes("active"), { description: "the call to become active" });
+        assert.ok(agent.statesOf(callId).includes("accepted"));
+        await assertAudioBothWays(agent, callId);
+
+        agent.socket.emit("terminate-call", callId);
+        await waitFor(() => agent.statesOf(callId).includes("ended"), { description: "the call to end" });
+        await waitFor(() => mockCall(callId).state === "ended", { description: "WhatsApp to end the call" });
+    });
+
+    test("an outbound call the user rejects ends without audio", async (t) => {
+        showServerLogOnFailure(t);
+        agent = await connectAgent("e2e-agent-rejected");
+        mock.setUser(CALLER, { onCall: "reject" });
+        const initiated = new Promise((resolve) => agent.socket.once("call-initiated", resolve));
+        const rejected = new Promise((resolve) => agent.socket.once("call-rejected", resolve));
+        agent.socket.emit("initiate-call", { phoneNumber: CALLER });
+
+        const { callId } = await initiated;
+        await agent.joinCall(callId);
+        assert.equal((await rejected).reason, "rejected");
+        await waitFor(() => agent.statesOf(callId).includes("ended"), { description: "the call to end" });
+        assert.equal(mockCall(callId).state, "ended");
+        assert.equal(mockCall(callId).peer.stats().audioReceivedMs, 0);
+        mock.setUser(CALLER, { onCall: "answer" });
+    });
+});
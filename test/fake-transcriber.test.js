@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fake = require("../lib/transcribers/fake");
+
+const { sampleRate } = fake;
+
+function tone(ms, amplitude = 8000) {
+    const samples = new Int16Array(sampleRate * ms / 1000);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / sampleRate));
+    }
+    return samples;
+}
+
+function silence(ms) {
+    return new Int16Array(sampleRate * ms / 1000);
+}
+
+/**
+ * Segments the fake recognizer reports for `parts`, written in uneven chunks as a track tap
+ * delivers them.
+ */
+function transcribe(parts, { end = true } = {}) {
+    const segments = [];
+    const recognizer = fake.createRecognizer({ onSegment: (segment) => segments.push(segment) });
+    for (const part of parts) {
+        for (let offset = 0; offset < part.length; offset += 333) {
+            recognizer.write(part.subarray(offset, offset + 333));
+        }
+    }
+    if (end) {
+        recognizer.end();
+    }
+    return segments;
+}
+
+test.describe("fake transcriber", () => {
+    test("reports a stretch of speech once it is followed by silence", () => {
+        const segments = transcribe([tone(1200), silence(1000)], { end: false });
+        const final = segments.filter((segment) => segment.final);
+        assert.deepEqual(final, [{ text: "[speech 1.2s]", final: true, startMs: 0, endMs: 1200 }]);
+    });
+
+    test("sends partial segments while the speaker talks", () => {
+        const partials = transcribe([tone(1200), silence(1000)]).filter((segment) => !segment.final);
+        assert.deepEqual(partials.map((segment) => segment.endMs), [500, 1000]);
+        assert.ok(partials.every((segment) => segment.startMs === 0));
+    });
+
+    test("keeps separate stretches of speech apart", () => {
+        const final = transcribe([tone(500), silence(800), tone(300), silence(800)]).filter((segment) => segment.final);
+        assert.deepEqual(final.map((segment) => [segment.text, segment.startMs, segment.endMs]), [
+            ["[speech 0.5s]", 0, 500],
+            ["[speech 0.3s]", 1300, 1600],
+        ]);
+    });
+
+    test("finishes speech still going when the recognizer ends", () => {
+        const segments = transcribe([silence(200), tone(400)]);
+        assert.deepEqual(segments.at(-1), { text: "[speech 0.4s]", final: true, startMs: 200, endMs: 600 });
+    });
+
+    test("reports nothing for quiet audio", () => {
+        assert.deepEqual(transcribe([tone(1000, 300), silence(1000)]), []);
+    });
+});
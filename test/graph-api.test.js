@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+process.env.GRAPH_API_MAX_RETRIES = "0";
+process.env.PHONE_NUMBER_ID = "1234";
+
+test.describe("isRetryable", () => {
+    const {
+        GraphApiError,
+        PermissionRequiredError,
+        RateLimitedError,
+        AuthError,
+        InvalidSdpError,
+        isRetryable,
+    } = require("../lib/graph-api");
+
+    const cases = [
+        ["a timeout", new GraphApiError("timed out", { code: "ECONNABORTED" }), true],
+        ["a 503", new GraphApiError("unavailable", { status: 503 }), true],
+        ["a rate limit", new RateLimitedError("slow down", { status: 429, code: 130429 }), true],
+        ["the 24 hour permission request limit", new RateLimitedError("limit", { status: 400, code: 138009 }), false],
+        ["a 400", new GraphApiError("bad request", { status: 400, code: 100 }), false],
+        ["a missing permission", new PermissionRequiredError("no permission", { status: 400, code: 138006 }), false],
+        ["an auth failure", new AuthError("expired", { status: 401, code: 190 }), false],
+        ["an invalid SDP", new InvalidSdpError("bad sdp", { status: 400 }), false],
+        ["an error that is not from Graph", new Error("bug"), false],
+    ];
+
+    for (const [description, error, expected] of cases) {
+        test(`${expected ? "retries" : "does not retry"} ${description}`, () => {
+            assert.equal(isRetryable(error), expected);
+        });
+    }
+});
+
+test.describe("sendCallAction", () => {
+    let server;
+    let reply;
+
+    test.before(async () => {
+        server = http.createServer((req, res) => {
+            res.writeHead(reply.status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(reply.body));
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        process.env.GRAPH_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+        delete require.cache[require.resolve("../lib/graph-api")];
+    });
+
+    test.after(() => {
+        server.close();
+        delete process.env.GRAPH_API_BASE_URL;
+    });
+
+    test("throws a retryable error for a 5xx", async () => {
+        const { GraphApiError, isRetryable, sendCallAction } = require("../lib/graph-api");
+        reply = { status: 500, body: { error: { message: "An unknown error occurred", code: 1 } } };
+        await assert.rejects(sendCallAction({ call_id: "wacid.1", action: "pre_accept" }), (error) => {
+            assert.ok(error instanceof GraphApiError);
+            assert.equal(error.status, 500);
+            assert.equal(isRetryable(error), true);
+            return true;
+        });
+    });
+
+    test("throws a permanent error for a rejected SDP", async () => {
+        const { InvalidSdpError, isRetryable, sendCallAction } = require("../lib/graph-api");
+        reply = { status: 400, body: { error: { message: "Invalid SDP in session", code: 100 } } };
+        await assert.rejects(sendCallAction({ call_id: "wacid.1", action: "pre_accept" }), (error) => {
+            assert.ok(error instanceof InvalidSdpError);
+            assert.equal(isRetryable(error), false);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,38 @@
+const net = require("net");
+
+/**
+ * A TCP port nothing listens on right now.
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once("error", reject);
+        server.listen(0, "127.0.0.1", () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Resolves with the first truthy result of `check()`, polled every `intervalMs`; rejects with
+ * `description` after `timeoutMs`.
+ */
+async function waitFor(check, { description = "condition", timeoutMs = 10000, intervalMs = 50 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeoutMs}ms waiting for ${description}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = {
+    freePort,
+    waitFor,
+};
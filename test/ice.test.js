@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const ICE_ENV = ["ICE_SERVERS", "STUN_URLS", "TURN_URLS", "TURN_USERNAME", "TURN_CREDENTIAL", "TURN_SECRET", "TURN_CREDENTIAL_TTL_SECONDS"];
+
+/**
+ * lib/ice.js reads its environment once, so each configuration gets a fresh copy of it. Variables
+ * not in `env` are unset.
+ */
+function loadIce(env = {}) {
+    const saved = { ...process.env };
+    for (const name of ICE_ENV) {
+        delete process.env[name];
+    }
+    Object.assign(process.env, env);
+    try {
+        delete require.cache[require.resolve("../lib/ice")];
+        return require("../lib/ice");
+    } finally {
+        process.env = saved;
+    }
+}
+
+test.describe("getIceServers", () => {
+    test("uses the default STUN server and no TURN", () => {
+        const { getIceServers } = loadIce();
+        assert.deepEqual(getIceServers(), { iceServers: [{ urls: ["stun:stun.relay.metered.ca:80"] }], expiresAt: null });
+    });
+
+    test("builds the list from STUN_URLS and TURN_URLS with static credentials", () => {
+        const { getIceServers } = loadIce({
+            STUN_URLS: "stun:stun.example.com:3478, stun:stun2.example.com",
+            TURN_URLS: "turn:turn.example.com:3478,turns:turn.example.com:5349?transport=tcp",
+            TURN_USERNAME: "user",
+            TURN_CREDENTIAL: "password",
+        });
+        assert.deepEqual(getIceServers("agent-1"), {
+            iceServers: [
+                { urls: ["stun:stun.example.com:3478", "stun:stun2.example.com"] },
+                { urls: ["turn:turn.example.com:3478", "turns:turn.example.com:5349?transport=tcp"], username: "user", credential: "password" },
+            ],
+            expiresAt: null,
+        });
+    });
+
+    test("leaves STUN out when STUN_URLS is empty", () => {
+        const { getIceServers } = loadIce({ STUN_URLS: "" });
+        assert.deepEqual(getIceServers().iceServers, []);
+    });
+
+    test("skips TURN servers without credentials", () => {
+        const { getIceServers } = loadIce({ TURN_URLS: "turn:turn.example.com:3478", TURN_USERNAME: "user" });
+        assert.deepEqual(getIceServers().iceServers.map((server) => server.urls), [["stun:stun.relay.metered.ca:80"]]);
+    });
+
+    test("mints TURN REST API credentials per user with TURN_SECRET", () => {
+        const { getIceServers } = loadIce({
+            TURN_URLS: "turn:turn.example.com:3478",
+            TURN_SECRET: "shared-secret",
+            TURN_USERNAME: "ignored",
+            TURN_CREDENTIAL: "ignored",
+            TURN_CREDENTIAL_TTL_SECONDS: "600",
+        });
+        const now = Math.floor(Date.now() / 1000);
+        const { iceServers, expiresAt } = getIceServers("agent:1");
+        const turn = iceServers[1];
+
+        const [expiry, user] = turn.username.split(":");
+        assert.equal(user, "agent_1");
+        assert.ok(Number(expiry) >= now + 600 && Number(expiry) <= now + 601);
+        assert.equal(expiresAt.getTime(), Number(expiry) * 1000);
+        assert.equal(turn.credential, crypto.createHmac("sha1", "shared-secret").update(turn.username).digest("base64"));
+    });
+
+    test("uses ICE_SERVERS instead of everything else", () => {
+        const servers = [{ urls: "turn:relay.example.com", username: "u", credential: "c" }];
+        const { getIceServers } = loadIce({ ICE_SERVERS: JSON.stringify(servers), TURN_URLS: "turn:turn.example.com", TURN_SECRET: "secret" });
+        assert.deepEqual(getIceServers(), { iceServers: servers, expiresAt: null });
+    });
+
+    test("ignores an invalid ICE_SERVERS", () => {
+        for (const value of ["not json", JSON.stringify({ urls: "stun:stun.example.com" }), JSON.stringify([{ username: "u" }])]) {
+            const { getIceServers } = loadIce({ ICE_SERVERS: value });
+            assert.deepEqual(getIceServers().iceServers, [{ urls: ["stun:stun.relay.metered.ca:80"] }]);
+        }
+    });
+});
+
+test.describe("describeIceServers", () => {
+    test("masks credentials", () => {
+        const { describeIceServers } = loadIce({ TURN_URLS: "turn:turn.example.com", TURN_SECRET: "shared-secret" });
+        const described = describeIceServers();
+        assert.deepEqual(described[1], { urls: ["turn:turn.example.com"], username: "***" });
+        assert.ok(!JSON.stringify(described).includes("shared-secret"));
+    });
+});
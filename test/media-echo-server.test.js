@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawn } = require("child_process");
+const WebSocket = require("ws");
+const { freePort } = require("./helpers");
+
+/**
+ * The next message `ws` receives, or null if none arrives within `timeoutMs`.
+ */
+function nextMessage(ws, timeoutMs = 500) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            ws.off("message", onMessage);
+            resolve(null);
+        }, timeoutMs);
+        function onMessage(data) {
+            clearTimeout(timer);
+            resolve(JSON.parse(data.toString()));
+        }
+        ws.once("message", onMessage);
+    });
+}
+
+test.describe("media echo server", () => {
+    let server;
+    let ws;
+
+    test.before(async () => {
+        const port = await freePort();
+        server = spawn(process.execPath, [path.join(__dirname, "..", "tools", "media-echo-server.js")], {
+            env: { ...process.env, MEDIA_ECHO_PORT: String(port) },
+            stdio: ["ignore", "pipe", "inherit"],
+        });
+        await new Promise((resolve, reject) => {
+            server.once("exit", (code) => reject(new Error(`media echo server exited with ${code}`)));
+            server.stdout.on("data", (chunk) => {
+                if (chunk.toString().includes("listening")) {
+                    resolve();
+                }
+            });
+        });
+        ws = new WebSocket(`ws://127.0.0.1:${port}`);
+        await new Promise((resolve, reject) => {
+            ws.once("open", resolve);
+            ws.once("error", reject);
+        });
+        ws.send(JSON.stringify({
+            event: "start",
+            callId: "wacid.1",
+            callerName: "Test",
+            callerNumber: "15550001111",
+            tracks: ["customer", "agent"],
+            encoding: "pcm_s16le",
+            sampleRate: 16000,
+        }));
+    });
+
+    test.after(() => {
+        ws?.close();
+        server?.removeAllListeners("exit");
+        server?.kill();
+    });
+
+    test("plays the caller's audio back", async () => {
+        const reply = nextMessage(ws);
+        ws.send(JSON.stringify({ event: "media", track: "customer", payload: "AAEAAgAD" }));
+        assert.deepEqual(await reply, { event: "media", payload: "AAEAAgAD" });
+    });
+
+    test("does not play the agent's audio back", async () => {
+        const reply = nextMessage(ws);
+        ws.send(JSON.stringify({ event: "media", track: "agent", payload: "AAEAAgAD" }));
+        assert.equal(await reply, null);
+    });
+
+    test("ignores messages that are not JSON", async () => {
+        const reply = nextMessage(ws);
+        ws.send("not json");
+        ws.send(JSON.stringify({ event: "media", track: "customer", payload: "BAU=" }));
+        assert.deepEqual(await reply, { event: "media", payload: "BAU=" });
+    });
+});
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { identifyAgent, registerAgent, removeAgent } = require("../lib/agents");
+const { createSession, closeSession } = require("../lib/sessions");
+const { awaitReconnect, findReconnectingSessions, endReconnect } = require("../lib/reconnect");
+
+test.describe("findReconnectingSessions", () => {
+    let agent;
+    let session;
+
+    test.beforeEach(() => {
+        registerAgent({ id: "socket-1" });
+        agent = identifyAgent("socket-1", { agentId: "agent-a", name: "A" });
+        session = createSession("call-1");
+        awaitReconnect(session, agent);
+    });
+
+    test.afterEach(() => {
+        endReconnect(session);
+        closeSession(session.callId);
+        removeAgent("socket-1");
+    });
+
+    test("finds the call for the agent's id and session token", () => {
+        assert.deepEqual(findReconnectingSessions("agent-a", agent.sessionToken), [session]);
+    });
+
+    test("ignores an agent id without the token", () => {
+        assert.deepEqual(findReconnectingSessions("agent-a"), []);
+        assert.deepEqual(findReconnectingSessions("agent-a", "not-the-token"), []);
+    });
+
+    test("ignores the token of a later registration", () => {
+        const { sessionToken } = agent;
+        const later = identifyAgent("socket-1", { agentId: "agent-a", name: "A" });
+        assert.notEqual(later.sessionToken, sessionToken);
+        assert.deepEqual(findReconnectingSessions("agent-a", later.sessionToken), []);
+    });
+});
@@ -0,0 +1,171 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+    SdpValidationError,
+    parseSdp,
+    serializeSdp,
+    getAttribute,
+    getCodecs,
+    removeCodec,
+    applyOpusPreferences,
+    validateWhatsAppSdp,
+    normalizeWhatsAppOffer,
+    normalizeWhatsAppAnswer,
+    normalizeOfferToWhatsApp,
+    validateWhatsAppAnswer,
+} = require("../lib/sdp");
+
+// whatsapp-*.sdp follow what the Cloud API sends, with addresses and credentials replaced;
+// wrtc-*.sdp were produced by wrtc (an answer to whatsapp-offer.sdp, and an outbound offer)
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, "fixtures", "sdp", `${name}.sdp`), "utf8");
+}
+
+function audioAttribute(text, name) {
+    const sdp = parseSdp(text);
+    return getAttribute([...sdp.session, ...sdp.media[0].lines], name);
+}
+
+/**
+ * Problems validateWhatsAppSdp() finds in `text` after `edit(text)`.
+ */
+function problemsAfter(text, type, edit) {
+    return validateWhatsAppSdp(parseSdp(edit(text)), type);
+}
+
+test.describe("parseSdp / serializeSdp", () => {
+    for (const name of ["whatsapp-offer", "whatsapp-answer", "wrtc-answer", "wrtc-offer"]) {
+        test(`round-trips ${name} unchanged`, () => {
+            const text = fixture(name);
+            assert.equal(serializeSdp(parseSdp(text)), text);
+        });
+    }
+
+    test("accepts LF line endings and writes CRLF", () => {
+        const text = fixture("whatsapp-offer");
+        assert.equal(serializeSdp(parseSdp(text.replace(/\r\n/g, "\n"))), text);
+    });
+
+    test("splits session and media sections", () => {
+        const sdp = parseSdp(fixture("whatsapp-offer"));
+        assert.equal(sdp.media.length, 1);
+        assert.deepEqual(
+            { kind: sdp.media[0].kind, port: sdp.media[0].port, proto: sdp.media[0].proto, formats: sdp.media[0].formats },
+            { kind: "audio", port: "3480", proto: "UDP/TLS/RTP/SAVPF", formats: ["111", "126"] }
+        );
+        assert.equal(getAttribute(sdp.session, "group"), "BUNDLE audio");
+        assert.deepEqual(sdp.media[0].lines.find((line) => line.name === "rtcp-mux"), { type: "a", name: "rtcp-mux", value: null });
+    });
+
+    test("reads codecs with their fmtp parameters", () => {
+        const [opus, dtmf] = getCodecs(parseSdp(fixture("whatsapp-offer")).media[0]);
+        assert.deepEqual(opus, { payloadType: "111", name: "opus", clockRate: 48000, channels: 2, fmtp: { minptime: "10", useinbandfec: "1" } });
+        assert.equal(dtmf.name, "telephone-event");
+    });
+
+    test("rejects empty SDPs and malformed lines", () => {
+        assert.throws(() => parseSdp(""), SdpValidationError);
+        assert.throws(() => parseSdp("v=0\r\nnot an sdp line\r\n"), (err) => {
+            assert.ok(err instanceof SdpValidationError);
+            assert.match(err.problems[0], /line 2 is not a valid SDP line/);
+            return true;
+        });
+    });
+});
+
+test.describe("codec helpers", () => {
+    test("removeCodec drops the codec and its rtpmap / fmtp / rtcp-fb lines", () => {
+        const sdp = removeCodec(parseSdp(fixture("wrtc-offer")), "telephone-event");
+        const media = sdp.media[0];
+        assert.ok(!getCodecs(media).some((codec) => codec.name === "telephone-event"));
+        assert.ok(!media.formats.includes("126"));
+        assert.ok(!serializeSdp(sdp).includes("telephone-event"));
+    });
+
+    test("applyOpusPreferences sets FEC, DTX and the bitrate cap", () => {
+        const sdp = applyOpusPreferences(parseSdp(fixture("wrtc-answer")), { fec: false, dtx: true, maxBitrate: 24000 });
+        const opus = getCodecs(sdp.media[0]).find((codec) => codec.name === "opus");
+        assert.deepEqual(opus.fmtp, { minptime: "10", useinbandfec: "0", usedtx: "1", maxaveragebitrate: "24000" });
+    });
+});
+
+test.describe("normalization", () => {
+    test("a WhatsApp offer without a DTLS role gets actpass", () => {
+        const offer = fixture("whatsapp-offer");
+        assert.equal(audioAttribute(offer, "setup"), null);
+        assert.equal(audioAttribute(normalizeWhatsAppOffer(offer), "setup"), "actpass");
+    });
+
+    test("a WhatsApp offer keeps a DTLS role it already has", () => {
+        const offer = fixture("whatsapp-offer").replace("a=mid:audio", "a=setup:actpass\r\na=mid:audio");
+        assert.equal(normalizeWhatsAppOffer(offer), offer);
+    });
+
+    test("our answer to WhatsApp is the DTLS client, bundled, with trickle and Opus preferences", () => {
+        const answer = normalizeWhatsAppAnswer(fixture("wrtc-answer").replace("a=setup:active", "a=setup:passive"));
+        const sdp = parseSdp(answer);
+        assert.equal(audioAttribute(answer, "setup"), "active");
+        assert.equal(getAttribute(sdp.session, "group"), "BUNDLE audio");
+        assert.equal(getAttribute(sdp.session, "ice-options"), "trickle");
+        assert.equal(getCodecs(sdp.media[0])[0].fmtp.useinbandfec, "1");
+        assert.equal(getCodecs(sdp.media[0])[0].fmtp.usedtx, "0");
+    });
+
+    test("our offer to WhatsApp is actpass and bundles the audio mid", () => {
+        const offer = normalizeOfferToWhatsApp(fixture("wrtc-offer"));
+        assert.equal(audioAttribute(offer, "setup"), "actpass");
+        assert.equal(getAttribute(parseSdp(offer).session, "group"), "BUNDLE 0");
+        assert.deepEqual(validateWhatsAppSdp(parseSdp(offer), "offer"), []);
+    });
+
+    test("a WhatsApp answer passes validation as received", () => {
+        const answer = fixture("whatsapp-answer");
+        assert.equal(validateWhatsAppAnswer(answer), answer);
+    });
+
+    test("errors name the SDP they are about", () => {
+        const weak = (text) => text.replace(/a=fingerprint:sha-256/, "a=fingerprint:sha-1");
+        assert.throws(() => normalizeWhatsAppOffer(weak(fixture("whatsapp-offer"))), /^SdpValidationError: Invalid WhatsApp offer: /);
+        assert.throws(() => normalizeWhatsAppAnswer(weak(fixture("wrtc-answer"))), /^SdpValidationError: Invalid answer to WhatsApp: /);
+        assert.throws(() => normalizeOfferToWhatsApp(weak(fixture("wrtc-offer"))), /^SdpValidationError: Invalid offer to WhatsApp: /);
+        assert.throws(() => validateWhatsAppAnswer(weak(fixture("whatsapp-answer"))), /^SdpValidationError: Invalid WhatsApp answer: /);
+    });
+
+    test("an answer from WhatsApp that does not pick a DTLS role is rejected", () => {
+        const answer = fixture("whatsapp-answer").replace("a=setup:passive", "a=setup:actpass");
+        assert.throws(() => validateWhatsAppAnswer(answer), /an answer must pick a DTLS role/);
+    });
+});
+
+test.describe("validateWhatsAppSdp", () => {
+    const cases = [
+        ["a second audio section", "answer", (text) => `${text}m=audio 9 UDP/TLS/RTP/SAVPF 111\r\na=rtpmap:111 opus/48000/2\r\n`, /expected exactly one audio m= line, found 2/],
+        ["no audio section", "answer", (text) => text.replace(/m=audio[\s\S]*$/, ""), /expected exactly one audio m= line, found 0/],
+        ["active video", "answer", (text) => `${text}m=video 9 UDP/TLS/RTP/SAVPF 96\r\n`, /unsupported active media: video/],
+        ["a plain RTP transport", "answer", (text) => text.replace("UDP/TLS/RTP/SAVPF", "RTP/AVP"), /audio uses transport RTP\/AVP/],
+        ["no ICE credentials", "answer", (text) => text.replace(/a=ice-pwd:.*\r\n/, ""), /missing a=ice-ufrag \/ a=ice-pwd/],
+        ["no fingerprint", "answer", (text) => text.replace(/a=fingerprint:.*\r\n/, ""), /missing a=fingerprint/],
+        ["a SHA-1 fingerprint", "answer", (text) => text.replace("sha-256", "sha-1"), /SHA-256 or stronger, got "sha-1"/],
+        ["no DTLS role", "answer", (text) => text.replace("a=setup:passive\r\n", ""), /missing a=setup/],
+        ["an unknown DTLS role", "answer", (text) => text.replace("a=setup:passive", "a=setup:holdconn"), /unknown DTLS role a=setup:holdconn/],
+        ["an offer that is not actpass", "offer", (text) => text, /an offer must use a=setup:actpass, got passive/],
+        ["an answer that is actpass", "answer", (text) => text.replace("a=setup:passive", "a=setup:actpass"), /an answer must pick a DTLS role/],
+        ["no rtcp-mux", "answer", (text) => text.replace("a=rtcp-mux\r\n", ""), /missing a=rtcp-mux/],
+        ["no Opus", "answer", (text) => text.replace("opus/48000/2", "ISAC/16000"), /does not offer Opus/],
+        ["mono Opus", "answer", (text) => text.replace("opus/48000/2", "opus/48000"), /Opus must be opus\/48000\/2, got opus\/48000\/1/],
+        ["a BUNDLE group without the audio mid", "answer", (text) => text.replace("a=group:BUNDLE audio", "a=group:BUNDLE 0"), /BUNDLE group "BUNDLE 0" does not include the audio mid audio/],
+    ];
+
+    test("accepts the WhatsApp answer fixture", () => {
+        assert.deepEqual(validateWhatsAppSdp(parseSdp(fixture("whatsapp-answer")), "answer"), []);
+    });
+
+    for (const [description, type, edit, expected] of cases) {
+        test(`reports ${description}`, () => {
+            const problems = problemsAfter(fixture("whatsapp-answer"), type, edit);
+            assert.ok(problems.some((problem) => expected.test(problem)), `no problem matching ${expected} in ${JSON.stringify(problems)}`);
+        });
+    }
+});
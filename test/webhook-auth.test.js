@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const APP_SECRET = "webhook-secret";
+
+/**
+ * lib/webhook-auth.js reads its environment once and keeps the payloads it accepted, so each
+ * test gets a fresh copy of it.
+ */
+function loadWebhookAuth(env = {}) {
+    const saved = { ...process.env };
+    Object.assign(process.env, { APP_SECRET, WEBHOOK_SIGNATURE_CHECK: "true", WEBHOOK_MAX_AGE_SECONDS: "" }, env);
+    try {
+        delete require.cache[require.resolve("../lib/webhook-auth")];
+        return require("../lib/webhook-auth");
+    } finally {
+        process.env = saved;
+    }
+}
+
+function payload(timestamp = Math.floor(Date.now() / 1000), id = "wacid.1") {
+    return { entry: [{ changes: [{ value: { calls: [{ id, event: "connect", timestamp: String(timestamp) }] } }] }] };
+}
+
+/**
+ * A POST /call-events request as express.json() leaves it, signed with `secret` unless a
+ * `signature` is given.
+ */
+function request(webhookAuth, body, { secret = APP_SECRET, signature } = {}) {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const headers = { "x-hub-signature-256": signature === undefined ? webhookAuth.signPayload(rawBody, secret) : signature };
+    return { ip: "127.0.0.1", body, rawBody, get: (name) => headers[name.toLowerCase()] || undefined };
+}
+
+/**
+ * What verifyWebhook did with `req`: "next", or the status it answered with, plus the reason it
+ * left for the webhook log.
+ */
+function verify(webhookAuth, req) {
+    let outcome = null;
+    webhookAuth.verifyWebhook(req, { sendStatus: (code) => (outcome = code) }, () => (outcome = "next"));
+    return { outcome, rejection: req.webhookRejection || null };
+}
+
+test.describe("verifyWebhook", () => {
+    test("accepts a payload signed with APP_SECRET", () => {
+        const webhookAuth = loadWebhookAuth();
+        assert.deepEqual(verify(webhookAuth, request(webhookAuth, payload())), { outcome: "next", rejection: null });
+    });
+
+    test("rejects a missing signature with 401", () => {
+        const webhookAuth = loadWebhookAuth();
+        const req = request(webhookAuth, payload(), { signature: null });
+        assert.deepEqual(verify(webhookAuth, req), { outcome: 401, rejection: "missing_signature" });
+    });
+
+    test("rejects a signature made with another secret or over another body with 401", () => {
+        const webhookAuth = loadWebhookAuth();
+        const wrongSecret = request(webhookAuth, payload(), { secret: "other-secret" });
+        assert.deepEqual(verify(webhookAuth, wrongSecret), { outcome: 401, rejection: "invalid_signature" });
+
+        const tampered = request(webhookAuth, payload());
+        tampered.rawBody = Buffer.from(JSON.stringify(payload(undefined, "wacid.2")));
+        assert.deepEqual(verify(webhookAuth, tampered), { outcome: 401, rejection: "invalid_signature" });
+    });
+
+    test("rejects everything without APP_SECRET", () => {
+        const webhookAuth = loadWebhookAuth({ APP_SECRET: "" });
+        const req = request(webhookAuth, payload(), { signature: "sha256=" });
+        assert.deepEqual(verify(webhookAuth, req), { outcome: 401, rejection: "invalid_signature" });
+    });
+
+    test("keeps retries Meta sends days later", () => {
+        const webhookAuth = loadWebhookAuth();
+        const threeDaysAgo = Math.floor(Date.now() / 1000) - 3 * 24 * 60 * 60;
+        assert.equal(verify(webhookAuth, request(webhookAuth, payload(threeDaysAgo))).outcome, "next");
+    });
+
+    test("drops signed payloads older than WEBHOOK_MAX_AGE_SECONDS with 200", () => {
+        const webhookAuth = loadWebhookAuth({ WEBHOOK_MAX_AGE_SECONDS: "60" });
+        const req = request(webhookAuth, payload(Math.floor(Date.now() / 1000) - 120));
+        assert.deepEqual(verify(webhookAuth, req), { outcome: 200, rejection: "stale" });
+    });
+
+    test("drops a payload accepted before as a replay with 200", () => {
+        const webhookAuth = loadWebhookAuth();
+        const body = payload();
+        assert.equal(verify(webhookAuth, request(webhookAuth, body)).outcome, "next");
+        assert.deepEqual(verify(webhookAuth, request(webhookAuth, body)), { outcome: 200, rejection: "replayed" });
+        assert.equal(verify(webhookAuth, request(webhookAuth, payload(undefined, "wacid.2"))).outcome, "next");
+    });
+
+    test("lets a payload through again once it is forgotten", () => {
+        const webhookAuth = loadWebhookAuth();
+        const body = payload();
+        const first = request(webhookAuth, body);
+        assert.equal(verify(webhookAuth, first).outcome, "next");
+        webhookAuth.forgetWebhookPayload(first);
+        assert.equal(verify(webhookAuth, request(webhookAuth, body)).outcome, "next");
+    });
+
+    test("checks nothing with WEBHOOK_SIGNATURE_CHECK=false", () => {
+        const webhookAuth = loadWebhookAuth({ WEBHOOK_SIGNATURE_CHECK: "false" });
+        const req = request(webhookAuth, payload(0), { signature: null });
+        assert.equal(verify(webhookAuth, req).outcome, "next");
+        assert.equal(verify(webhookAuth, req).outcome, "next");
+    });
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-events-"));
+const seenFile = path.join(queueDir, "seen-events.jsonl");
+let webhookEvents;
+
+/**
+ * A fresh copy of lib/webhook-events.js, as after a server restart.
+ */
+function loadWebhookEvents() {
+    process.env.WEBHOOK_QUEUE_DIR = queueDir;
+    for (const module of ["../lib/webhook-events", "../lib/webhook-queue"]) {
+        delete require.cache[require.resolve(module)];
+    }
+    return require("../lib/webhook-events");
+}
+
+function callEvent(id, event = "connect") {
+    const body = { entry: [{ changes: [{ value: { calls: [{ id, event, from: "15550001111" }] } }] }] };
+    return webhookEvents.extractEvents(body)[0];
+}
+
+test.after(() => {
+    fs.rmSync(queueDir, { recursive: true, force: true });
+    delete process.env.WEBHOOK_QUEUE_DIR;
+});
+
+test.describe("webhook event dedupe", () => {
+    test.beforeEach(() => {
+        fs.rmSync(seenFile, { force: true });
+        webhookEvents = loadWebhookEvents();
+    });
+
+    test("skips an event seen before", async () => {
+        const { isDuplicate } = webhookEvents;
+        assert.equal(await isDuplicate(callEvent("wacid.1")), false);
+        assert.equal(await isDuplicate(callEvent("wacid.1")), true);
+        assert.equal(await isDuplicate(callEvent("wacid.1", "terminate")), false);
+    });
+
+    test("remembers saved events across a restart", async () => {
+        const { isDuplicate, saveSeenEvent } = webhookEvents;
+        const event = callEvent("wacid.2");
+        assert.equal(await isDuplicate(event), false);
+        await saveSeenEvent(event);
+
+        webhookEvents = loadWebhookEvents();
+        assert.equal(await webhookEvents.isDuplicate(callEvent("wacid.2")), true);
+    });
+
+    test("forgets events that were never saved", async () => {
+        const { isDuplicate, forgetEvent } = webhookEvents;
+        const event = callEvent("wacid.3");
+        assert.equal(await isDuplicate(event), false);
+        forgetEvent(event);
+        assert.equal(await isDuplicate(callEvent("wacid.3")), false);
+
+        webhookEvents = loadWebhookEvents();
+        assert.equal(await webhookEvents.isDuplicate(callEvent("wacid.3")), false);
+    });
+
+    test("drops expired and unreadable keys when it loads", async () => {
+        const now = Date.now();
+        fs.writeFileSync(seenFile, [
+            JSON.stringify({ key: "call:wacid.old:connect", expiresAt: now - 1000 }),
+            "{\"key\": \"call:wacid.cut",
+            JSON.stringify({ key: "call:wacid.new:connect", expiresAt: now + 60000 }),
+            "",
+        ].join("\n"));
+
+        const { isDuplicate } = webhookEvents;
+        assert.equal(await isDuplicate(callEvent("wacid.new")), true);
+        assert.equal(await isDuplicate(callEvent("wacid.old")), false);
+        assert.deepEqual(fs.readFileSync(seenFile, "utf8").trim().split("\n").map((line) => JSON.parse(line).key), ["call:wacid.new:connect"]);
+    });
+});
@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { waitFor } = require("./helpers");
+
+let queueDir;
+let webhookQueue;
+
+/**
+ * A fresh copy of lib/webhook-queue.js on an empty queue directory, retrying quickly.
+ */
+function loadWebhookQueue() {
+    queueDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-queue-"));
+    Object.assign(process.env, { WEBHOOK_QUEUE_DIR: queueDir, WEBHOOK_MAX_ATTEMPTS: "3", WEBHOOK_RETRY_BASE_MS: "10", WEBHOOK_RETRY_MAX_MS: "40" });
+    delete require.cache[require.resolve("../lib/webhook-queue")];
+    return require("../lib/webhook-queue");
+}
+
+function callEvent(id, event = "connect") {
+    return { type: "call", key: `call:${id}:${event}`, item: { id, event }, contact: null };
+}
+
+function pendingFiles() {
+    return fs.readdirSync(path.join(queueDir, "pending")).filter((name) => name.endsWith(".json"));
+}
+
+test.describe("webhook queue", () => {
+    test.beforeEach(() => {
+        webhookQueue = loadWebhookQueue();
+    });
+
+    test.afterEach(async () => {
+        // Let retry timers of the test run out before its directory goes
+        await waitFor(() => webhookQueue.getWebhookQueueStats().partitions === 0, { description: "the queue to drain" });
+        fs.rmSync(queueDir, { recursive: true, force: true });
+    });
+
+    test.after(() => {
+        for (const name of ["WEBHOOK_QUEUE_DIR", "WEBHOOK_MAX_ATTEMPTS", "WEBHOOK_RETRY_BASE_MS", "WEBHOOK_RETRY_MAX_MS"]) {
+            delete process.env[name];
+        }
+    });
+
+    test("handles the events of a call in order and removes them from disk", async () => {
+        const handled = [];
+        await webhookQueue.startWebhookQueue(async (event) => {
+            handled.push(event.item.event);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+        });
+        await webhookQueue.enqueueEvent(callEvent("wacid.1", "connect"));
+        await webhookQueue.enqueueEvent(callEvent("wacid.1", "terminate"));
+
+        await waitFor(() => handled.length === 2, { description: "both events to be handled" });
+        assert.deepEqual(handled, ["connect", "terminate"]);
+        await waitFor(() => pendingFiles().length === 0, { description: "the pending entries to be removed" });
+    });
+
+    test("resumes events left pending by a previous run", async () => {
+        const stored = { id: "1-000001", webhookId: null, partition: "call:wacid.2", event: callEvent("wacid.2"), attempts: 1, lastError: "timeout" };
+        fs.mkdirSync(path.join(queueDir, "pending"));
+        fs.writeFileSync(path.join(queueDir, "pending", `${stored.id}.json`), JSON.stringify(stored));
+
+        const handled = [];
+        await webhookQueue.startWebhookQueue(async (event) => handled.push(event.key));
+        await waitFor(() => handled.length === 1, { description: "the stored event to be handled" });
+        assert.deepEqual(handled, ["call:wacid.2:connect"]);
+    });
+
+    test("retries a failing event and holds back the rest of its call meanwhile", async () => {
+        const handled = [];
+        let failures = 1;
+        await webhookQueue.startWebhookQueue(async (event) => {
+            if (event.item.event === "connect" && failures-- > 0) {
+                throw new Error("Graph API timed out");
+            }
+            handled.push(event.item.event);
+        });
+        await webhookQueue.enqueueEvent(callEvent("wacid.3", "connect"));
+        await webhookQueue.enqueueEvent(callEvent("wacid.3", "terminate"));
+        await webhookQueue.enqueueEvent(callEvent("wacid.4", "connect"));
+
+        await waitFor(() => handled.length === 3, { description: "every event to be handled" });
+        assert.deepEqual(handled, ["connect", "connect", "terminate"]);
+    });
+
+    test("moves an event that keeps failing to the dead letters", async () => {
+        const deadLetters = [];
+        webhookQueue.webhookQueueEvents.on("dead-letter", (entry) => deadLetters.push(entry));
+        let attempts = 0;
+        await webhookQueue.startWebhookQueue(async () => {
+            attempts++;
+            throw new Error("bridge failed");
+        });
+        await webhookQueue.enqueueEvent(callEvent("wacid.5"));
+
+        await waitFor(() => deadLetters.length === 1, { description: "the event to be dead-lettered" });
+        assert.equal(attempts, 3);
+        assert.equal(deadLetters[0].lastError, "bridge failed");
+        assert.deepEqual(pendingFiles(), []);
+
+        const [stored] = await webhookQueue.listDeadLetters();
+        assert.equal(stored.id, deadLetters[0].id);
+        assert.equal(stored.attempts, 3);
+    });
+
+    test("retries a dead letter with a fresh set of attempts", async () => {
+        let fail = true;
+        const handled = [];
+        await webhookQueue.startWebhookQueue(async (event) => {
+            if (fail) {
+                throw new Error("bridge failed");
+            }
+            handled.push(event.key);
+        });
+        const { id } = await webhookQueue.enqueueEvent(callEvent("wacid.6"));
+        await waitFor(async () => (await webhookQueue.listDeadLetters()).length === 1, { description: "the event to be dead-lettered" });
+
+        fail = false;
+        assert.equal((await webhookQueue.retryDeadLetter(id)).attempts, 0);
+        await waitFor(() => handled.length === 1, { description: "the retried event to be handled" });
+        assert.deepEqual(await webhookQueue.listDeadLetters(), []);
+        assert.equal(await webhookQueue.retryDeadLetter(id), null);
+    });
+
+    test("keeps retrying when the entry cannot be rewritten after a failure", async () => {
+        let attempts = 0;
+        await webhookQueue.startWebhookQueue(async () => {
+            attempts++;
+            if (attempts === 1) {
+                // The retry bookkeeping written next fails
+                fs.rmSync(path.join(queueDir, "pending"), { recursive: true, force: true });
+                throw new Error("Graph API timed out");
+            }
+        });
+        await webhookQueue.enqueueEvent(callEvent("wacid.7"));
+
+        await waitFor(() => attempts === 2, { description: "the event to be retried" });
+        await waitFor(() => webhookQueue.getWebhookQueueStats().partitions === 0, { description: "the partition to finish" });
+    });
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const webhooksDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-store-"));
+process.env.WEBHOOKS_DIR = webhooksDir;
+delete require.cache[require.resolve("../lib/webhook-store")];
+const { createWebhookRecord, saveWebhookRecord, updateWebhookEvent, getWebhookRecord } = require("../lib/webhook-store");
+
+const body = { entry: [{ changes: [{ value: { calls: [{ id: "wacid.1", event: "connect", from: "15550001111" }] } }] }] };
+
+/**
+ * A delivery whose events were accepted, as POST /call-events stores it.
+ */
+function acceptedRecord(events) {
+    const record = createWebhookRecord({ headers: {}, body });
+    record.events = events;
+    record.statusCode = 200;
+    record.outcome = "queued";
+    return record;
+}
+
+test.after(() => {
+    fs.rmSync(webhooksDir, { recursive: true, force: true });
+    delete process.env.WEBHOOKS_DIR;
+});
+
+test.describe("webhook record outcomes", () => {
+    test("stay queued until every queued event is handled", async () => {
+        const record = acceptedRecord([
+            { key: "call:wacid.1:connect", outcome: "queued", queueId: "1-000001" },
+            { key: "call:wacid.1:terminate", outcome: "queued", queueId: "1-000002" },
+            { key: "call:wacid.0:connect", outcome: "duplicate" },
+        ]);
+        await saveWebhookRecord(record);
+        assert.equal((await getWebhookRecord(record.id)).outcome, "queued");
+
+        await updateWebhookEvent(record.id, "1-000001", "handled");
+        assert.equal((await getWebhookRecord(record.id)).outcome, "queued");
+        await updateWebhookEvent(record.id, "1-000002", "handled");
+
+        const stored = await getWebhookRecord(record.id);
+        assert.equal(stored.outcome, "processed");
+        assert.deepEqual(stored.events.map((event) => event.outcome), ["handled", "handled", "duplicate"]);
+    });
+
+    test("pick up events handled before the record was saved", async () => {
+        const record = createWebhookRecord({ headers: {}, body });
+        await updateWebhookEvent(record.id, "2-000001", "handled");
+        record.events = [{ key: "call:wacid.1:connect", outcome: "queued", queueId: "2-000001" }];
+        record.outcome = "queued";
+        await saveWebhookRecord(record);
+        assert.equal((await getWebhookRecord(record.id)).outcome, "processed");
+    });
+
+    test("fail when an event is dead-lettered, and recover when its retry is handled", async () => {
+        const record = acceptedRecord([{ key: "call:wacid.1:connect", outcome: "queued", queueId: "3-000001" }]);
+        await saveWebhookRecord(record);
+        await updateWebhookEvent(record.id, "3-000001", "dead_letter");
+        assert.equal((await getWebhookRecord(record.id)).outcome, "failed");
+
+        await updateWebhookEvent(record.id, "3-000001", "handled");
+        assert.equal((await getWebhookRecord(record.id)).outcome, "processed");
+    });
+
+    test("keep the reason a delivery was turned away", async () => {
+        const record = createWebhookRecord({ headers: {}, body });
+        record.statusCode = 200;
+        record.outcome = "replayed";
+        await saveWebhookRecord(record);
+        assert.equal((await getWebhookRecord(record.id)).outcome, "replayed");
+    });
+});
@@ -0,0 +1,42 @@
+require("dotenv").config();
+const WebSocket = require("ws");
+
+/**
+ * Minimal media fork service for local testing: logs each forked call and plays the caller's
+ * own voice back to them. Point MEDIA_FORK_URL at ws://localhost:<port> to use it.
+ */
+const PORT = Number(process.env.MEDIA_ECHO_PORT) || 19100;
+
+const wss = new WebSocket.Server({ port: PORT });
+console.log(`Media echo server listening on ws://localhost:${PORT}`);
+
+wss.on("connection", (ws) => {
+    let callId = null;
+    let frames = 0;
+
+    ws.on("message", (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (err) {
+            console.warn("Ignoring a message that is not JSON");
+            return;
+        }
+
+        if (message.event === "start") {
+            callId = message.callId;
+            console.log(`Call ${callId} from ${message.callerName} (${message.callerNumber}): ${message.tracks.join(" + ")}, ${message.encoding} at ${message.sampleRate} Hz`);
+        } else if (message.event === "media") {
+            frames++;
+            if (message.track === "customer") {
+                ws.send(JSON.stringify({ event: "media", payload: message.payload }));
+            }
+        } else if (message.event === "stop") {
+            console.log(`Call ${callId} stopped (${message.reason}) after ${frames} frames`);
+        }
+    });
+
+    ws.on("close", () => {
+        console.log(`Connection for call ${callId} closed`);
+    });
+});
@@ -0,0 +1,533 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const express = require("express");
+const axios = require("axios");
+const { signPayload } = require("../lib/webhook-auth");
+const { loadAudioFile } = require("../lib/audio");
+const { createSimulatedPeer } = require("./simulated-peer");
+
+/**
+ * Local stand-in for the WhatsApp Cloud Calling API, to run the server without a WhatsApp number
+ * or a phone. Start it with `npm run mock-whatsapp` and the server with
+ * GRAPH_API_BASE_URL=http://localhost:<MOCK_WHATSAPP_PORT>.
+ *
+ * It answers the Graph endpoints the server calls:
+ *   POST /<version>/<phone number id>/calls      connect, pre_accept, accept, reject, terminate
+ *   POST /<version>/<phone number id>/messages   call permission requests and other messages
+ * and plays the WhatsApp users on the other end. Each call has a wrtc peer
+ * (tools/simulated-peer.js) with real SDP and audio, and everything a user does is sent to
+ * MOCK_WEBHOOK_URL as the webhook Meta would send (connect, terminate, call statuses, message
+ * statuses, call_permission_reply), signed with APP_SECRET.
+ *
+ * Users behave as set by the MOCK_* variables unless changed with PUT /mock/users/:waId. Inbound
+ * calls, answers and hang-ups are driven through the /mock endpoints, or through the object
+ * createMockWhatsApp() returns when the mock is required from a test.
+ */
+const CALL_PERMISSIONS = ["granted", "none"];
+const CALL_BEHAVIOURS = ["answer", "reject", "ignore"];
+const PERMISSION_BEHAVIOURS = ["accept", "reject", "ignore"];
+
+function defaultOptions() {
+    return {
+        port: Number(process.env.MOCK_WHATSAPP_PORT) || 19200,
+        webhookUrl: process.env.MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 19000}/call-events`,
+        appSecret: process.env.APP_SECRET || null,
+        accessToken: process.env.ACCESS_TOKEN || null,
+        businessNumber: process.env.MOCK_BUSINESS_NUMBER || "15550001234",
+        callPermission: process.env.MOCK_CALL_PERMISSION || "none",
+        onCall: process.env.MOCK_ON_CALL || "answer",
+        onPermissionRequest: process.env.MOCK_ON_PERMISSION_REQUEST || "accept",
+        answerDelayMs: Number(process.env.MOCK_ANSWER_DELAY_MS ?? 2000),
+        ringTimeoutMs: Number(process.env.MOCK_RING_TIMEOUT_MS) || 30000,
+        audioFile: process.env.MOCK_AUDIO_FILE || null,
+    };
+}
+
+function nowSeconds() {
+    return String(Math.floor(Date.now() / 1000));
+}
+
+/**
+ * A Graph API error response, shaped like the real ones so lib/graph-api.js classifies it.
+ */
+function sendGraphError(res, status, code, message, type = "OAuthException") {
+    res.status(status).json({
+        error: {
+            message,
+            type,
+            code,
+            error_data: { messaging_product: "whatsapp", details: message },
+            fbtrace_id: crypto.randomBytes(8).toString("base64"),
+        },
+    });
+}
+
+function createMockWhatsApp(overrides = {}) {
+    const options = { ...defaultOptions(), ...overrides };
+    const users = new Map();
+    const calls = new Map();
+    let phoneNumberId = process.env.PHONE_NUMBER_ID || "mock-phone-number-id";
+    let samples;
+    let webhookChain = Promise.resolve();
+    let server = null;
+
+    function getUser(waId, name = null) {
+        if (!users.has(waId)) {
+            users.set(waId, {
+                waId,
+                name: name || `Test User ${waId.slice(-4)}`,
+                callPermission: options.callPermission,
+                onCall: options.onCall,
+                onPermissionRequest: options.onPermissionRequest,
+            });
+        }
+        const user = users.get(waId);
+        if (name) {
+            user.name = name;
+        }
+        return user;
+    }
+
+    function contactOf(user) {
+        return { profile: { name: user.name }, wa_id: user.waId };
+    }
+
+    /**
+     * Deliver a webhook to the server. Deliveries go out one at a time, in order.
+     */
+    function sendWebhook(field, value) {
+        const body = {
+            object: "whatsapp_business_account",
+            entry: [{
+                id: "mock-waba-id",
+                changes: [{
+                    field,
+                    value: {
+                        messaging_product: "whatsapp",
+                        metadata: { display_phone_number: options.businessNumber, phone_number_id: phoneNumberId },
+                        ...value,
+                    },
+                }],
+            }],
+        };
+        const rawBody = JSON.stringify(body);
+        const headers = { "Content-Type": "application/json" };
+        if (options.appSecret) {
+            headers["X-Hub-Signature-256"] = signPayload(rawBody, options.appSecret);
+        }
+
+        webhookChain = webhookChain.then(async () => {
+            try {
+                const response = await axios.post(options.webhookUrl, rawBody, { headers, timeout: 10000 });
+                console.log(`[mock] Webhook ${field} delivered (${response.status})`);
+            } catch (err) {
+                console.error(`[mock] Webhook ${field} to ${options.webhookUrl} failed:`, err.response?.status || err.message);
+            }
+        });
+        return webhookChain;
+    }
+
+    function sendCallWebhook(call, event, details = {}) {
+        const user = users.get(call.waId);
+        const inbound = call.direction === "inbound";
+        return sendWebhook("calls", {
+            contacts: [contactOf(user)],
+            calls: [{
+                id: call.id,
+                from: inbound ? call.waId : options.businessNumber,
+                to: inbound ? options.businessNumber : call.waId,
+                event,
+                timestamp: nowSeconds(),
+                direction: inbound ? "USER_INITIATED" : "BUSINESS_INITIATED",
+                ...details,
+            }],
+        });
+    }
+
+    function sendCallStatusWebhook(call, status) {
+        return sendWebhook("calls", {
+            statuses: [{ id: call.id, type: "call", status, timestamp: nowSeconds(), recipient_id: call.waId }],
+        });
+    }
+
+    function sendMessageStatusWebhook(messageId, waId, status) {
+        return sendWebhook("messages", {
+            statuses: [{ id: messageId, status, timestamp: nowSeconds(), recipient_id: waId }],
+        });
+    }
+
+    function createCall(direction, user) {
+        const call = {
+            id: `wacid.${crypto.randomBytes(12).toString("hex")}`,
+            direction,
+            waId: user.waId,
+            state: "ringing",
+            peer: createSimulatedPeer(samples),
+            offerSdp: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            endedAt: null,
+            timers: [],
+        };
+        calls.set(call.id, call);
+        return call;
+    }
+
+    function findOngoingCall(waId) {
+        return [...calls.values()].find((call) => call.waId === waId && call.state !== "ended");
+    }
+
+    function later(call, ms, fn) {
+        call.timers.push(setTimeout(() => {
+            fn().catch((err) => console.error(`[mock] Call ${call.id}:`, err.message));
+        }, ms));
+    }
+
+    /**
+     * End a call and tell the server with a `terminate` webhook, unless `notify` is false.
+     */
+    async function endCall(call, { status = "COMPLETED", notify = true } = {}) {
+        if (call.state === "ended") {
+            return;
+        }
+        call.timers.forEach(clearTimeout);
+        call.state = "ended";
+        call.endedAt = new Date().toISOString();
+        call.peer.close();
+        console.log(`[mock] Call ${call.id} ended (${status})`);
+
+        if (notify) {
+            const details = { status };
+            if (call.startedAt) {
+                const start = Math.floor(Date.parse(call.startedAt) / 1000);
+                const end = Math.floor(Date.parse(call.endedAt) / 1000);
+                Object.assign(details, { start_time: String(start), end_time: String(end), duration: end - start });
+            }
+            await sendCallWebhook(call, "terminate", details);
+        }
+    }
+
+    /**
+     * The user picks up a call from the business: their answer goes out on a `connect` webhook.
+     */
+    async function answerCall(call) {
+        if (call.direction !== "outbound" || call.state !== "ringing") {
+            return false;
+        }
+        call.state = "connecting";
+        const sdp = await call.peer.answer(call.offerSdp);
+        if (call.state === "ended") {
+            return false;
+        }
+        call.state = "active";
+        call.startedAt = new Date().toISOString();
+        console.log(`[mock] ${call.waId} answered call ${call.id}`);
+        await sendCallStatusWebhook(call, "ACCEPTED");
+        await sendCallWebhook(call, "connect", { session: { sdp_type: "answer", sdp } });
+        return true;
+    }
+
+    async function hangUp(call) {
+        if (call.state === "ended") {
+            return false;
+        }
+        console.log(`[mock] ${call.waId} hung up call ${call.id}`);
+        await endCall(call);
+        return true;
+    }
+
+    async function rejectCall(call) {
+        if (call.direction !== "outbound" || call.state !== "ringing") {
+            return false;
+        }
+        console.log(`[mock] ${call.waId} rejected call ${call.id}`);
+        await sendCallStatusWebhook(call, "REJECTED");
+        await endCall(call, { status: "REJECTED" });
+        return true;
+    }
+
+    /**
+     * A user calls the business: the call is offered to the server on a `connect` webhook.
+     */
+    async function placeCall(waId, name = null) {
+        const user = getUser(waId, name);
+        if (findOngoingCall(waId)) {
+            throw new Error(`${waId} is already on a call`);
+        }
+        const call = createCall("inbound", user);
+        call.offerSdp = await call.peer.createOffer();
+        console.log(`[mock] ${user.name} (${waId}) is calling, call ${call.id}`);
+        await sendCallWebhook(call, "connect", { session: { sdp_type: "offer", sdp: call.offerSdp } });
+
+        // The caller gives up if nobody answers
+        later(call, options.ringTimeoutMs, async () => {
+            if (call.state === "ringing") {
+                await endCall(call);
+            }
+        });
+        return call;
+    }
+
+    function describeCall(call) {
+        const { peer, timers, offerSdp, ...summary } = call;
+        return { ...summary, audio: peer.stats() };
+    }
+
+    const callActions = {
+        connect: async (body, res) => {
+            if (!body.to || body.session?.sdp_type !== "offer" || !body.session.sdp) {
+                return sendGraphError(res, 400, 100, "Invalid parameter: connect needs `to` and an SDP offer", "GraphMethodException");
+            }
+            const user = getUser(body.to);
+            if (user.callPermission !== "granted") {
+                return sendGraphError(res, 400, 138006, "No approved call permission from the recipient", "GraphMethodException");
+            }
+            if (findOngoingCall(user.waId)) {
+                return sendGraphError(res, 400, 100, "Recipient is already on another call", "GraphMethodException");
+            }
+
+            const call = createCall("outbound", user);
+            call.offerSdp = body.session.sdp;
+            console.log(`[mock] Business is calling ${user.waId}, call ${call.id}`);
+            res.json({ messaging_product: "whatsapp", calls: [{ id: call.id }] });
+
+            later(call, 200, async () => {
+                await sendCallStatusWebhook(call, "RINGING");
+                if (user.onCall === "answer") {
+                    later(call, options.answerDelayMs, () => answerCall(call));
+                } else if (user.onCall === "reject") {
+                    later(call, options.answerDelayMs, () => rejectCall(call));
+                }
+            });
+            later(call, options.ringTimeoutMs, async () => {
+                if (call.state === "ringing") {
+                    await endCall(call);
+                }
+            });
+        },
+
+        pre_accept: (body, res, call) => applyBusinessAnswer(body, res, call, false),
+        accept: (body, res, call) => applyBusinessAnswer(body, res, call, true),
+
+        reject: async (body, res, call) => {
+            res.json({ messaging_product: "whatsapp", success: true });
+            await endCall(call, { status: "REJECTED" });
+        },
+
+        terminate: async (body, res, call) => {
+            res.json({ messaging_product: "whatsapp", success: true });
+            await endCall(call);
+        },
+    };
+
+    /**
+     * pre_accept / accept of an inbound call: the business's SDP answer reaches the caller.
+     */
+    async function applyBusinessAnswer(body, res, call, accept) {
+        if (call.direction !== "inbound") {
+            return sendGraphError(res, 400, 100, `Cannot ${body.action} a business-initiated call`, "GraphMethodException");
+        }
+        if (!call.peer.hasRemoteDescription()) {
+            if (body.session?.sdp_type !== "answer" || !body.session.sdp) {
+                return sendGraphError(res, 400, 100, "Invalid parameter: missing SDP answer", "GraphMethodException");
+            }
+            try {
+                await call.peer.applyAnswer(body.session.sdp);
+            } catch (err) {
+                return sendGraphError(res, 400, 100, `Invalid SDP answer: ${err.message}`, "GraphMethodException");
+            }
+        }
+        if (accept) {
+            call.state = "active";
+            call.startedAt = new Date().toISOString();
+        }
+        console.log(`[mock] Business sent ${body.action} for call ${call.id}`);
+        res.json({ messaging_product: "whatsapp", success: true });
+    }
+
+    const app = express();
+    app.use(express.json({ limit: "1mb" }));
+
+    function requireAccessToken(req, res, next) {
+        if (options.accessToken && req.get("authorization") !== `Bearer ${options.accessToken}`) {
+            return sendGraphError(res, 401, 190, "Invalid OAuth access token - Cannot parse access token");
+        }
+        next();
+    }
+
+    app.post("/:version/:phoneNumberId/calls", requireAccessToken, async (req, res) => {
+        phoneNumberId = req.params.phoneNumberId;
+        const body = req.body || {};
+        const handler = callActions[body.action];
+        if (!handler) {
+            return sendGraphError(res, 400, 100, `Invalid parameter: unsupported action ${body.action}`, "GraphMethodException");
+        }
+
+        let call = null;
+        if (body.action !== "connect") {
+            call = calls.get(body.call_id);
+            if (!call || call.state === "ended") {
+                return sendGraphError(res, 400, 100, `Invalid parameter: no ongoing call ${body.call_id}`, "GraphMethodException");
+            }
+        }
+        try {
+            await handler(body, res, call);
+        } catch (err) {
+            console.error(`[mock] ${body.action} failed:`, err);
+            if (!res.headersSent) {
+                sendGraphError(res, 500, 1, "An unknown error occurred", "OAuthException");
+            }
+        }
+    });
+
+    app.post("/:version/:phoneNumberId/messages", requireAccessToken, (req, res) => {
+        phoneNumberId = req.params.phoneNumberId;
+        const body = req.body || {};
+        if (!body.to || !body.type) {
+            return sendGraphError(res, 400, 100, "Invalid parameter: messages need `to` and `type`", "GraphMethodException");
+        }
+        const user = getUser(body.to);
+        const messageId = `wamid.${crypto.randomBytes(12).toString("hex")}`;
+        res.json({ messaging_product: "whatsapp", contacts: [{ input: body.to, wa_id: user.waId }], messages: [{ id: messageId }] });
+
+        const permissionRequest = body.type === "interactive" && body.interactive?.type === "call_permission_request";
+        console.log(`[mock] Message ${messageId} to ${user.waId}${permissionRequest ? " (call permission request)" : ""}`);
+        setTimeout(async () => {
+            await sendMessageStatusWebhook(messageId, user.waId, "sent");
+            await sendMessageStatusWebhook(messageId, user.waId, "delivered");
+            if (!permissionRequest || user.onPermissionRequest === "ignore") {
+                return;
+            }
+
+            await sendMessageStatusWebhook(messageId, user.waId, "read");
+            const accepted = user.onPermissionRequest === "accept";
+            if (accepted) {
+                user.callPermission = "granted";
+            }
+            console.log(`[mock] ${user.waId} ${accepted ? "accepted" : "rejected"} the call permission request`);
+            await sendWebhook("messages", {
+                contacts: [contactOf(user)],
+                messages: [{
+                    from: user.waId,
+                    id: `wamid.${crypto.randomBytes(12).toString("hex")}`,
+                    timestamp: nowSeconds(),
+                    context: { id: messageId },
+                    type: "interactive",
+                    interactive: {
+                        type: "call_permission_reply",
+                        call_permission_reply: {
+                            response: accepted ? "accept" : "reject",
+                            is_permanent: false,
+                            expiration_timestamp: Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60,
+                            response_source: "user_action",
+                        },
+                    },
+                }],
+            });
+        }, options.answerDelayMs);
+    });
+
+    // Control endpoints: what the WhatsApp users do
+
+    app.get("/mock/calls", (req, res) => {
+        res.json([...calls.values()].map(describeCall));
+    });
+
+    app.post("/mock/calls", async (req, res) => {
+        const { from, name } = req.body || {};
+        if (!from) {
+            return res.status(400).json({ error: "from is required" });
+        }
+        try {
+            const call = await placeCall(String(from), name);
+            res.status(201).json(describeCall(call));
+        } catch (err) {
+            res.status(409).json({ error: err.message });
+        }
+    });
+
+    app.post("/mock/calls/:id/:action", async (req, res) => {
+        const call = calls.get(req.params.id);
+        if (!call) {
+            return res.status(404).json({ error: "Call not found" });
+        }
+        const actions = { answer: answerCall, reject: rejectCall, hangup: hangUp };
+        const action = actions[req.params.action];
+        if (!action) {
+            return res.status(404).json({ error: `Unknown action ${req.params.action}` });
+        }
+        try {
+            if (!await action(call)) {
+                return res.status(409).json({ error: `Call is ${call.state}` });
+            }
+            res.json(describeCall(call));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.get("/mock/users", (req, res) => {
+        res.json([...users.values()]);
+    });
+
+    app.put("/mock/users/:waId", (req, res) => {
+        const { name, callPermission, onCall, onPermissionRequest } = req.body || {};
+        if ((callPermission && !CALL_PERMISSIONS.includes(callPermission)) ||
+            (onCall && !CALL_BEHAVIOURS.includes(onCall)) ||
+            (onPermissionRequest && !PERMISSION_BEHAVIOURS.includes(onPermissionRequest))) {
+            return res.status(400).json({
+                error: `callPermission is one of ${CALL_PERMISSIONS.join(", ")}; onCall of ${CALL_BEHAVIOURS.join(", ")}; onPermissionRequest of ${PERMISSION_BEHAVIOURS.join(", ")}`,
+            });
+        }
+        const user = getUser(req.params.waId, name);
+        Object.assign(user, callPermission && { callPermission }, onCall && { onCall }, onPermissionRequest && { onPermissionRequest });
+        res.json(user);
+    });
+
+    return {
+        app,
+        users,
+        calls,
+        placeCall,
+        answerCall,
+        rejectCall,
+        hangUp,
+        setUser(waId, settings) {
+            return Object.assign(getUser(waId, settings.name), settings);
+        },
+
+        async listen(port = options.port) {
+            samples = options.audioFile ? await loadAudioFile(options.audioFile) : undefined;
+            await new Promise((resolve) => {
+                server = app.listen(port, resolve);
+            });
+            console.log(`Mock WhatsApp Cloud API listening on http://localhost:${server.address().port}, webhooks to ${options.webhookUrl}`);
+            if (!options.appSecret) {
+                console.warn("[mock] APP_SECRET is not set: webhooks are sent unsigned");
+            }
+            return server;
+        },
+
+        /**
+         * Stop the mock. Ongoing calls are dropped without webhooks.
+         */
+        async close() {
+            for (const call of calls.values()) {
+                await endCall(call, { notify: false });
+            }
+            await webhookChain;
+            await new Promise((resolve) => (server ? server.close(resolve) : resolve()));
+        },
+    };
+}
+
+if (require.main === module) {
+    createMockWhatsApp().listen().catch((err) => {
+        console.error("Failed to start the mock WhatsApp Cloud API:", err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    createMockWhatsApp,
+};
@@ -0,0 +1,89 @@
+const { RTCPeerConnection, RTCSessionDescription, MediaStream } = require("wrtc");
+const { SAMPLE_RATE, createPlayer, createTone, tapTrack } = require("../lib/audio");
+
+/**
+ * The WhatsApp user's end of a call for the mock Cloud API: a real wrtc peer connection that
+ * plays `samples` (a beep by default) in a loop and measures the audio it receives back.
+ */
+const ICE_GATHERING_TIMEOUT_MS = 5000;
+
+function waitForIceGathering(pc) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            console.log("[peer] ICE gathering taking too long, using current SDP");
+            resolve(pc.localDescription.sdp);
+        }, ICE_GATHERING_TIMEOUT_MS);
+        const checkState = () => {
+            if (pc.iceGatheringState === "complete") {
+                clearTimeout(timer);
+                resolve(pc.localDescription.sdp);
+            }
+        };
+        checkState();
+        pc.onicegatheringstatechange = checkState;
+    });
+}
+
+function createSimulatedPeer(samples = createTone({ frequency: 440, toneMs: 500, silenceMs: 500 })) {
+    const pc = new RTCPeerConnection({ iceServers: [] });
+    const player = createPlayer(samples, { loop: true });
+    pc.addTrack(player.track, new MediaStream([player.track]));
+
+    const received = { samples: 0, peak: 0 };
+    let stopTap = null;
+    pc.ontrack = (event) => {
+        stopTap?.();
+        stopTap = tapTrack(event.track, (pcm) => {
+            received.samples += pcm.length;
+            for (const sample of pcm) {
+                received.peak = Math.max(received.peak, Math.abs(sample));
+            }
+        });
+    };
+
+    return {
+        /**
+         * SDP offer for a call the user places, once ICE gathering is done.
+         */
+        async createOffer() {
+            await pc.setLocalDescription(await pc.createOffer());
+            return waitForIceGathering(pc);
+        },
+
+        /**
+         * SDP answer to the business's offer, once ICE gathering is done.
+         */
+        async answer(offerSdp) {
+            await pc.setRemoteDescription(new RTCSessionDescription({ type: "offer", sdp: offerSdp }));
+            await pc.setLocalDescription(await pc.createAnswer());
+            return waitForIceGathering(pc);
+        },
+
+        async applyAnswer(answerSdp) {
+            await pc.setRemoteDescription(new RTCSessionDescription({ type: "answer", sdp: answerSdp }));
+        },
+
+        hasRemoteDescription() {
+            return Boolean(pc.remoteDescription);
+        },
+
+        stats() {
+            return {
+                connectionState: pc.connectionState,
+                iceConnectionState: pc.iceConnectionState,
+                audioReceivedMs: Math.round(received.samples * 1000 / SAMPLE_RATE),
+                peakLevel: Number((received.peak / 0x7fff).toFixed(3)),
+            };
+        },
+
+        close() {
+            stopTap?.();
+            player.stop();
+            pc.close();
+        },
+    };
+}
+
+module.exports = {
+    createSimulatedPeer,
+};